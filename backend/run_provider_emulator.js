@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+/**
+ * Provider Emulator Script for Majd Platform
+ *
+ * This script runs a local server that speaks the wire formats the platform connectors
+ * expect, so the backend can be exercised end to end (routing, streaming, retries and
+ * fallback) without provider keys. Point the *_API_URL / OPENAI_BASE_URL settings at it:
+ *
+ *   chatgpt, deepseek, copilot, grok3, vertix  POST /<platform>/v1/chat/completions
+ *   local                                      POST /v1/chat/completions or /local/v1/chat/completions
+ *   perplexity                                 POST /perplexity/chat/completions
+ *   gemini                                     POST /gemini/v1beta/models/<model>:generateContent
+ *                                              POST /gemini/v1beta/models/<model>:streamGenerateContent
+ *
+ * Responses are scripted with a JSON file (--script) or at runtime through
+ * PUT /__emulator/script. Rules are checked in order and the first match answers:
+ *
+ *   {
+ *     "latency": 0,           // ms before every response
+ *     "chunkDelay": 30,       // ms between streamed chunks
+ *     "rules": [
+ *       { "platform": "chatgpt", "times": 2, "status": 429, "retryAfter": 1 },
+ *       { "platform": "gemini", "match": "weather", "content": "Sunny", "latency": 2000 },
+ *       { "platform": ["grok3", "vertix"], "status": 500, "error": "Upstream failure" },
+ *       { "platform": "deepseek", "toolCalls": [{ "name": "calculator", "arguments": { "expression": "2+2" } }], "times": 1 },
+ *       { "platform": "local", "dropAfter": 3 },
+ *       { "platform": "perplexity", "hang": true }
+ *     ]
+ *   }
+ *
+ * "match" is a case-insensitive regular expression tested against the last user message,
+ * and a rule with "times" stops matching once used that often. Requests without a
+ * matching rule get a default answer. GET /__emulator/requests lists the requests received.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const DEFAULT_PORT = 8100;
+const DEFAULT_CHUNK_DELAY = 30;
+const MAX_LOGGED_REQUESTS = 200;
+
+// Platforms that use OpenAI-style chat completions
+const CHAT_COMPLETION_PLATFORMS = ['chatgpt', 'deepseek', 'copilot', 'grok3', 'vertix', 'local'];
+
+/**
+ * Create an emulator server
+ *
+ * @param {Object} script - Initial script: { latency, chunkDelay, rules }
+ * @returns {http.Server} - The server, not yet listening
+ */
+const createEmulator = (script = {}) => {
+  const state = {
+    script: normalizeScript(script),
+    requests: []
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      handleRequest(state, req, res, body).catch(error => {
+        console.error(`[Emulator] ${error.message}`);
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: { message: error.message, type: 'emulator_error' } });
+        } else {
+          res.end();
+        }
+      });
+    });
+  });
+
+  server.emulatorState = state;
+  return server;
+};
+
+/**
+ * Route a request to the admin API or a platform emulation
+ */
+const handleRequest = async (state, req, res, body) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname.startsWith('/__emulator/')) {
+    return handleAdminRequest(state, req, res, url, body);
+  }
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  const route = resolveRoute(url.pathname);
+
+  if (req.method !== 'POST' || !route) {
+    return sendJson(res, 404, { error: { message: `No emulated endpoint for ${req.method} ${url.pathname}`, type: 'not_found' } });
+  }
+
+  let payload;
+  try {
+    payload = body ? JSON.parse(body) : {};
+  } catch (error) {
+    return sendJson(res, 400, { error: { message: 'Request body is not valid JSON', type: 'invalid_request_error' } });
+  }
+
+  const userMessage = getLastUserMessage(payload);
+  const stream = route.stream || payload.stream === true;
+  const rule = takeRule(state.script, route.platform, userMessage);
+
+  state.requests.push({
+    platform: route.platform,
+    path: url.pathname,
+    stream,
+    rule: rule ? rule.index : null,
+    body: payload,
+    receivedAt: new Date().toISOString()
+  });
+  state.requests.splice(0, state.requests.length - MAX_LOGGED_REQUESTS);
+
+  const settings = { ...state.script, ...(rule || {}) };
+  console.log(`[Emulator] ${route.platform}${stream ? ' (stream)' : ''}${rule ? ` rule ${rule.index}` : ''}: ${userMessage.substring(0, 60)}`);
+
+  // Leave the request open until the client gives up
+  if (settings.hang) {
+    return;
+  }
+
+  await sleep(settings.latency || 0);
+
+  if (settings.status && settings.status >= 400) {
+    const headers = settings.retryAfter !== undefined ? { 'Retry-After': String(settings.retryAfter) } : {};
+    const message = settings.error || (settings.status === 429 ? 'Rate limit exceeded' : 'Emulated provider error');
+
+    return sendJson(res, settings.status, {
+      error: {
+        message,
+        type: settings.status === 429 ? 'rate_limit_exceeded' : 'server_error',
+        code: settings.status
+      }
+    }, headers);
+  }
+
+  const answer = {
+    content: settings.content !== undefined
+      ? settings.content
+      : `Emulated ${route.platform} response to: ${userMessage}`,
+    citations: settings.citations || [],
+    toolCalls: settings.toolCalls || [],
+    model: payload.model || route.model || `${route.platform}-emulated`,
+    promptTokens: estimateTokens(JSON.stringify(payload.messages || payload.contents || '')),
+    includeUsage: Boolean(payload.stream_options && payload.stream_options.include_usage)
+  };
+
+  if (stream) {
+    return streamAnswer(res, route.platform, answer, settings);
+  }
+
+  return sendJson(res, 200, formatResponse(route.platform, answer));
+};
+
+/**
+ * Inspect and script the emulator at runtime
+ */
+const handleAdminRequest = (state, req, res, url, body) => {
+  if (url.pathname === '/__emulator/requests') {
+    if (req.method === 'DELETE') {
+      state.requests = [];
+      return sendJson(res, 200, { message: 'Request log cleared' });
+    }
+
+    return sendJson(res, 200, state.requests);
+  }
+
+  if (url.pathname === '/__emulator/script') {
+    if (req.method === 'PUT') {
+      try {
+        state.script = normalizeScript(JSON.parse(body || '{}'));
+      } catch (error) {
+        return sendJson(res, 400, { error: { message: `Invalid script: ${error.message}` } });
+      }
+    }
+
+    return sendJson(res, 200, state.script);
+  }
+
+  return sendJson(res, 404, { error: { message: `Unknown emulator endpoint ${url.pathname}` } });
+};
+
+/**
+ * Map a request path to the platform it emulates
+ *
+ * @param {string} pathname - The request path
+ * @returns {Object|null} - { platform, stream, model }, or null for unknown paths
+ */
+const resolveRoute = (pathname) => {
+  if (pathname === '/v1/chat/completions') {
+    return { platform: 'local' };
+  }
+
+  if (pathname === '/perplexity/chat/completions') {
+    return { platform: 'perplexity' };
+  }
+
+  const gemini = pathname.match(/^\/gemini\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+  if (gemini) {
+    return { platform: 'gemini', model: gemini[1], stream: gemini[2] === 'streamGenerateContent' };
+  }
+
+  const chatCompletion = pathname.match(/^\/([a-z0-9]+)\/v1\/chat\/completions$/);
+  if (chatCompletion && CHAT_COMPLETION_PLATFORMS.includes(chatCompletion[1])) {
+    return { platform: chatCompletion[1] };
+  }
+
+  return null;
+};
+
+/**
+ * Find the first rule matching a request and count its use
+ */
+const takeRule = (script, platform, userMessage) => {
+  const rule = script.rules.find(candidate => {
+    if (candidate.times !== undefined && candidate.used >= candidate.times) {
+      return false;
+    }
+
+    const platforms = candidate.platform === undefined ? null : [].concat(candidate.platform);
+    if (platforms && !platforms.includes(platform)) {
+      return false;
+    }
+
+    return !candidate.match || new RegExp(candidate.match, 'i').test(userMessage);
+  });
+
+  if (rule) {
+    rule.used += 1;
+  }
+
+  return rule || null;
+};
+
+/**
+ * Build a non-streamed response in a platform's wire format
+ */
+const formatResponse = (platform, answer) => {
+  const completionTokens = estimateTokens(answer.content);
+  const usage = {
+    prompt_tokens: answer.promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: answer.promptTokens + completionTokens
+  };
+
+  if (platform === 'gemini') {
+    const parts = answer.toolCalls.length > 0
+      ? answer.toolCalls.map(toolCall => ({ functionCall: { name: toolCall.name, args: toolCall.arguments || {} } }))
+      : [{ text: answer.content }];
+
+    return {
+      candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP', index: 0, safetyRatings: [] }],
+      usageMetadata: {
+        promptTokenCount: usage.prompt_tokens,
+        candidatesTokenCount: usage.completion_tokens,
+        totalTokenCount: usage.total_tokens
+      },
+      modelVersion: answer.model
+    };
+  }
+
+  const id = `emulated-${Date.now()}`;
+
+  // Tool calls always use the chat completion shape, which the tool loop understands
+  if (answer.toolCalls.length === 0) {
+    if (platform === 'perplexity') {
+      return { id, model: answer.model, answer: { text: answer.content, citations: answer.citations }, usage };
+    }
+
+    if (platform === 'grok3') {
+      return { id, model: answer.model, output: { content: answer.content }, usage };
+    }
+
+    if (platform === 'vertix') {
+      return { id, model: answer.model, content: answer.content, usage };
+    }
+  }
+
+  const message = { role: 'assistant', content: answer.toolCalls.length > 0 ? null : answer.content };
+  if (answer.toolCalls.length > 0) {
+    message.tool_calls = answer.toolCalls.map((toolCall, index) => ({
+      id: `call_${index}`,
+      type: 'function',
+      function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) }
+    }));
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: answer.model,
+    choices: [{ index: 0, message, finish_reason: answer.toolCalls.length > 0 ? 'tool_calls' : 'stop' }],
+    usage
+  };
+};
+
+/**
+ * Stream a response as server-sent events in a platform's wire format
+ */
+const streamAnswer = async (res, platform, answer, settings) => {
+  const pieces = answer.content.match(/\S+\s*|\s+/g) || [];
+  const chunkDelay = settings.chunkDelay !== undefined ? settings.chunkDelay : DEFAULT_CHUNK_DELAY;
+  const id = `emulated-${Date.now()}`;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  for (let index = 0; index < pieces.length; index++) {
+    // Simulate a connection dropped by the provider part-way through
+    if (settings.dropAfter !== undefined && index >= settings.dropAfter) {
+      res.destroy();
+      return;
+    }
+
+    const event = platform === 'gemini'
+      ? { candidates: [{ content: { role: 'model', parts: [{ text: pieces[index] }] }, index: 0 }] }
+      : { id, object: 'chat.completion.chunk', model: answer.model, choices: [{ index: 0, delta: { content: pieces[index] } }] };
+
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+    await sleep(chunkDelay);
+
+    if (res.destroyed) {
+      return;
+    }
+  }
+
+  const completionTokens = estimateTokens(answer.content);
+
+  if (platform === 'gemini') {
+    res.write(`data: ${JSON.stringify({
+      candidates: [{ content: { role: 'model', parts: [{ text: '' }] }, finishReason: 'STOP', index: 0 }],
+      usageMetadata: {
+        promptTokenCount: answer.promptTokens,
+        candidatesTokenCount: completionTokens,
+        totalTokenCount: answer.promptTokens + completionTokens
+      }
+    })}\n\n`);
+  } else {
+    res.write(`data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      model: answer.model,
+      choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+      ...(platform === 'perplexity' && { citations: answer.citations.map(citation => citation.url || citation) })
+    })}\n\n`);
+
+    // OpenAI sends usage in a last event without choices when the client asks for it
+    if (answer.includeUsage) {
+      res.write(`data: ${JSON.stringify({
+        id,
+        object: 'chat.completion.chunk',
+        model: answer.model,
+        choices: [],
+        usage: {
+          prompt_tokens: answer.promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: answer.promptTokens + completionTokens
+        }
+      })}\n\n`);
+    }
+    res.write('data: [DONE]\n\n');
+  }
+
+  res.end();
+};
+
+/**
+ * Validate a script and reset its usage counters
+ */
+const normalizeScript = (script) => ({
+  latency: script.latency || 0,
+  chunkDelay: script.chunkDelay !== undefined ? script.chunkDelay : DEFAULT_CHUNK_DELAY,
+  rules: (script.rules || []).map((rule, index) => {
+    if (rule.match) {
+      new RegExp(rule.match, 'i'); // Throws on an invalid pattern
+    }
+
+    return { ...rule, index, used: 0 };
+  })
+});
+
+/**
+ * Get the text of the last user message of an OpenAI-style or Gemini request
+ */
+const getLastUserMessage = (payload) => {
+  if (Array.isArray(payload.messages)) {
+    const message = [...payload.messages].reverse().find(candidate => candidate.role === 'user');
+    if (!message) return '';
+    return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+  }
+
+  if (Array.isArray(payload.contents)) {
+    const content = [...payload.contents].reverse().find(candidate => candidate.role === 'user');
+    return content ? (content.parts || []).map(part => part.text || '').join('') : '';
+  }
+
+  return '';
+};
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+module.exports = { createEmulator };
+
+// Run as a script
+if (require.main === module) {
+  // Parse command line arguments
+  const args = process.argv.slice(2);
+  let port = DEFAULT_PORT;
+  let script = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && i + 1 < args.length) {
+      port = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--script' && i + 1 < args.length) {
+      const scriptPath = path.resolve(args[i + 1]);
+
+      if (!fs.existsSync(scriptPath)) {
+        console.error(`Error: Script not found at ${scriptPath}`);
+        process.exit(1);
+      }
+
+      script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+      i++;
+    } else if (args[i] === '--latency' && i + 1 < args.length) {
+      script.latency = parseInt(args[i + 1], 10);
+      i++;
+    }
+  }
+
+  const server = createEmulator(script);
+
+  server.listen(port, () => {
+    console.log(`Provider emulator running at http://localhost:${port}`);
+    console.log(`Rules loaded: ${server.emulatorState.script.rules.length}`);
+    console.log(`Example: OPENAI_BASE_URL=http://localhost:${port}/chatgpt/v1`);
+  });
+
+  // Handle script termination
+  process.on('SIGINT', () => {
+    console.log('Shutting down emulator...');
+    server.close();
+    process.exit(0);
+  });
+}
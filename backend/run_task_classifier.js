@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Task Classifier Training Script for Majd Platform
+ *
+ * This script trains and evaluates the offline task classifier used by the task router.
+ * Examples are JSONL files with one { "text": "...", "taskType": "code" } object per line.
+ *
+ *   node run_task_classifier.js train --data examples.jsonl [--holdout 0.2] [--no-feedback] [--model file]
+ *   node run_task_classifier.js evaluate --data test.jsonl [--model file]
+ *
+ * Training also uses the routing feedback log unless --no-feedback is given. With
+ * --holdout, a share of the examples is kept out of training and used for evaluation.
+ * Evaluation prints accuracy and per-class precision, recall and F1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DeepseekClassifier } = require('./src/models/deepseekClassifier');
+
+// Parse command line arguments
+const [command, ...args] = process.argv.slice(2);
+const dataFiles = [];
+let modelPath = null;
+let holdout = 0;
+let useFeedback = true;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--data' && i + 1 < args.length) {
+    dataFiles.push(path.resolve(args[i + 1]));
+    i++;
+  } else if (args[i] === '--model' && i + 1 < args.length) {
+    modelPath = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--holdout' && i + 1 < args.length) {
+    holdout = parseFloat(args[i + 1]);
+    i++;
+  } else if (args[i] === '--no-feedback') {
+    useFeedback = false;
+  }
+}
+
+/**
+ * Decide whether an example is held out, the same way on every run
+ */
+const isHeldOut = (example) => {
+  const hash = crypto.createHash('sha256').update(example.text).digest();
+  return hash.readUInt32BE(0) / 0xFFFFFFFF < holdout;
+};
+
+/**
+ * Print an evaluation report as a table
+ */
+const printReport = (report) => {
+  console.log(`\nExamples: ${report.examples}   Accuracy: ${(report.accuracy * 100).toFixed(1)}%\n`);
+  console.log(`${'task type'.padEnd(18)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'f1'.padStart(10)}${'support'.padStart(10)}`);
+
+  Object.entries(report.perClass).forEach(([taskType, stats]) => {
+    console.log(
+      `${taskType.padEnd(18)}${stats.precision.toFixed(3).padStart(10)}${stats.recall.toFixed(3).padStart(10)}` +
+      `${stats.f1.toFixed(3).padStart(10)}${String(stats.support).padStart(10)}`
+    );
+  });
+};
+
+const loadExamples = async (classifier, files) => {
+  const examples = [];
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      console.error(`Error: Examples not found at ${file}`);
+      process.exit(1);
+    }
+
+    examples.push(...await classifier.loadExamples(file));
+  }
+
+  return examples;
+};
+
+const main = async () => {
+  const classifier = new DeepseekClassifier();
+
+  if (command === 'train') {
+    if (useFeedback && fs.existsSync(classifier.feedbackPath)) {
+      dataFiles.push(classifier.feedbackPath);
+    }
+
+    const examples = await loadExamples(classifier, dataFiles);
+    const trainingSet = examples.filter(example => !isHeldOut(example));
+    const testSet = examples.filter(isHeldOut);
+
+    const summary = classifier.train(trainingSet);
+    console.log(`Trained on ${summary.examples} examples, ${summary.features} features, classes: ${summary.classes.join(', ')}`);
+
+    if (testSet.length > 0) {
+      printReport(classifier.evaluate(testSet));
+    }
+
+    const savedPath = await classifier.save(modelPath || undefined);
+    console.log(`\nModel saved to ${savedPath}`);
+  } else if (command === 'evaluate') {
+    await classifier.load(modelPath || undefined);
+    printReport(classifier.evaluate(await loadExamples(classifier, dataFiles)));
+  } else {
+    console.log('Usage: node run_task_classifier.js <train|evaluate> --data <file.jsonl> [--data <file.jsonl>] [--model <file>] [--holdout <share>] [--no-feedback]');
+    process.exit(command ? 1 : 0);
+  }
+};
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -14,41 +14,53 @@ const config = {
   // Security
   jwtSecret: process.env.JWT_SECRET,
   apiKeySalt: process.env.API_KEY_SALT,
+  // Hosts that user-supplied URLs (fetch_url, job webhooks) may reach even when they resolve to private addresses
+  outboundAllowedHosts: (process.env.OUTBOUND_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
   
   // OpenAI (ChatGPT)
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o',
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
   
   // Perplexity
   PERPLEXITY_API_KEY: process.env.PERPLEXITY_API_KEY,
   PERPLEXITY_MODEL: process.env.PERPLEXITY_MODEL || 'sonar-medium-online',
+  PERPLEXITY_API_URL: process.env.PERPLEXITY_API_URL || 'https://api.perplexity.ai/chat/completions',
   
   // Google (Gemini)
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
   GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+  GEMINI_API_URL: process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models',
   
   // GitHub Copilot
   GITHUB_COPILOT_API_KEY: process.env.GITHUB_COPILOT_API_KEY,
   GITHUB_COPILOT_MODEL: process.env.GITHUB_COPILOT_MODEL || 'copilot-4',
+  GITHUB_COPILOT_API_URL: process.env.GITHUB_COPILOT_API_URL || 'https://api.github.com/copilot/v1/chat/completions',
   
   // DeepSeek
   DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
   DEEPSEEK_MODEL: process.env.DEEPSEEK_MODEL || 'deepseek-r1-plus',
+  DEEPSEEK_API_URL: process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1/chat/completions',
   DEEPSEEK_LOCAL_ENDPOINT: process.env.DEEPSEEK_LOCAL_ENDPOINT || 'http://localhost:8000/v1/chat/completions',
   USE_DEEPSEEK_LOCAL_MODEL: process.env.USE_DEEPSEEK_LOCAL_MODEL === 'true',
   
   // Grok3
   GROK3_API_KEY: process.env.GROK3_API_KEY,
   GROK3_MODEL: process.env.GROK3_MODEL || 'grok-3',
+  GROK3_API_URL: process.env.GROK3_API_URL || 'https://api.grok.x/v1/chat/completions',
   
   // Vertix
   VERTIX_API_KEY: process.env.VERTIX_API_KEY,
   VERTIX_MODEL: process.env.VERTIX_MODEL || 'vertix-expert',
+  VERTIX_API_URL: process.env.VERTIX_API_URL || 'https://api.vertix.ai/v1/chat/completions',
   
   // Local Model
   LOCAL_MODEL_ENDPOINT: process.env.LOCAL_MODEL_ENDPOINT || 'http://localhost:8000/v1/chat/completions',
   LOCAL_MODEL: process.env.LOCAL_MODEL || 'deepseek-r1-distill-qwen-7b',
   
+  // Offline task classifier: probability its prediction needs before routing uses it
+  ML_CONFIDENCE_THRESHOLD: parseFloat(process.env.ML_CONFIDENCE_THRESHOLD || '0.7'),
+  
   // Database Configuration
   database: {
     type: process.env.DB_TYPE || 'postgres',
@@ -110,6 +122,193 @@ const config = {
     rtl: ['arabic', 'hebrew', 'urdu', 'farsi', 'persian']
   },
   
+  // Task routing
+  routing: {
+    rulesFile: process.env.ROUTING_RULES_FILE || path.resolve(__dirname, '..', 'routing-rules.json'), // task types, conditions and platform chains
+    watchRules: process.env.ROUTING_RULES_WATCH !== 'false', // reload the rules file when it changes
+    classifier: {
+      confidenceThreshold: parseFloat(process.env.ROUTING_CONFIDENCE_THRESHOLD || '0.5'), // share of all scores the top task type needs
+      generalPrior: 1 // score the default task type starts with
+    },
+    followUp: {
+      enabled: process.env.ROUTING_FOLLOW_UP !== 'false', // keep follow-ups on the task and platform of recent turns
+      turns: 3, // recent turns that set the topic
+      maxAgeMinutes: parseInt(process.env.ROUTING_FOLLOW_UP_MAX_AGE || '30', 10), // older conversations start afresh
+      topicChangeConfidence: parseFloat(process.env.ROUTING_TOPIC_CHANGE_CONFIDENCE || '0.6') // a message needs this to change topic
+    },
+    mlClassifier: {
+      modelFile: process.env.ML_CLASSIFIER_MODEL_FILE || 'task-classifier.json', // under paths.models
+      feedbackFile: process.env.ROUTING_FEEDBACK_FILE || 'routing-feedback.jsonl', // under paths.data
+      alpha: 0.1, // Laplace smoothing
+      minDocumentFrequency: 1, // documents a feature must occur in
+      maxFeatures: 50000
+    }
+  },
+  
+  // Multi-platform request configuration
+  multiPlatform: {
+    platformTimeout: parseInt(process.env.MULTI_PLATFORM_TIMEOUT || '30000', 10), // per platform, ms
+    deadline: parseInt(process.env.MULTI_PLATFORM_DEADLINE || '45000', 10), // whole request, ms
+    maxSamples: parseInt(process.env.MULTI_PLATFORM_MAX_SAMPLES || '5', 10), // answers sampled from one platform for consensus
+    sampleTemperature: parseFloat(process.env.MULTI_PLATFORM_SAMPLE_TEMPERATURE || '0.7') // for samples without a requested temperature
+  },
+  
+  // Hedged requests: the secondary platform also gets the prompt when the primary is slow
+  hedging: {
+    threshold: parseInt(process.env.HEDGE_THRESHOLD || '3000', 10) // ms without a first token before hedging
+  },
+  
+  // Review mode: one platform drafts, a second one critiques and revises the draft
+  review: {
+    maxRounds: parseInt(process.env.REVIEW_MAX_ROUNDS || '2', 10), // critique-and-revise rounds after the draft
+    
+    // Drafting and reviewing platforms per task type. Entries are platform names, or 'primary' /
+    // 'secondary' / 'fallback' for the platforms the task router chose. 'default' applies to the rest.
+    pairings: {
+      default: { drafter: 'primary', reviewer: 'secondary' },
+      code: { drafter: 'copilot', reviewer: 'deepseek' },
+      reasoning: { drafter: 'deepseek', reviewer: 'chatgpt' }
+    }
+  },
+  
+  // Fallback policy configuration
+  fallback: {
+    maxHops: parseInt(process.env.FALLBACK_MAX_HOPS || '2', 10),
+    
+    // Fallback chains per task type and error class (rate_limit, timeout, content_policy,
+    // auth, server_error, network, internal, circuit_open, unknown). Steps are platform names, or 'secondary' / 'fallback'
+    // for the platforms the task router chose. 'default' applies when nothing more specific matches.
+    policies: {
+      default: {
+        rate_limit: ['secondary', 'fallback'],
+        timeout: ['secondary', 'fallback'],
+        content_policy: ['secondary'],
+        auth: ['secondary', 'fallback'],
+        server_error: ['secondary', 'fallback'],
+        default: ['secondary', 'fallback']
+      }
+    }
+  },
+  
+  // Per-platform circuit breakers
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW || '60000', 10), // outcomes older than this are forgotten
+    minimumRequests: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS || '5', 10), // calls in the window before the breaker may open
+    errorRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_ERROR_RATE || '0.5'),
+    slowCallThreshold: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS || '30000', 10), // calls taking longer count as slow
+    slowCallRateThreshold: parseFloat(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE || '0.8'),
+    coolDown: parseInt(process.env.CIRCUIT_BREAKER_COOL_DOWN || '30000', 10), // ms an open breaker waits before probing
+    halfOpenProbes: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_PROBES || '1', 10) // concurrent probe requests when half-open
+  },
+  
+  // Tool calling configuration
+  tools: {
+    maxSteps: parseInt(process.env.TOOL_MAX_STEPS || '5', 10), // model round trips that may request tools
+    timeout: parseInt(process.env.TOOL_TIMEOUT || '10000', 10), // per tool call, ms
+    documentSearch: {
+      maxResults: parseInt(process.env.TOOL_DOCUMENT_SEARCH_MAX_RESULTS || '5', 10)
+    },
+    urlFetcher: {
+      // When set, URLs are fetched through this service (e.g. a local stub) as GET <endpoint>?url=...
+      endpoint: process.env.TOOL_URL_FETCHER_ENDPOINT || null,
+      maxLength: parseInt(process.env.TOOL_URL_FETCHER_MAX_LENGTH || '8000', 10) // characters returned to the model
+    }
+  },
+  
+  // Response cache configuration
+  cache: {
+    backend: process.env.RESPONSE_CACHE_BACKEND || 'memory', // 'memory' or 'redis' (uses the Redis settings above)
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '1000', 10), // memory backend only
+    
+    // Seconds a cached response stays valid, per task type; 0 disables caching for that task type
+    ttl: {
+      default: parseInt(process.env.RESPONSE_CACHE_TTL || '3600', 10),
+      research: 86400,
+      domain_expertise: 86400,
+      creative: 0
+    },
+    
+    // Serve near-identical questions, compared by embedding similarity
+    semantic: {
+      enabled: process.env.RESPONSE_CACHE_SEMANTIC === 'true',
+      threshold: parseFloat(process.env.RESPONSE_CACHE_SIMILARITY_THRESHOLD || '0.92'),
+      maxEntries: 500 // per task type and platform
+    }
+  },
+  
+  // Usage accounting configuration
+  usage: {
+    backend: process.env.USAGE_STORE_BACKEND || 'memory', // 'memory' or 'redis' (uses the Redis settings above)
+    
+    // Monthly spend limits per user in USD
+    budgets: {
+      standard: parseFloat(process.env.USER_MONTHLY_BUDGET || '5'),
+      premium: parseFloat(process.env.PREMIUM_USER_MONTHLY_BUDGET || '50'),
+      nearLimitRatio: 0.8 // share of the budget after which cost-optimized routing steps down
+    },
+    
+    // Prices in USD per million tokens, by platform and model. Models without an entry
+    // are priced with the costPerToken of their platform's registry descriptor.
+    pricing: {
+      chatgpt: {
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 }
+      },
+      gemini: {
+        'gemini-1.5-pro': { input: 1.25, output: 5 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+      },
+      deepseek: {
+        'deepseek-chat': { input: 0.27, output: 1.1 },
+        'deepseek-reasoner': { input: 0.55, output: 2.19 }
+      },
+      grok3: {
+        'grok-3': { input: 3, output: 15 },
+        'grok-3-mini': { input: 0.3, output: 0.5 }
+      }
+    }
+  },
+  
+  // A/B routing experiments and their per-variant results
+  experiments: {
+    backend: process.env.EXPERIMENTS_STORE_BACKEND || 'memory' // 'memory' or 'redis' (uses the Redis settings above)
+  },
+  
+  // Conversation turn trees, used for regenerating, editing and branching
+  conversations: {
+    backend: process.env.CONVERSATION_STORE_BACKEND || 'memory', // 'memory' or 'redis' (uses the Redis settings above)
+    maxEntries: parseInt(process.env.CONVERSATION_STORE_MAX_ENTRIES || '100000', 10) // turns kept, memory backend only
+  },
+  
+  // Pipeline hook modules, as a comma-separated list of paths relative to the backend root
+  hooks: {
+    modules: (process.env.PIPELINE_HOOKS || '').split(',').map(modulePath => modulePath.trim()).filter(Boolean)
+  },
+  
+  // Record/replay of provider HTTP traffic, for running without provider keys
+  recording: {
+    mode: process.env.PROVIDER_HTTP_MODE || 'off', // 'off', 'record' or 'replay'
+    fixturesPath: process.env.PROVIDER_FIXTURES_PATH || path.resolve(__dirname, '..', 'fixtures', 'providers'),
+    replayTiming: process.env.PROVIDER_REPLAY_TIMING || 'instant' // 'instant' or 'recorded' (keeps the gaps between streamed chunks)
+  },
+  
+  // Asynchronous chat jobs
+  jobs: {
+    backend: process.env.JOB_QUEUE_BACKEND || 'memory', // 'memory' or 'redis'; with Redis, every instance works the same queue
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10), // jobs processed at once per instance
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+    retryDelay: parseInt(process.env.JOB_RETRY_DELAY || '2000', 10), // ms before the first retry, doubled for each further one
+    pollInterval: parseInt(process.env.JOB_POLL_INTERVAL || '1000', 10), // ms between checks for queued jobs
+    leaseDuration: parseInt(process.env.JOB_LEASE_DURATION || '30000', 10), // ms a running job stays claimed without a heartbeat before it is requeued
+    ttl: parseInt(process.env.JOB_TTL || '86400', 10), // seconds a job and its result can be polled
+    webhook: {
+      secret: process.env.JOB_WEBHOOK_SECRET, // HMAC-SHA256 key for the X-Majd-Signature header
+      timeout: parseInt(process.env.JOB_WEBHOOK_TIMEOUT || '10000', 10),
+      maxAttempts: parseInt(process.env.JOB_WEBHOOK_MAX_ATTEMPTS || '3', 10)
+    }
+  },
+  
   // Feature Flags
   features: {
     enableStreaming: process.env.ENABLE_STREAMING === 'true',
@@ -118,7 +317,10 @@ const config = {
     enableMultiPlatformRequests: process.env.ENABLE_MULTI_PLATFORM_REQUESTS === 'true',
     enableFallbackChain: process.env.ENABLE_FALLBACK_CHAIN === 'true',
     enableDocumentProcessing: process.env.ENABLE_DOCUMENT_PROCESSING === 'true',
-    enableMultilingual: process.env.ENABLE_MULTILINGUAL === 'true'
+    enableMultilingual: process.env.ENABLE_MULTILINGUAL === 'true',
+    enableToolCalling: process.env.ENABLE_TOOL_CALLING === 'true',
+    enableHedgedRequests: process.env.ENABLE_HEDGED_REQUESTS === 'true',
+    enableResponseCache: process.env.ENABLE_RESPONSE_CACHE === 'true'
   },
   
   // Paths
@@ -0,0 +1,422 @@
+/**
+ * Key-Value Store for Majd Platform
+ *
+ * A small async key-value interface with expiring entries, FIFO lists and numeric
+ * counter hashes, backed either by process memory or by Redis (using config.redis).
+ * Components get a store for their own namespace, so keys never collide and instances
+ * created in different modules share the same data.
+ */
+
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// One store per namespace and backend, shared by every component that asks for it
+const stores = new Map();
+
+// Redis client shared by all Redis-backed stores, created on first use
+let redisClient = null;
+
+// Applies the updates of updateHash in one step, so concurrent updates from any number of
+// instances never overwrite each other
+const UPDATE_HASH_SCRIPT = `
+local updates = cjson.decode(ARGV[1])
+for field, amount in pairs(updates.increment or {}) do
+  redis.call('HINCRBYFLOAT', KEYS[1], field, amount)
+end
+for field, value in pairs(updates.min or {}) do
+  local current = tonumber(redis.call('HGET', KEYS[1], field))
+  if current == nil or value < current then
+    redis.call('HSET', KEYS[1], field, value)
+  end
+end
+for field, value in pairs(updates.max or {}) do
+  local current = tonumber(redis.call('HGET', KEYS[1], field))
+  if current == nil or value > current then
+    redis.call('HSET', KEYS[1], field, value)
+  end
+end
+return redis.call('HGETALL', KEYS[1])
+`;
+
+class MemoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Entries kept before the oldest are evicted
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.lists = new Map();
+    this.maxEntries = options.maxEntries || 10000;
+  }
+
+  /**
+   * Get a value
+   *
+   * @param {string} key - The key
+   * @returns {Promise<*>} - The value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Values are stored serialized so callers never share mutable objects, as with Redis
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Set a value
+   *
+   * @param {string} key - The key
+   * @param {*} value - A JSON-serializable value
+   * @param {number} ttlSeconds - Seconds until the entry expires; omit to keep it indefinitely
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async set(key, value, ttlSeconds) {
+    // Re-inserting moves the key to the end, so eviction removes the least recently written entry
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete a value or a list
+   *
+   * @param {string} key - The key
+   * @returns {Promise<boolean>} - Whether the key existed
+   */
+  async delete(key) {
+    const deletedEntry = this.entries.delete(key);
+    return this.lists.delete(key) || deletedEntry;
+  }
+
+  /**
+   * List the keys, including list keys, that start with a prefix
+   *
+   * @param {string} prefix - The key prefix
+   * @returns {Promise<Array>} - The matching keys
+   */
+  async keys(prefix = '') {
+    const now = Date.now();
+
+    return [
+      ...Array.from(this.entries.entries())
+        .filter(([key, entry]) => key.startsWith(prefix) && (!entry.expiresAt || entry.expiresAt > now))
+        .map(([key]) => key),
+      ...Array.from(this.lists.keys()).filter(key => key.startsWith(prefix))
+    ];
+  }
+
+  /**
+   * Append a value to the end of a list
+   *
+   * @param {string} key - The list key
+   * @param {*} value - A JSON-serializable value
+   * @returns {Promise<number>} - The length of the list
+   */
+  async pushToList(key, value) {
+    if (!this.lists.has(key)) {
+      this.lists.set(key, []);
+    }
+
+    return this.lists.get(key).push(JSON.stringify(value));
+  }
+
+  /**
+   * Remove and return the first value of a list
+   *
+   * @param {string} key - The list key
+   * @returns {Promise<*>} - The value, or null if the list is empty
+   */
+  async popFromList(key) {
+    const list = this.lists.get(key);
+    const value = list && list.shift();
+
+    return value !== undefined ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Remove the first value of a list and append it to another list, in one step
+   *
+   * @param {string} source - The key of the list to take the value from
+   * @param {string} destination - The key of the list to append the value to
+   * @returns {Promise<*>} - The value, or null if the source list is empty
+   */
+  async moveFromList(source, destination) {
+    const list = this.lists.get(source);
+    const value = list && list.shift();
+
+    if (value === undefined) {
+      return null;
+    }
+
+    if (!this.lists.has(destination)) {
+      this.lists.set(destination, []);
+    }
+
+    this.lists.get(destination).push(value);
+    return JSON.parse(value);
+  }
+
+  /**
+   * Remove the first occurrence of a value from a list
+   *
+   * @param {string} key - The list key
+   * @param {*} value - A JSON-serializable value
+   * @returns {Promise<boolean>} - Whether the value was in the list
+   */
+  async removeFromList(key, value) {
+    const list = this.lists.get(key) || [];
+    const index = list.indexOf(JSON.stringify(value));
+
+    if (index === -1) {
+      return false;
+    }
+
+    list.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get every value of a list, without removing them
+   *
+   * @param {string} key - The list key
+   * @returns {Promise<Array>} - The values, oldest first
+   */
+  async getList(key) {
+    return (this.lists.get(key) || []).map(value => JSON.parse(value));
+  }
+
+  /**
+   * Update the numeric fields of a hash, creating it if missing
+   *
+   * Increments are applied first, then min and max, so { increment: { count: -1 },
+   * max: { count: 0 } } never lets a count drop below zero.
+   *
+   * @param {string} key - The hash key
+   * @param {Object} updates - { increment, min, max }, each mapping fields to numbers:
+   *   the amount to add, or a value kept when it is below or above the stored one
+   * @returns {Promise<Object>} - The updated fields
+   */
+  async updateHash(key, updates) {
+    // Read and written without awaiting in between, so concurrent updates cannot interleave
+    const entry = this.entries.get(key);
+    const hash = entry ? JSON.parse(entry.value) : {};
+
+    Object.entries(updates.increment || {}).forEach(([field, amount]) => {
+      hash[field] = (hash[field] || 0) + amount;
+    });
+
+    Object.entries(updates.min || {}).forEach(([field, value]) => {
+      hash[field] = hash[field] === undefined ? value : Math.min(hash[field], value);
+    });
+
+    Object.entries(updates.max || {}).forEach(([field, value]) => {
+      hash[field] = hash[field] === undefined ? value : Math.max(hash[field], value);
+    });
+
+    this.set(key, hash);
+    return hash;
+  }
+
+  /**
+   * Get the fields of a hash
+   *
+   * @param {string} key - The hash key
+   * @returns {Promise<Object|null>} - The fields, or null if the hash is missing
+   */
+  async getHash(key) {
+    return this.get(key);
+  }
+}
+
+class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.namespace - Prefix applied to every key
+   */
+  constructor(options = {}) {
+    this.prefix = `majd:${options.namespace}:`;
+    this.client = getRedisClient();
+  }
+
+  /**
+   * Get a value
+   */
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Set a value, expiring after ttlSeconds when given
+   */
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), ttlSeconds ? { EX: ttlSeconds } : undefined);
+    return true;
+  }
+
+  /**
+   * Delete a value or a list
+   */
+  async delete(key) {
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  /**
+   * List the keys that start with a prefix; glob characters in the prefix match literally
+   */
+  async keys(prefix = '') {
+    const keys = [];
+    const pattern = `${this.prefix}${prefix}`.replace(/[*?[\]\\]/g, '\\$&');
+
+    for await (const key of this.client.scanIterator({ MATCH: `${pattern}*`, COUNT: 100 })) {
+      keys.push(key.substring(this.prefix.length));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Append a value to the end of a list
+   */
+  async pushToList(key, value) {
+    return this.client.rPush(this.prefix + key, JSON.stringify(value));
+  }
+
+  /**
+   * Remove and return the first value of a list
+   */
+  async popFromList(key) {
+    const value = await this.client.lPop(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Remove the first value of a list and append it to another list, in one step
+   */
+  async moveFromList(source, destination) {
+    const value = await this.client.lMove(this.prefix + source, this.prefix + destination, 'LEFT', 'RIGHT');
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Remove the first occurrence of a value from a list
+   */
+  async removeFromList(key, value) {
+    return (await this.client.lRem(this.prefix + key, 1, JSON.stringify(value))) > 0;
+  }
+
+  /**
+   * Get every value of a list, without removing them
+   */
+  async getList(key) {
+    const values = await this.client.lRange(this.prefix + key, 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  /**
+   * Update the numeric fields of a hash atomically, creating it if missing
+   */
+  async updateHash(key, updates) {
+    const reply = await this.client.eval(UPDATE_HASH_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [JSON.stringify(updates)]
+    });
+
+    // HGETALL replies with alternating fields and values
+    const hash = {};
+    for (let i = 0; i < reply.length; i += 2) {
+      hash[reply[i]] = Number(reply[i + 1]);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Get the fields of a hash
+   */
+  async getHash(key) {
+    const hash = await this.client.hGetAll(this.prefix + key);
+
+    if (Object.keys(hash).length === 0) {
+      return null;
+    }
+
+    return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, Number(value)]));
+  }
+}
+
+/**
+ * Get the shared Redis client, connecting on first use
+ *
+ * Commands fail straight away while Redis is unreachable instead of queueing, so
+ * callers can carry on without their store.
+ *
+ * @returns {Object} - The client
+ */
+function getRedisClient() {
+  if (!redisClient) {
+    // Required lazily so the memory backend works without the redis package
+    const { createClient } = require('redis');
+
+    redisClient = createClient({
+      socket: {
+        host: config.redis.host,
+        port: config.redis.port
+      },
+      password: config.redis.password,
+      disableOfflineQueue: true
+    });
+
+    redisClient.on('error', error => logger.error('Redis client error', error));
+    redisClient.on('ready', () => logger.info('Connected to Redis', { host: config.redis.host, port: config.redis.port }));
+
+    redisClient.connect().catch(error => logger.error('Failed to connect to Redis', error));
+  }
+
+  return redisClient;
+}
+
+/**
+ * Get the store for a namespace
+ *
+ * @param {string} namespace - The namespace, e.g. 'response-cache'
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'memory' or 'redis'
+ * @param {number} options.maxEntries - Entry limit for the memory backend
+ * @returns {MemoryStore|RedisStore} - The store
+ */
+function getKeyValueStore(namespace, options = {}) {
+  const backend = options.backend || 'memory';
+  const storeKey = `${backend}:${namespace}`;
+
+  if (!stores.has(storeKey)) {
+    if (backend === 'redis') {
+      stores.set(storeKey, new RedisStore({ namespace }));
+    } else if (backend === 'memory') {
+      stores.set(storeKey, new MemoryStore(options));
+    } else {
+      throw new Error(`Unknown key-value store backend: ${backend}`);
+    }
+  }
+
+  return stores.get(storeKey);
+}
+
+module.exports = { MemoryStore, RedisStore, getKeyValueStore };
@@ -5,6 +5,8 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { logger } = require('./utils/logger');
 const { OrchestrationLayer } = require('./orchestration');
+const { JobQueue } = require('./orchestration/jobQueue');
+const { assertPublicUrl } = require('./utils/networkGuard');
 const config = require('./config');
 
 // Initialize the application
@@ -14,6 +16,9 @@ const port = config.port || 3000;
 // Initialize the orchestration layer
 const orchestrationLayer = new OrchestrationLayer();
 
+// Background processing for chat requests that outlast HTTP timeouts
+const jobQueue = new JobQueue(orchestrationLayer);
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // CORS support
@@ -43,10 +48,29 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api', require('./routes/api'));
 
-// Chat endpoint
+/**
+ * Create an abort signal that fires when the client disconnects before the response is sent
+ * 
+ * @param {Object} res - The Express response
+ * @returns {AbortSignal} - Signal to pass to the orchestration layer
+ */
+const createDisconnectSignal = (res) => {
+  const abortController = new AbortController();
+  
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      logger.info('Client disconnected, cancelling request');
+      abortController.abort();
+    }
+  });
+  
+  return abortController.signal;
+};
+
+// Chat endpoint; conversationId selects one of the user's named conversations
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, userId, options } = req.body;
+    const { message, userId, conversationId, options } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -54,13 +78,23 @@ app.post('/api/chat', async (req, res) => {
     
     const userIdentifier = userId || req.ip;
     
+    if (conversationId && !(await orchestrationLayer.contextManager.getConversation(userIdentifier, conversationId))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    const signal = createDisconnectSignal(res);
+    
     // Process the request through the orchestration layer
     const response = await orchestrationLayer.processRequest(
       message,
       userIdentifier,
-      options || {}
+      { ...options, ...(conversationId && { conversationId }), signal }
     );
     
+    if (signal.aborted) {
+      return;
+    }
+    
     return res.status(200).json(response);
   } catch (error) {
     logger.error('Error processing chat request', error);
@@ -74,7 +108,7 @@ app.post('/api/chat', async (req, res) => {
 // Multi-platform chat endpoint
 app.post('/api/chat/multi', async (req, res) => {
   try {
-    const { message, userId, platforms, options } = req.body;
+    const { message, userId, conversationId, platforms, options } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -86,14 +120,24 @@ app.post('/api/chat/multi', async (req, res) => {
     
     const userIdentifier = userId || req.ip;
     
+    if (conversationId && !(await orchestrationLayer.contextManager.getConversation(userIdentifier, conversationId))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    const signal = createDisconnectSignal(res);
+    
     // Process the multi-platform request
     const response = await orchestrationLayer.processMultiPlatformRequest(
       message,
       userIdentifier,
       platforms,
-      options || {}
+      { ...options, ...(conversationId && { conversationId }), signal }
     );
     
+    if (signal.aborted) {
+      return;
+    }
+    
     return res.status(200).json(response);
   } catch (error) {
     logger.error('Error processing multi-platform chat request', error);
@@ -104,8 +148,110 @@ app.post('/api/chat/multi', async (req, res) => {
   }
 });
 
-// Streaming chat endpoint
-app.post('/api/chat/stream', (req, res) => {
+// Regenerate an answer, by default the last one, as a new branch; options.overridePlatform picks another platform
+app.post('/api/chat/regenerate', async (req, res) => {
+  try {
+    const { userId, conversationId, turnId, options } = req.body;
+    
+    const userIdentifier = userId || req.ip;
+    const signal = createDisconnectSignal(res);
+    
+    const response = await orchestrationLayer.regenerateTurn(
+      userIdentifier,
+      turnId,
+      { ...options, ...(conversationId && { conversationId }), signal }
+    );
+    
+    if (signal.aborted) {
+      return;
+    }
+    
+    if (!response) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+    
+    return res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error regenerating response', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while regenerating the response',
+      message: error.message
+    });
+  }
+});
+
+// Edit an earlier message and continue the conversation from it as a new branch
+app.post('/api/chat/edit', async (req, res) => {
+  try {
+    const { message, userId, turnId, options } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    if (!turnId) {
+      return res.status(400).json({ error: 'turnId is required' });
+    }
+    
+    const userIdentifier = userId || req.ip;
+    const signal = createDisconnectSignal(res);
+    
+    const response = await orchestrationLayer.editTurn(
+      userIdentifier,
+      turnId,
+      message,
+      { ...options, signal }
+    );
+    
+    if (signal.aborted) {
+      return;
+    }
+    
+    if (!response) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+    
+    return res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error processing edited message', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while processing your edited message',
+      message: error.message
+    });
+  }
+});
+
+// Rate an answer; feedback on answers served under a routing experiment counts towards its results
+app.post('/api/chat/feedback', async (req, res) => {
+  try {
+    const { userId, turnId, rating } = req.body;
+    
+    if (!turnId) {
+      return res.status(400).json({ error: 'turnId is required' });
+    }
+    
+    if (!['positive', 'negative'].includes(rating)) {
+      return res.status(400).json({ error: 'rating must be positive or negative' });
+    }
+    
+    const feedback = await orchestrationLayer.recordFeedback(userId || req.ip, turnId, rating);
+    
+    if (!feedback) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+    
+    return res.status(200).json(feedback);
+  } catch (error) {
+    logger.error('Error recording feedback', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while recording your feedback',
+      message: error.message
+    });
+  }
+});
+
+// Review mode chat endpoint: one platform drafts, another critiques and revises
+app.post('/api/chat/review', async (req, res) => {
   try {
     const { message, userId, options } = req.body;
     
@@ -113,8 +259,46 @@ app.post('/api/chat/stream', (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
     
+    const userIdentifier = userId || req.ip;
+    const signal = createDisconnectSignal(res);
+    
+    const response = await orchestrationLayer.processReviewRequest(
+      message,
+      userIdentifier,
+      { ...options, signal }
+    );
+    
+    if (signal.aborted) {
+      return;
+    }
+    
+    return res.status(200).json(response);
+  } catch (error) {
+    logger.error('Error processing review chat request', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while processing your review request',
+      message: error.message
+    });
+  }
+});
+
+// Streaming chat endpoint
+app.post('/api/chat/stream', async (req, res) => {
+  try {
+    const { message, userId, conversationId, options } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
     const userIdentifier = userId || req.ip;
     
+    if (conversationId && !(await orchestrationLayer.contextManager.getConversation(userIdentifier, conversationId))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    const signal = createDisconnectSignal(res);
+    
     // Set up SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -125,6 +309,10 @@ app.post('/api/chat/stream', (req, res) => {
     
     // Process the request with streaming
     const onChunk = (chunk, metadata) => {
+      if (signal.aborted) {
+        return;
+      }
+      
       res.write(`data: ${JSON.stringify({ 
         type: 'chunk', 
         content: chunk,
@@ -136,9 +324,14 @@ app.post('/api/chat/stream', (req, res) => {
     orchestrationLayer.processRequest(
       message,
       userIdentifier,
-      { ...options, stream: true, onChunk }
+      { ...options, ...(conversationId && { conversationId }), stream: true, onChunk, signal }
     )
     .then(response => {
+      // Nobody is listening any more; the cancelled turn has already been saved
+      if (signal.aborted) {
+        return;
+      }
+      
       // Send completion message
       res.write(`data: ${JSON.stringify({ 
         type: 'end',
@@ -149,6 +342,11 @@ app.post('/api/chat/stream', (req, res) => {
     })
     .catch(error => {
       logger.error('Error processing streaming chat request', error);
+      
+      if (signal.aborted) {
+        return;
+      }
+      
       res.write(`data: ${JSON.stringify({ 
         type: 'error',
         error: 'An error occurred while processing your request',
@@ -166,6 +364,74 @@ app.post('/api/chat/stream', (req, res) => {
   }
 });
 
+// Queue a chat request to be processed in the background
+app.post('/api/chat/jobs', async (req, res) => {
+  try {
+    const { message, userId, platforms, options, webhookUrl } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    if (platforms !== undefined && (!Array.isArray(platforms) || platforms.length === 0)) {
+      return res.status(400).json({ error: 'At least one platform must be specified' });
+    }
+    
+    if (webhookUrl !== undefined) {
+      // Webhooks are posted from the server, so they must not reach internal addresses
+      try {
+        await assertPublicUrl(webhookUrl);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'webhookUrl must be a public http or https URL',
+          message: error.message
+        });
+      }
+    }
+    
+    const job = await jobQueue.enqueue({
+      message,
+      userId: userId || req.ip,
+      platforms,
+      options,
+      webhookUrl
+    });
+    
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/chat/jobs/${job.id}${userId ? `?userId=${encodeURIComponent(userId)}` : ''}`
+    });
+  } catch (error) {
+    logger.error('Error queueing chat job', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while queueing your request',
+      message: error.message
+    });
+  }
+});
+
+// Get the status, progress and, once finished, the result of one of the user's chat jobs
+app.get('/api/chat/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+    
+    // Other users' jobs are reported as missing, so job IDs cannot be probed
+    if (!job || job.userId !== (req.query.userId || req.ip)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const { webhookUrl, ...jobDetails } = job;
+    return res.status(200).json(jobDetails);
+  } catch (error) {
+    logger.error('Error retrieving chat job', error);
+    return res.status(500).json({ 
+      error: 'An error occurred while retrieving the job',
+      message: error.message
+    });
+  }
+});
+
 // Document processing endpoints
 if (config.features.enableDocumentProcessing) {
   app.use('/api/documents', require('./routes/documentRoutes'));
@@ -215,6 +481,7 @@ app.listen(port, async () => {
     
     // Initialize the orchestration layer
     await orchestrationLayer.initialize();
+    jobQueue.start();
     logger.info(`Majd platform server running on port ${port}`);
     logger.info(`Environment: ${config.nodeEnv}`);
     logger.info(`Document processing: ${config.features.enableDocumentProcessing ? 'Enabled' : 'Disabled'}`);
@@ -0,0 +1,396 @@
+/**
+ * Task Classifier Model for Majd Platform
+ *
+ * A multinomial naive Bayes classifier over TF-IDF weighted word, word-bigram and
+ * character-trigram features, trained offline from labeled examples and runs on the CPU
+ * without network access. The name is historical: the model does not call DeepSeek.
+ *
+ * Training data is JSONL with one { "text", "taskType" } object per line, taken from a
+ * labeled file and from the routing feedback log, where corrected task types are
+ * recorded. Models are saved as JSON under config.paths.models; train and evaluate them
+ * with run_task_classifier.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Version of the model file format
+const MODEL_FORMAT = 1;
+
+class DeepseekClassifier {
+  /**
+   * @param {Object} classifierConfig - Classifier configuration
+   */
+  constructor(classifierConfig = config.routing.mlClassifier) {
+    this.config = classifierConfig;
+    this.modelPath = path.resolve(config.paths.models, classifierConfig.modelFile);
+    this.feedbackPath = path.resolve(config.paths.data, classifierConfig.feedbackFile);
+    this.model = null;
+    this.featureIndex = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load the trained model; without one the classifier stays uninitialized and routing
+   * uses the rule-based classifier
+   */
+  async initialize() {
+    if (!fs.existsSync(this.modelPath)) {
+      logger.warn('No task classifier model found, using rule-based classification', { modelPath: this.modelPath });
+      return;
+    }
+
+    await this.load();
+  }
+
+  /**
+   * Classify a request
+   *
+   * @param {string} userInput - The user's input text
+   * @param {Array} context - The conversation context (not used by this model)
+   * @returns {Promise<Object>} - { taskType, confidence, probabilities }
+   */
+  async classify(userInput, context = []) {
+    if (!this.isInitialized) {
+      return { taskType: 'general', confidence: 0, probabilities: {} };
+    }
+
+    const probabilities = this.predict(userInput);
+    const taskType = Object.keys(probabilities).reduce((best, label) => (probabilities[label] > probabilities[best] ? label : best));
+
+    return {
+      taskType,
+      confidence: probabilities[taskType],
+      probabilities
+    };
+  }
+
+  /**
+   * Get the probability of every task type for a text
+   *
+   * @param {string} text - The text
+   * @returns {Object} - Task type to probability
+   */
+  predict(text) {
+    const { classes, priors, likelihoods, idf } = this.model;
+    const weights = this.weighFeatures(this.extractFeatures(text), idf);
+
+    const scores = classes.map((label, c) => {
+      let score = priors[c];
+
+      weights.forEach((weight, index) => {
+        score += weight * likelihoods[c][index];
+      });
+
+      return score;
+    });
+
+    // Softmax over the log scores
+    const maxScore = Math.max(...scores);
+    const exponentials = scores.map(score => Math.exp(score - maxScore));
+    const total = exponentials.reduce((sum, value) => sum + value, 0);
+
+    const probabilities = {};
+    classes.forEach((label, c) => {
+      probabilities[label] = Math.round(exponentials[c] / total * 10000) / 10000;
+    });
+
+    return probabilities;
+  }
+
+  /**
+   * Train a new model, replacing the current one
+   *
+   * @param {Array<Object>} examples - Labeled examples: { text, taskType }
+   * @returns {Object} - { examples, classes, features }
+   */
+  train(examples) {
+    if (examples.length === 0) {
+      throw new Error('No training examples');
+    }
+
+    const documents = examples.map(example => ({
+      taskType: example.taskType,
+      features: this.extractFeatures(example.text)
+    }));
+
+    // Keep the features that occur in the most documents
+    const documentFrequency = new Map();
+    documents.forEach(document => {
+      document.features.forEach((count, feature) => {
+        documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+      });
+    });
+
+    const vocabulary = [...documentFrequency.entries()]
+      .filter(([, frequency]) => frequency >= this.config.minDocumentFrequency)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, this.config.maxFeatures)
+      .map(([feature]) => feature);
+
+    const idf = vocabulary.map(feature => Math.log((1 + documents.length) / (1 + documentFrequency.get(feature))) + 1);
+    this.featureIndex = new Map(vocabulary.map((feature, index) => [feature, index]));
+
+    // Sum the weighted features of every class
+    const classes = [...new Set(documents.map(document => document.taskType))].sort();
+    const classCounts = classes.map(() => 0);
+    const featureWeights = classes.map(() => new Float64Array(vocabulary.length));
+
+    documents.forEach(document => {
+      const c = classes.indexOf(document.taskType);
+      classCounts[c] += 1;
+
+      this.weighFeatures(document.features, idf).forEach((weight, index) => {
+        featureWeights[c][index] += weight;
+      });
+    });
+
+    // Laplace-smoothed log likelihoods and log priors
+    const { alpha } = this.config;
+    const likelihoods = featureWeights.map(weights => {
+      const total = weights.reduce((sum, weight) => sum + weight, 0) + alpha * vocabulary.length;
+      return Array.from(weights, weight => Math.round(Math.log((weight + alpha) / total) * 100000) / 100000);
+    });
+    const priors = classCounts.map(count => Math.log(count / documents.length));
+
+    this.model = {
+      format: MODEL_FORMAT,
+      trainedAt: new Date().toISOString(),
+      examples: documents.length,
+      classes,
+      priors,
+      vocabulary,
+      idf: idf.map(value => Math.round(value * 100000) / 100000),
+      likelihoods
+    };
+    this.isInitialized = true;
+
+    logger.info('Task classifier trained', { examples: documents.length, classes: classes.length, features: vocabulary.length });
+
+    return { examples: documents.length, classes, features: vocabulary.length };
+  }
+
+  /**
+   * Evaluate the model on labeled examples
+   *
+   * @param {Array<Object>} examples - Labeled examples: { text, taskType }
+   * @returns {Object} - { examples, accuracy, perClass: { taskType: { precision, recall, f1, support } }, confusion }
+   */
+  evaluate(examples) {
+    if (!this.isInitialized) {
+      throw new Error('No task classifier model loaded');
+    }
+
+    const labels = [...new Set([...this.model.classes, ...examples.map(example => example.taskType)])].sort();
+    const confusion = {};
+    labels.forEach(actual => {
+      confusion[actual] = {};
+      labels.forEach(predicted => { confusion[actual][predicted] = 0; });
+    });
+
+    let correct = 0;
+    examples.forEach(example => {
+      const probabilities = this.predict(example.text);
+      const predicted = Object.keys(probabilities).reduce((best, label) => (probabilities[label] > probabilities[best] ? label : best));
+
+      confusion[example.taskType][predicted] += 1;
+      if (predicted === example.taskType) {
+        correct += 1;
+      }
+    });
+
+    const round = value => Math.round(value * 10000) / 10000;
+    const perClass = {};
+    labels.forEach(label => {
+      const truePositives = confusion[label][label];
+      const predictedCount = labels.reduce((sum, actual) => sum + confusion[actual][label], 0);
+      const support = labels.reduce((sum, predicted) => sum + confusion[label][predicted], 0);
+      const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+      const recall = support > 0 ? truePositives / support : 0;
+
+      perClass[label] = {
+        precision: round(precision),
+        recall: round(recall),
+        f1: precision + recall > 0 ? round(2 * precision * recall / (precision + recall)) : 0,
+        support
+      };
+    });
+
+    return {
+      examples: examples.length,
+      accuracy: examples.length > 0 ? round(correct / examples.length) : 0,
+      perClass,
+      confusion
+    };
+  }
+
+  /**
+   * Save the model
+   *
+   * @param {string} modelPath - Where to save it; defaults to the configured model file
+   * @returns {Promise<string>} - The path the model was saved to
+   */
+  async save(modelPath = this.modelPath) {
+    if (!this.model) {
+      throw new Error('No task classifier model to save');
+    }
+
+    await fs.promises.mkdir(path.dirname(modelPath), { recursive: true });
+    await fs.promises.writeFile(modelPath, JSON.stringify(this.model));
+
+    logger.info('Task classifier model saved', { modelPath });
+    return modelPath;
+  }
+
+  /**
+   * Load a saved model
+   *
+   * @param {string} modelPath - The model file; defaults to the configured model file
+   */
+  async load(modelPath = this.modelPath) {
+    const model = JSON.parse(await fs.promises.readFile(modelPath, 'utf8'));
+
+    if (model.format !== MODEL_FORMAT) {
+      throw new Error(`Unsupported task classifier model format: ${model.format}`);
+    }
+
+    this.model = model;
+    this.featureIndex = new Map(model.vocabulary.map((feature, index) => [feature, index]));
+    this.isInitialized = true;
+
+    logger.info('Task classifier model loaded', { modelPath, trainedAt: model.trainedAt, classes: model.classes });
+  }
+
+  /**
+   * Append a corrected task type to the routing feedback log
+   *
+   * @param {Object} feedback - The feedback
+   * @param {string} feedback.text - The user's input
+   * @param {string} feedback.taskType - The task type the request should have had
+   * @param {string} feedback.predictedTaskType - The task type it was routed as
+   * @param {string} feedback.userId - Who gave the feedback
+   * @returns {Promise<Object>} - The logged entry
+   */
+  async recordFeedback(feedback) {
+    const entry = {
+      text: feedback.text,
+      taskType: feedback.taskType,
+      predictedTaskType: feedback.predictedTaskType || null,
+      userId: feedback.userId || null,
+      timestamp: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(path.dirname(this.feedbackPath), { recursive: true });
+    await fs.promises.appendFile(this.feedbackPath, `${JSON.stringify(entry)}\n`);
+
+    logger.info('Routing feedback recorded', { taskType: entry.taskType, predictedTaskType: entry.predictedTaskType });
+    return entry;
+  }
+
+  /**
+   * Read labeled examples from a JSONL file
+   *
+   * Lines need a text and a taskType ("message" and "label" are accepted as well); other
+   * lines are skipped.
+   *
+   * @param {string} filePath - The file
+   * @returns {Promise<Array<Object>>} - The examples: { text, taskType }
+   */
+  async loadExamples(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const examples = [];
+
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        const entry = JSON.parse(line);
+        const text = entry.text || entry.message;
+        const taskType = entry.taskType || entry.label;
+
+        if (text && taskType) {
+          examples.push({ text, taskType });
+        } else {
+          logger.warn('Skipping unlabeled example', { filePath, line: index + 1 });
+        }
+      } catch (error) {
+        logger.warn('Skipping malformed example', { filePath, line: index + 1 });
+      }
+    });
+
+    return examples;
+  }
+
+  /**
+   * Extract features from a text: words, word bigrams, character trigrams of words and a
+   * few structural markers for code and math
+   *
+   * @param {string} text - The text
+   * @returns {Map} - Feature to count
+   */
+  extractFeatures(text) {
+    const normalized = String(text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+      .replace(/[أإآ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+      .replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+    const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+    const features = new Map();
+    const add = feature => features.set(feature, (features.get(feature) || 0) + 1);
+
+    words.forEach((word, index) => {
+      add(`w:${word}`);
+
+      if (index > 0) {
+        add(`b:${words[index - 1]} ${word}`);
+      }
+
+      // Trigrams catch inflected forms and attached Arabic prefixes
+      const padded = `<${word}>`;
+      for (let i = 0; i + 3 <= padded.length && padded.length > 4; i++) {
+        add(`c:${padded.substring(i, i + 3)}`);
+      }
+    });
+
+    if (normalized.includes('```')) add('s:code_fence');
+    if (/\d\s*[+*/×÷^=]\s*\d/.test(normalized)) add('s:arithmetic');
+    if ((normalized.match(/[{};]|=>|\(\)/g) || []).length >= 3) add('s:code_punctuation');
+
+    return features;
+  }
+
+  /**
+   * Turn feature counts into TF-IDF weights over the vocabulary
+   *
+   * Weights are normalized to unit length, so long texts do not get more extreme
+   * probabilities than short ones.
+   *
+   * @param {Map} features - Feature to count
+   * @param {Array<number>} idf - Inverse document frequency per vocabulary index
+   * @returns {Map} - Vocabulary index to weight; features outside the vocabulary are dropped
+   */
+  weighFeatures(features, idf) {
+    const weights = new Map();
+
+    features.forEach((count, feature) => {
+      const index = this.featureIndex.get(feature);
+
+      if (index !== undefined) {
+        weights.set(index, (1 + Math.log(count)) * idf[index]);
+      }
+    });
+
+    const length = Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    weights.forEach((weight, index) => weights.set(index, weight / length));
+
+    return weights;
+  }
+}
+
+module.exports = { DeepseekClassifier };
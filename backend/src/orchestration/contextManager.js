@@ -0,0 +1,748 @@
+/**
+ * Context Manager Component for Majd Platform
+ * 
+ * This component is responsible for managing conversation context across
+ * different AI platforms, ensuring a coherent user experience regardless
+ * of which backend system is processing the request.
+ *
+ * Conversations are trees of turns: every turn has an ID and a pointer to the turn it
+ * follows, so regenerating an answer or editing an earlier message starts a sibling
+ * branch instead of overwriting history. Context follows the user's active branch,
+ * which ends at the active turn.
+ *
+ * A user can have several named conversations, each with its own turn tree and active
+ * branch. Turns saved without a conversationId belong to the user's default conversation.
+ */
+
+const crypto = require('crypto');
+const { VectorDatabase } = require('../database/vectorDatabase');
+const { getKeyValueStore } = require('../database/keyValueStore');
+const platformRegistry = require('../platforms/registry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Conversation of turns saved without a conversationId; it has no stored record
+const DEFAULT_CONVERSATION = 'default';
+
+/**
+ * Encode an ID for use as one segment of a store key
+ *
+ * Keeps the ':' separator and glob characters out of keys, so the key prefix of
+ * one user can never match the keys of another.
+ *
+ * @param {string} id - The user or conversation ID
+ * @returns {string} - The encoded segment
+ */
+function keySegment(id) {
+  return encodeURIComponent(String(id)).replace(/\*/g, '%2A');
+}
+
+class ContextManager {
+  constructor() {
+    this.vectorDb = new VectorDatabase();
+    this.turnStore = getKeyValueStore('conversation-turns', {
+      backend: config.conversations.backend,
+      maxEntries: config.conversations.maxEntries
+    });
+    this.conversationStore = getKeyValueStore('conversations', {
+      backend: config.conversations.backend,
+      maxEntries: config.conversations.maxEntries
+    });
+    this.maxContextLength = config.MAX_CONTEXT_LENGTH || 10;
+    this.defaultContextWindowSize = 32000;
+    this.defaultSystemPrompt = 'You are Majd, an advanced AI assistant that combines the capabilities of multiple AI systems. You provide detailed reasoning and show your thinking process step by step when solving complex problems.';
+  }
+
+  /**
+   * Initialize the context manager
+   */
+  async initialize() {
+    try {
+      await this.vectorDb.initialize();
+      logger.info('Context Manager initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Context Manager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the conversation context for a user
+   * 
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Additional options for context retrieval; options.conversationId
+   *   selects the conversation, options.parentTurnId reads the branch ending at that turn instead
+   *   of the active one (null for none), and options.searchAllConversations lets semantic search
+   *   look beyond the conversation
+   * @returns {Promise<Array>} - The conversation context
+   */
+  async getContext(userId, options = {}) {
+    try {
+      const conversationId = options.conversationId || DEFAULT_CONVERSATION;
+      
+      // Get the platform to determine context window size
+      const platform = options.platform || 'chatgpt';
+      const capabilities = platformRegistry.getCapabilities(platform);
+      const contextWindowSize = capabilities ? capabilities.contextWindow : this.defaultContextWindowSize;
+      
+      // Retrieve recent conversation history along the branch, or the flat history of
+      // users whose turns predate branching and named conversations
+      const branchEnd = options.parentTurnId !== undefined
+        ? options.parentTurnId
+        : await this.getActiveTurnId(userId, conversationId);
+      
+      const conversationHistory = branchEnd !== undefined || conversationId !== DEFAULT_CONVERSATION
+        ? await this.getBranch(userId, branchEnd || null, this.maxContextLength)
+        : await this.vectorDb.getConversationHistory(userId, this.maxContextLength);
+      
+      // Optimize context based on platform's context window size
+      const optimizedContext = this.optimizeContext(conversationHistory, contextWindowSize);
+      
+      // If semantic search is enabled, retrieve relevant past conversations
+      if (options.enableSemanticSearch && options.userInput) {
+        const relevantHistory = await this.vectorDb.searchSimilarConversations(
+          userId,
+          options.userInput,
+          options.maxRelevantItems || 3,
+          options.searchAllConversations ? {} : { conversationId }
+        );
+        
+        // Merge and optimize again
+        return this.mergeAndOptimizeContext(optimizedContext, relevantHistory, contextWindowSize);
+      }
+      
+      return optimizedContext;
+    } catch (error) {
+      logger.error('Error retrieving context', error);
+      // Return empty context in case of error
+      return [];
+    }
+  }
+
+  /**
+   * Check whether a request's prompt will include conversation context
+   * 
+   * @param {string} userId - The user's ID
+   * @param {Object} options - The options getContext would get
+   * @returns {Promise<boolean>} - Whether getContext may return any turns; true when unsure
+   */
+  async hasContext(userId, options = {}) {
+    if (options.enableSemanticSearch) {
+      return true;
+    }
+    
+    try {
+      const conversationId = options.conversationId || DEFAULT_CONVERSATION;
+      const branchEnd = options.parentTurnId !== undefined
+        ? options.parentTurnId
+        : await this.getActiveTurnId(userId, conversationId);
+      
+      if (branchEnd !== undefined || conversationId !== DEFAULT_CONVERSATION) {
+        return Boolean(branchEnd);
+      }
+      
+      // Users whose turns predate branching have a flat history instead
+      const history = await this.vectorDb.getConversationHistory(userId, 1);
+      return history.length > 0;
+    } catch (error) {
+      logger.error('Error checking for context', error);
+      return true;
+    }
+  }
+
+  /**
+   * Save a conversation turn to the context
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} userInput - The user's input
+   * @param {string} aiResponse - The AI's response
+   * @param {Object} metadata - Additional metadata about the conversation; metadata.conversationId
+   *   selects the conversation, metadata.parentId is the turn this one follows (null for a
+   *   first turn), defaulting to the conversation's active turn, and metadata.experiment is the
+   *   routing experiment assignment the answer was served under
+   * @returns {Promise<string|null>} - The ID of the saved turn, now the active turn, or null on failure
+   */
+  async saveContext(userId, userInput, aiResponse, metadata = {}) {
+    try {
+      const conversationId = metadata.conversationId || DEFAULT_CONVERSATION;
+      const parentId = metadata.parentId !== undefined
+        ? metadata.parentId
+        : (await this.getActiveTurnId(userId, conversationId)) || null;
+      
+      // Create conversation turn object
+      const conversationTurn = {
+        turnId: crypto.randomUUID(),
+        parentId,
+        conversationId,
+        userId,
+        userInput,
+        aiResponse,
+        platform: metadata.platform || 'unknown',
+        // The platform routing chose, which differs from platform after a fallback or a lost hedge
+        intendedPlatform: metadata.intendedPlatform || metadata.platform || 'unknown',
+        taskType: metadata.taskType || 'general',
+        status: metadata.status || 'completed', // 'cancelled' turns may hold a partial response
+        timestamp: metadata.timestamp || new Date().toISOString(),
+        ...(metadata.experiment && {
+          experiment: { experimentId: metadata.experiment.experimentId, variant: metadata.experiment.variant }
+        })
+      };
+      
+      // Save to the turn tree, making the new turn the end of the active branch
+      await this.turnStore.set(`turn:${keySegment(userId)}:${conversationTurn.turnId}`, conversationTurn);
+      await this.turnStore.pushToList(`turns:${keySegment(userId)}:${keySegment(conversationId)}`, conversationTurn.turnId);
+      await this.turnStore.set(`active:${keySegment(userId)}:${keySegment(conversationId)}`, conversationTurn.turnId);
+      await this.touchConversation(userId, conversationId, conversationTurn.timestamp);
+      
+      // Save to vector database
+      await this.vectorDb.saveConversationTurn(conversationTurn);
+      
+      logger.debug('Context saved successfully', { userId, conversationId, turnId: conversationTurn.turnId, parentId });
+      return conversationTurn.turnId;
+    } catch (error) {
+      logger.error('Error saving context', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a conversation turn
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - The turn ID
+   * @returns {Promise<Object|null>} - The turn, or null if unknown
+   */
+  async getTurn(userId, turnId) {
+    return this.turnStore.get(`turn:${keySegment(userId)}:${turnId}`);
+  }
+
+  /**
+   * Record the user's feedback on a turn's answer
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - The turn ID
+   * @param {string} feedback - 'positive' or 'negative'
+   * @returns {Promise<Object|null>} - The updated turn, or null if unknown
+   */
+  async setTurnFeedback(userId, turnId, feedback) {
+    const turn = await this.getTurn(userId, turnId);
+    
+    if (!turn) {
+      return null;
+    }
+    
+    turn.feedback = feedback;
+    await this.turnStore.set(`turn:${keySegment(userId)}:${turnId}`, turn);
+    
+    return turn;
+  }
+
+  /**
+   * Get the turn that ends a conversation's active branch
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID; omit for the default conversation
+   * @returns {Promise<string|undefined>} - The turn ID, or undefined if the conversation has no turns
+   */
+  async getActiveTurnId(userId, conversationId = DEFAULT_CONVERSATION) {
+    const turnId = await this.turnStore.get(`active:${keySegment(userId)}:${keySegment(conversationId)}`);
+    return turnId || undefined;
+  }
+
+  /**
+   * Get the turns of the branch ending at a turn, oldest first
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string|null} turnId - The last turn of the branch; null for an empty branch
+   * @param {number} limit - Maximum number of turns, counted back from the last one
+   * @returns {Promise<Array>} - The turns
+   */
+  async getBranch(userId, turnId, limit = Infinity) {
+    const branch = [];
+    let currentId = turnId;
+    
+    while (currentId && branch.length < limit) {
+      const turn = await this.getTurn(userId, currentId);
+      
+      if (!turn) {
+        break;
+      }
+      
+      branch.unshift(turn);
+      currentId = turn.parentId;
+    }
+    
+    return branch;
+  }
+
+  /**
+   * List the branches of a conversation
+   * 
+   * A branch is identified by its last turn. divergesAt is the most recent turn of the
+   * branch that has siblings, i.e. the regenerated or edited turn that started it.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID; omit for the default conversation
+   * @returns {Promise<Object>} - { activeTurnId, branches: [{ turnId, active, length, divergesAt, ... }] }
+   */
+  async listBranches(userId, conversationId = DEFAULT_CONVERSATION) {
+    const turns = await this.getAllTurns(userId, conversationId);
+    const activeTurnId = (await this.getActiveTurnId(userId, conversationId)) || null;
+    const children = this.groupChildren(turns);
+    const turnsById = new Map(turns.map(turn => [turn.turnId, turn]));
+    const activePath = new Set((await this.getBranch(userId, activeTurnId)).map(turn => turn.turnId));
+    
+    const branches = turns
+      .filter(turn => !children.has(turn.turnId))
+      .map(leaf => {
+        let length = 0;
+        let divergesAt = null;
+        
+        for (let turn = leaf; turn; turn = turnsById.get(turn.parentId)) {
+          length += 1;
+          
+          if (!divergesAt && children.get(turn.parentId || null).length > 1) {
+            divergesAt = turn.turnId;
+          }
+        }
+        
+        return {
+          turnId: leaf.turnId,
+          active: activePath.has(leaf.turnId),
+          length,
+          divergesAt,
+          lastUserInput: leaf.userInput,
+          platform: leaf.platform,
+          updatedAt: leaf.timestamp
+        };
+      })
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    
+    return { activeTurnId, branches };
+  }
+
+  /**
+   * Make a turn's branch the active one in the turn's conversation
+   * 
+   * Switching to a turn that later turns follow continues to the most recent turn below
+   * it, so switching to a sibling restores that sibling's whole branch.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - Any turn of the branch
+   * @returns {Promise<string|null>} - The new active turn ID, or null if the turn is unknown
+   */
+  async switchBranch(userId, turnId) {
+    const turn = await this.getTurn(userId, turnId);
+    
+    if (!turn) {
+      return null;
+    }
+    
+    const conversationId = turn.conversationId || DEFAULT_CONVERSATION;
+    const children = this.groupChildren(await this.getAllTurns(userId, conversationId));
+    let activeTurnId = turn.turnId;
+    
+    while (children.has(activeTurnId)) {
+      const latest = children.get(activeTurnId).reduce((a, b) => (a.timestamp >= b.timestamp ? a : b));
+      activeTurnId = latest.turnId;
+    }
+    
+    await this.turnStore.set(`active:${keySegment(userId)}:${keySegment(conversationId)}`, activeTurnId);
+    logger.info('Active branch switched', { userId, conversationId, turnId, activeTurnId });
+    
+    return activeTurnId;
+  }
+
+  /**
+   * Get every stored turn of a user
+   * 
+   * A conversation's turns are read through its index list; only listing every
+   * conversation's turns scans the user's keys.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - Only return the turns of this conversation; omit for all
+   * @returns {Promise<Array>} - The turns, in no particular order
+   */
+  async getAllTurns(userId, conversationId) {
+    const keys = conversationId
+      ? (await this.turnStore.getList(`turns:${keySegment(userId)}:${keySegment(conversationId)}`))
+        .map(turnId => `turn:${keySegment(userId)}:${turnId}`)
+      : await this.turnStore.keys(`turn:${keySegment(userId)}:`);
+    const turns = await Promise.all(keys.map(key => this.turnStore.get(key)));
+    
+    // Evicted turns leave their ID in the index
+    return turns.filter(Boolean);
+  }
+
+  /**
+   * Create a named conversation
+   * 
+   * @param {string} userId - The user's ID
+   * @param {Object} details - Conversation details
+   * @param {string} details.title - The conversation's title
+   * @returns {Promise<Object>} - The conversation
+   */
+  async createConversation(userId, details = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      conversationId: crypto.randomUUID(),
+      userId,
+      title: details.title || 'New conversation',
+      archived: false,
+      turnCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    await this.conversationStore.set(`conversation:${keySegment(userId)}:${keySegment(conversation.conversationId)}`, conversation);
+    logger.info('Conversation created', { userId, conversationId: conversation.conversationId });
+    
+    return conversation;
+  }
+
+  /**
+   * Get a named conversation
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Object|null>} - The conversation, or null if unknown
+   */
+  async getConversation(userId, conversationId) {
+    return this.conversationStore.get(`conversation:${keySegment(userId)}:${keySegment(conversationId)}`);
+  }
+
+  /**
+   * List a user's named conversations, most recently updated first
+   * 
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Listing options; options.includeArchived also lists archived conversations
+   * @returns {Promise<Array>} - The conversations
+   */
+  async listConversations(userId, options = {}) {
+    const keys = await this.conversationStore.keys(`conversation:${keySegment(userId)}:`);
+    const conversations = await Promise.all(keys.map(key => this.conversationStore.get(key)));
+    
+    return conversations
+      .filter(conversation => conversation && (options.includeArchived || !conversation.archived))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Rename, archive or unarchive a named conversation
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID
+   * @param {Object} changes - { title, archived }; other fields are ignored
+   * @returns {Promise<Object|null>} - The updated conversation, or null if unknown
+   */
+  async updateConversation(userId, conversationId, changes = {}) {
+    const conversation = await this.getConversation(userId, conversationId);
+    
+    if (!conversation) {
+      return null;
+    }
+    
+    if (typeof changes.title === 'string' && changes.title.trim()) {
+      conversation.title = changes.title.trim();
+    }
+    
+    if (typeof changes.archived === 'boolean') {
+      conversation.archived = changes.archived;
+    }
+    
+    conversation.updatedAt = new Date().toISOString();
+    await this.conversationStore.set(`conversation:${keySegment(userId)}:${keySegment(conversationId)}`, conversation);
+    
+    return conversation;
+  }
+
+  /**
+   * Delete a named conversation and its history
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<boolean>} - Whether the conversation existed
+   */
+  async deleteConversation(userId, conversationId) {
+    if (!(await this.getConversation(userId, conversationId))) {
+      return false;
+    }
+    
+    await this.clearContext(userId, { conversationId });
+    await this.conversationStore.delete(`conversation:${keySegment(userId)}:${keySegment(conversationId)}`);
+    logger.info('Conversation deleted', { userId, conversationId });
+    
+    return true;
+  }
+
+  /**
+   * Count a new turn in a named conversation's record
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} conversationId - The conversation ID
+   * @param {string} timestamp - When the turn was saved
+   */
+  async touchConversation(userId, conversationId, timestamp) {
+    const conversation = conversationId !== DEFAULT_CONVERSATION
+      ? await this.getConversation(userId, conversationId)
+      : null;
+    
+    if (conversation) {
+      conversation.turnCount += 1;
+      conversation.updatedAt = timestamp;
+      await this.conversationStore.set(`conversation:${keySegment(userId)}:${keySegment(conversationId)}`, conversation);
+    }
+  }
+
+  /**
+   * Group turns by the turn they follow
+   * 
+   * @param {Array} turns - The turns
+   * @returns {Map} - Parent turn ID (null for first turns) to the turns that follow it
+   */
+  groupChildren(turns) {
+    const children = new Map();
+    
+    turns.forEach(turn => {
+      const parentId = turn.parentId || null;
+      
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(turn);
+    });
+    
+    return children;
+  }
+
+  /**
+   * Optimize context to fit within platform's context window
+   * 
+   * @param {Array} context - The conversation context
+   * @param {number} contextWindowSize - The platform's context window size
+   * @returns {Array} - The optimized context
+   */
+  optimizeContext(context, contextWindowSize) {
+    // Simple token count estimation (can be replaced with more accurate tokenizer)
+    const estimateTokens = (text) => {
+      return text ? text.split(/\s+/).length * 1.3 : 0; // Rough estimate
+    };
+    
+    let totalTokens = 0;
+    const optimizedContext = [];
+    
+    // Process from most recent to oldest
+    for (let i = context.length - 1; i >= 0; i--) {
+      const turn = context[i];
+      const turnTokens = estimateTokens(turn.userInput) + estimateTokens(turn.aiResponse);
+      
+      // Check if adding this turn would exceed the context window
+      if (totalTokens + turnTokens > contextWindowSize * 0.9) { // 90% of limit to be safe
+        break;
+      }
+      
+      // Add turn to optimized context
+      optimizedContext.unshift(turn); // Add to beginning to maintain chronological order
+      totalTokens += turnTokens;
+    }
+    
+    return optimizedContext;
+  }
+
+  /**
+   * Merge recent context with relevant historical context
+   * 
+   * @param {Array} recentContext - Recent conversation context
+   * @param {Array} relevantHistory - Relevant historical conversations
+   * @param {number} contextWindowSize - The platform's context window size
+   * @returns {Array} - The merged and optimized context
+   */
+  mergeAndOptimizeContext(recentContext, relevantHistory, contextWindowSize) {
+    // Combine recent context with relevant history
+    const combinedContext = [...recentContext];
+    
+    // Add a separator to indicate historical context
+    if (relevantHistory.length > 0) {
+      combinedContext.push({
+        userInput: '',
+        aiResponse: '--- Relevant past conversations ---',
+        isSystemMessage: true
+      });
+    }
+    
+    // Add relevant history
+    combinedContext.push(...relevantHistory);
+    
+    // Re-optimize to fit context window
+    return this.optimizeContext(combinedContext, contextWindowSize);
+  }
+
+  /**
+   * Clear the context for a user
+   * 
+   * With options.conversationId only that conversation's history is cleared; without it
+   * every conversation of the user is deleted along with its history.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Options; options.conversationId selects the conversation
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async clearContext(userId, options = {}) {
+    try {
+      const { conversationId } = options;
+      
+      if (conversationId) {
+        await this.vectorDb.clearUserConversations(userId, { conversationId });
+        
+        const turns = await this.getAllTurns(userId, conversationId);
+        await Promise.all([
+          ...turns.map(turn => `turn:${keySegment(userId)}:${turn.turnId}`),
+          `turns:${keySegment(userId)}:${keySegment(conversationId)}`,
+          `active:${keySegment(userId)}:${keySegment(conversationId)}`
+        ].map(key => this.turnStore.delete(key)));
+        
+        const conversation = await this.getConversation(userId, conversationId);
+        if (conversation) {
+          conversation.turnCount = 0;
+          conversation.updatedAt = new Date().toISOString();
+          await this.conversationStore.set(`conversation:${keySegment(userId)}:${keySegment(conversationId)}`, conversation);
+        }
+      } else {
+        await this.vectorDb.clearUserConversations(userId);
+        
+        const turnKeys = [
+          ...await this.turnStore.keys(`turn:${keySegment(userId)}:`),
+          ...await this.turnStore.keys(`turns:${keySegment(userId)}:`),
+          ...await this.turnStore.keys(`active:${keySegment(userId)}:`)
+        ];
+        const conversationKeys = await this.conversationStore.keys(`conversation:${keySegment(userId)}:`);
+        await Promise.all([
+          ...turnKeys.map(key => this.turnStore.delete(key)),
+          ...conversationKeys.map(key => this.conversationStore.delete(key))
+        ]);
+      }
+      
+      logger.info('Context cleared successfully', { userId, conversationId });
+      return true;
+    } catch (error) {
+      logger.error('Error clearing context', error);
+      return false;
+    }
+  }
+
+  /**
+   * Format context for a specific AI platform
+   * 
+   * The message format, system prompt and any extra prompt fields come from the
+   * platform's descriptor in the platform registry.
+   * 
+   * @param {Array} context - The conversation context
+   * @param {string} platform - The target AI platform
+   * @returns {Object} - Platform-specific formatted context
+   */
+  formatContextForPlatform(context, platform) {
+    const adapter = platformRegistry.get(platform);
+    const systemPrompt = (adapter && adapter.systemPrompt) || this.defaultSystemPrompt;
+    
+    const formattedContext = adapter && adapter.capabilities.messageFormat === 'gemini'
+      ? this.formatAsContents(context, systemPrompt)
+      : this.formatAsMessages(context, systemPrompt);
+    
+    return {
+      ...formattedContext,
+      ...(adapter && adapter.promptDefaults)
+    };
+  }
+
+  /**
+   * Format context as a chat completion messages array
+   * 
+   * @param {Array} context - The conversation context
+   * @param {string} systemPrompt - The platform's system prompt
+   * @returns {Object} - Context formatted as { messages }
+   */
+  formatAsMessages(context, systemPrompt) {
+    const messages = [];
+    
+    // Add system message
+    messages.push({
+      role: 'system',
+      content: systemPrompt
+    });
+    
+    // Add conversation turns
+    context.forEach(turn => {
+      if (turn.isSystemMessage) {
+        messages.push({
+          role: 'system',
+          content: turn.aiResponse
+        });
+      } else {
+        messages.push({
+          role: 'user',
+          content: turn.userInput
+        });
+        
+        if (turn.aiResponse) {
+          messages.push({
+            role: 'assistant',
+            content: turn.aiResponse
+          });
+        }
+      }
+    });
+    
+    return { messages };
+  }
+
+  /**
+   * Format context as a Gemini contents array
+   * 
+   * @param {Array} context - The conversation context
+   * @param {string} systemPrompt - The platform's system prompt
+   * @returns {Object} - Context formatted as { contents }
+   */
+  formatAsContents(context, systemPrompt) {
+    const contents = [];
+    
+    // Add system message
+    contents.push({
+      role: 'system',
+      parts: [{
+        text: systemPrompt
+      }]
+    });
+    
+    // Add conversation turns
+    context.forEach(turn => {
+      if (turn.isSystemMessage) {
+        contents.push({
+          role: 'system',
+          parts: [{
+            text: turn.aiResponse
+          }]
+        });
+      } else {
+        contents.push({
+          role: 'user',
+          parts: [{
+            text: turn.userInput
+          }]
+        });
+        
+        if (turn.aiResponse) {
+          contents.push({
+            role: 'model',
+            parts: [{
+              text: turn.aiResponse
+            }]
+          });
+        }
+      }
+    });
+    
+    return { contents };
+  }
+}
+
+module.exports = { ContextManager };
@@ -2,6 +2,7 @@ const { TaskRouter } = require('./taskRouter');
 const { ContextManager } = require('./contextManager');
 const { ThinkingEngine } = require('./thinkingEngine');
 const { ResponseSynthesizer } = require('./responseSynthesizer');
+const { UsageTracker } = require('./usageTracker');
 const { logger } = require('../utils/logger');
 const config = require('../config');
 
@@ -11,6 +12,7 @@ class DocumentOrchestrator {
     this.contextManager = new ContextManager();
     this.thinkingEngine = new ThinkingEngine();
     this.responseSynthesizer = new ResponseSynthesizer();
+    this.usageTracker = new UsageTracker();
   }
   
   async processDocument(documentId, documentContent, options = {}) {
@@ -70,6 +72,8 @@ class DocumentOrchestrator {
         documentContext
       );
       
+      const { usage, estimatedCost } = await this.accountUsage(taskResults, options.userId);
+      
       const endTime = Date.now();
       const processingTime = endTime - startTime;
       
@@ -78,7 +82,9 @@ class DocumentOrchestrator {
       return {
         ...processedResult,
         processingTime,
-        platform: taskResults.map(tr => tr.platform).join(', ')
+        platform: taskResults.map(tr => tr.platform).join(', '),
+        usage,
+        estimatedCost
       };
     } catch (error) {
       logger.error(`Document orchestration failed for ${documentId}:`, error);
@@ -155,10 +161,17 @@ class DocumentOrchestrator {
         thinkingSteps
       );
       
+      const { usage, estimatedCost } = await this.accountUsage(
+        [{ platform: platform.name, result }],
+        options.userId
+      );
+      
       return {
         question,
         answer,
         platform: platform.name,
+        usage,
+        estimatedCost,
         thinkingSteps: options.includeThinking ? thinkingSteps : undefined
       };
     } catch (error) {
@@ -166,6 +179,26 @@ class DocumentOrchestrator {
       throw new Error(`Question answering failed: ${error.message}`);
     }
   }
+  
+  async accountUsage(taskResults, userId) {
+    let usage = this.usageTracker.emptyUsage();
+    let estimatedCost = 0;
+    
+    for (const taskResult of taskResults) {
+      const taskUsage = this.usageTracker.normalizeUsage(taskResult.result, null, taskResult.result && taskResult.result.content);
+      const model = this.usageTracker.getModel(taskResult.result, taskResult.platform);
+      const cost = this.usageTracker.estimateCost(taskUsage, taskResult.platform, model);
+      
+      usage = this.usageTracker.addUsage(usage, taskUsage);
+      estimatedCost += cost;
+      
+      if (userId) {
+        await this.usageTracker.recordUsage(userId, { platform: taskResult.platform, model, usage: taskUsage, cost });
+      }
+    }
+    
+    return { usage, estimatedCost: Math.round(estimatedCost * 1000000) / 1000000 };
+  }
 }
 
 module.exports = { DocumentOrchestrator };
@@ -0,0 +1,427 @@
+/**
+ * Experiment Manager Component for Majd Platform
+ *
+ * This component runs A/B routing experiments. An experiment defines variants, each
+ * leading with a platform (or, without one, keeping the normal routing), and a traffic
+ * split per task type in percent:
+ *
+ *   {
+ *     "name": "Research: Gemini vs Perplexity",
+ *     "variants": [
+ *       { "name": "control" },
+ *       { "name": "gemini", "platform": "gemini" }
+ *     ],
+ *     "traffic": { "research": { "control": 50, "gemini": 50 } }
+ *   }
+ *
+ * Users are assigned by hashing the experiment ID with the user ID, so a user always gets
+ * the same variant; traffic not covered by the split is routed normally. Outcomes
+ * (latency, cost, errors, fallbacks, hedge wins and user feedback) are counted per variant,
+ * under the variant a request was assigned to even when another platform answered it. The
+ * counts are kept in a store hash and updated atomically, so every instance can record them.
+ */
+
+const crypto = require('crypto');
+const { getKeyValueStore } = require('../database/keyValueStore');
+const platformRegistry = require('../platforms/registry');
+const routingRules = require('./routingRules');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const STATUSES = ['active', 'paused', 'completed'];
+
+// Hash fields counting each feedback rating
+const FEEDBACK_FIELDS = { positive: 'feedbackPositive', negative: 'feedbackNegative' };
+
+class ExperimentManager {
+  constructor(experimentsConfig = config.experiments) {
+    this.store = getKeyValueStore('experiments', { backend: experimentsConfig.backend });
+  }
+
+  /**
+   * Check an experiment definition
+   *
+   * @param {Object} definition - { name, variants, traffic, status }
+   * @returns {Array<string>} - The problems found; empty if the definition is valid
+   */
+  validate(definition) {
+    const errors = [];
+    const { name, variants, traffic, status } = definition || {};
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('name is required');
+    }
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+      errors.push('variants must list at least two variants');
+      return errors;
+    }
+
+    const variantNames = variants.map(variant => variant && variant.name);
+
+    variants.forEach((variant, index) => {
+      if (!variant || typeof variant.name !== 'string' || !variant.name.trim()) {
+        errors.push(`variants[${index}].name is required`);
+      } else if (variantNames.indexOf(variant.name) !== index) {
+        errors.push(`variant ${variant.name} is defined more than once`);
+      }
+
+      if (variant && variant.platform !== undefined && !platformRegistry.has(variant.platform)) {
+        errors.push(`variants[${index}].platform ${variant.platform} is not a known platform`);
+      }
+    });
+
+    if (!traffic || typeof traffic !== 'object' || Object.keys(traffic).length === 0) {
+      errors.push('traffic must give a split for at least one task type');
+      return errors;
+    }
+
+    Object.entries(traffic).forEach(([taskType, split]) => {
+      if (!routingRules.getTaskType(taskType)) {
+        errors.push(`traffic.${taskType} is not a defined task type`);
+        return;
+      }
+
+      if (!split || typeof split !== 'object') {
+        errors.push(`traffic.${taskType} must map variants to percentages`);
+        return;
+      }
+
+      Object.entries(split).forEach(([variantName, share]) => {
+        if (!variantNames.includes(variantName)) {
+          errors.push(`traffic.${taskType}.${variantName} is not a variant`);
+        }
+
+        if (typeof share !== 'number' || share < 0) {
+          errors.push(`traffic.${taskType}.${variantName} must be a percentage`);
+        }
+      });
+
+      const total = Object.values(split).reduce((sum, share) => sum + (Number(share) || 0), 0);
+
+      if (total > 100) {
+        errors.push(`traffic.${taskType} adds up to ${total}%, more than 100%`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Find active experiments that split traffic for the same task types as an experiment
+   *
+   * A request takes part in one experiment at most, so active experiments must not overlap.
+   *
+   * @param {Object} experiment - The experiment
+   * @returns {Promise<Array<Object>>} - The overlapping experiments
+   */
+  async findOverlapping(experiment) {
+    const taskTypes = Object.keys(experiment.traffic);
+    const experiments = await this.listExperiments();
+
+    return experiments.filter(other =>
+      other.id !== experiment.id &&
+      other.status === 'active' &&
+      Object.keys(other.traffic).some(taskType => taskTypes.includes(taskType))
+    );
+  }
+
+  /**
+   * Create an experiment
+   *
+   * @param {Object} definition - { name, description, variants, traffic, status }; call
+   *   validate first, and findOverlapping if the experiment starts active
+   * @returns {Promise<Object>} - The experiment
+   */
+  async createExperiment(definition) {
+    const now = new Date().toISOString();
+    const experiment = {
+      id: crypto.randomUUID(),
+      name: definition.name.trim(),
+      description: definition.description || '',
+      variants: definition.variants.map(variant => ({
+        name: variant.name,
+        ...(variant.platform && { platform: variant.platform })
+      })),
+      traffic: definition.traffic,
+      status: STATUSES.includes(definition.status) ? definition.status : 'active',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(`experiment:${experiment.id}`, experiment);
+    logger.info('Experiment created', { experimentId: experiment.id, name: experiment.name, status: experiment.status });
+
+    return experiment;
+  }
+
+  /**
+   * Get an experiment
+   *
+   * @param {string} experimentId - The experiment ID
+   * @returns {Promise<Object|null>} - The experiment, or null if unknown
+   */
+  async getExperiment(experimentId) {
+    return this.store.get(`experiment:${experimentId}`);
+  }
+
+  /**
+   * List experiments, oldest first
+   *
+   * @returns {Promise<Array>} - The experiments
+   */
+  async listExperiments() {
+    const keys = await this.store.keys('experiment:');
+    const experiments = await Promise.all(keys.map(key => this.store.get(key)));
+
+    return experiments
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Rename, pause, resume or complete an experiment
+   *
+   * @param {string} experimentId - The experiment ID
+   * @param {Object} changes - { name, description, status }; other fields are ignored
+   * @returns {Promise<Object|null>} - The updated experiment, or null if unknown
+   */
+  async updateExperiment(experimentId, changes = {}) {
+    const experiment = await this.getExperiment(experimentId);
+
+    if (!experiment) {
+      return null;
+    }
+
+    if (typeof changes.name === 'string' && changes.name.trim()) {
+      experiment.name = changes.name.trim();
+    }
+
+    if (typeof changes.description === 'string') {
+      experiment.description = changes.description;
+    }
+
+    if (STATUSES.includes(changes.status)) {
+      experiment.status = changes.status;
+    }
+
+    experiment.updatedAt = new Date().toISOString();
+    await this.store.set(`experiment:${experimentId}`, experiment);
+    logger.info('Experiment updated', { experimentId, status: experiment.status });
+
+    return experiment;
+  }
+
+  /**
+   * Delete an experiment and its results
+   *
+   * @param {string} experimentId - The experiment ID
+   * @returns {Promise<boolean>} - Whether the experiment existed
+   */
+  async deleteExperiment(experimentId) {
+    if (!(await this.getExperiment(experimentId))) {
+      return false;
+    }
+
+    const resultKeys = await this.store.keys(`results:${experimentId}:`);
+    await Promise.all(resultKeys.map(key => this.store.delete(key)));
+    await this.store.delete(`experiment:${experimentId}`);
+    logger.info('Experiment deleted', { experimentId });
+
+    return true;
+  }
+
+  /**
+   * Assign a user to a variant of the active experiment for a task type
+   *
+   * @param {string} userId - The user's ID
+   * @param {string} taskType - The request's task type
+   * @returns {Promise<Object|null>} - { experimentId, variant, platform }, or null if the
+   *   request takes part in no experiment
+   */
+  async assign(userId, taskType) {
+    try {
+      const experiments = await this.listExperiments();
+      const experiment = experiments.find(candidate => candidate.status === 'active' && candidate.traffic[taskType]);
+
+      if (!experiment) {
+        return null;
+      }
+
+      const bucket = this.getBucket(experiment.id, userId);
+      let threshold = 0;
+
+      for (const [variantName, share] of Object.entries(experiment.traffic[taskType])) {
+        threshold += share;
+
+        if (bucket < threshold) {
+          const variant = experiment.variants.find(candidate => candidate.name === variantName);
+
+          return {
+            experimentId: experiment.id,
+            variant: variant.name,
+            platform: variant.platform || null
+          };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error assigning experiment variant', error);
+      return null;
+    }
+  }
+
+  /**
+   * Place a user in one of 100 buckets for an experiment, the same way on every request
+   *
+   * @param {string} experimentId - The experiment ID
+   * @param {string} userId - The user's ID
+   * @returns {number} - The bucket, from 0 up to but not including 100
+   */
+  getBucket(experimentId, userId) {
+    const hash = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000 * 100;
+  }
+
+  /**
+   * Record the outcome of a request served under an experiment
+   *
+   * @param {Object} assignment - The assignment from assign
+   * @param {Object} outcome - { latencyMs, cost, error, fallback, hedgeWin } for a request,
+   *   where hedgeWin is set when the hedged secondary platform answered first, or
+   *   { feedback, previousFeedback } for user feedback ('positive' or 'negative'), where
+   *   previousFeedback is replaced by feedback
+   * @returns {Promise<Object|null>} - The variant's updated results, or null on failure
+   */
+  async recordOutcome(assignment, outcome) {
+    const increment = {};
+    const min = {};
+    const max = { updatedAt: Date.now() };
+
+    if (outcome.latencyMs !== undefined) {
+      Object.assign(increment, {
+        requests: 1,
+        errors: outcome.error ? 1 : 0,
+        fallbacks: outcome.fallback ? 1 : 0,
+        hedgeWins: outcome.hedgeWin ? 1 : 0,
+        latencyTotal: outcome.latencyMs,
+        cost: outcome.cost || 0
+      });
+      min.latencyMin = outcome.latencyMs;
+      max.latencyMax = outcome.latencyMs;
+    }
+
+    // A replaced rating is taken back, without letting its count drop below zero
+    if (outcome.previousFeedback) {
+      increment[FEEDBACK_FIELDS[outcome.previousFeedback]] = -1;
+      max[FEEDBACK_FIELDS[outcome.previousFeedback]] = 0;
+    }
+
+    if (outcome.feedback) {
+      increment[FEEDBACK_FIELDS[outcome.feedback]] = 1;
+    }
+
+    try {
+      const counts = await this.store.updateHash(
+        `results:${assignment.experimentId}:${assignment.variant}`,
+        { increment, min, max }
+      );
+
+      return this.createResults(assignment, counts);
+    } catch (error) {
+      logger.error('Error recording experiment outcome', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the results report of an experiment
+   *
+   * @param {string} experimentId - The experiment ID
+   * @returns {Promise<Object|null>} - The experiment with per-variant requests, error rate,
+   *   fallbacks, hedge wins, latency, cost and feedback, or null if the experiment is unknown
+   */
+  async getResults(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+
+    if (!experiment) {
+      return null;
+    }
+
+    const variants = await Promise.all(experiment.variants.map(async variant => {
+      const counts = await this.store.getHash(`results:${experimentId}:${variant.name}`);
+      const results = this.createResults({ experimentId, variant: variant.name }, counts || {});
+      const rate = (count, total) => (total > 0 ? Math.round(count / total * 10000) / 10000 : null);
+      const feedbackCount = results.feedback.positive + results.feedback.negative;
+
+      return {
+        variant: variant.name,
+        platform: variant.platform || null,
+        requests: results.requests,
+        errors: results.errors,
+        errorRate: rate(results.errors, results.requests),
+        fallbacks: results.fallbacks,
+        hedgeWins: results.hedgeWins,
+        latencyMs: {
+          mean: results.requests > 0 ? Math.round(results.latencyMs.total / results.requests) : null,
+          min: results.latencyMs.min,
+          max: results.requests > 0 ? results.latencyMs.max : null
+        },
+        cost: {
+          total: results.cost,
+          perRequest: results.requests > 0 ? Math.round(results.cost / results.requests * 1000000) / 1000000 : null
+        },
+        feedback: {
+          positive: results.feedback.positive,
+          negative: results.feedback.negative,
+          positiveRate: rate(results.feedback.positive, feedbackCount)
+        }
+      };
+    }));
+
+    return {
+      experimentId,
+      name: experiment.name,
+      status: experiment.status,
+      traffic: experiment.traffic,
+      variants,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Create the results of a variant from its counts
+   *
+   * @param {Object} assignment - { experimentId, variant }
+   * @param {Object} counts - The fields of the variant's results hash; empty for no results
+   * @returns {Object} - The results
+   */
+  createResults(assignment, counts = {}) {
+    return {
+      experimentId: assignment.experimentId,
+      variant: assignment.variant,
+      requests: counts.requests || 0,
+      errors: counts.errors || 0,
+      fallbacks: counts.fallbacks || 0,
+      hedgeWins: counts.hedgeWins || 0,
+      latencyMs: {
+        total: counts.latencyTotal || 0,
+        min: counts.latencyMin ?? null,
+        max: counts.latencyMax || 0
+      },
+      cost: Math.round((counts.cost || 0) * 1000000) / 1000000,
+      feedback: {
+        positive: counts[FEEDBACK_FIELDS.positive] || 0,
+        negative: counts[FEEDBACK_FIELDS.negative] || 0
+      },
+      updatedAt: counts.updatedAt ? new Date(counts.updatedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = { ExperimentManager };
@@ -0,0 +1,153 @@
+/**
+ * Fallback Policy Component for Majd Platform
+ *
+ * This component classifies platform failures and decides which platform to try
+ * next, based on fallback chains configured per task type and per error class.
+ */
+
+const circuitBreakers = require('../platforms/circuitBreakers');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Errors thrown by our own code, never by a platform or the network
+const PROGRAMMING_ERRORS = [TypeError, ReferenceError, SyntaxError, RangeError];
+
+// Error codes of connections that failed before the platform could answer
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK'];
+
+class FallbackPolicy {
+  constructor(policyConfig = config.fallback) {
+    this.errorClasses = {
+      RATE_LIMIT: 'rate_limit',
+      TIMEOUT: 'timeout',
+      CONTENT_POLICY: 'content_policy',
+      AUTH: 'auth',
+      SERVER_ERROR: 'server_error',
+      NETWORK: 'network', // The platform could not be reached
+      INTERNAL: 'internal', // A bug in our own code, such as a TypeError, rather than a platform failure
+      CIRCUIT_OPEN: 'circuit_open', // The platform was skipped because its circuit breaker is open
+      UNKNOWN: 'unknown'
+    };
+
+    // Only these classes say something about a platform's health and count against its circuit breaker
+    this.providerErrorClasses = new Set([
+      this.errorClasses.RATE_LIMIT,
+      this.errorClasses.TIMEOUT,
+      this.errorClasses.AUTH,
+      this.errorClasses.SERVER_ERROR,
+      this.errorClasses.NETWORK
+    ]);
+
+    this.maxHops = policyConfig.maxHops;
+
+    // Chains are keyed by task type, then error class. The 'default' entry applies
+    // to any task type or error class without a more specific chain.
+    this.policies = policyConfig.policies;
+  }
+
+  /**
+   * Classify a platform error into one of the known error classes
+   *
+   * @param {Error} error - The error thrown by the platform module
+   * @returns {string} - The error class
+   */
+  classifyError(error) {
+    const statusCode = error.statusCode || error.response?.status || error.originalError?.response?.status;
+    const code = error.code || error.originalError?.code;
+    const message = (error.message || '').toLowerCase();
+
+    // Platform modules wrap what they catch, so a programming error may be the original error
+    const cause = error.originalError || error;
+    if (!statusCode && !code && PROGRAMMING_ERRORS.some(ErrorType => cause instanceof ErrorType)) {
+      return this.errorClasses.INTERNAL;
+    }
+
+    if (statusCode === 429 || message.includes('rate limit')) {
+      return this.errorClasses.RATE_LIMIT;
+    }
+
+    if (code === 'ETIMEDOUT' || code === 'ECONNABORTED' || message.includes('timeout') || message.includes('timed out')) {
+      return this.errorClasses.TIMEOUT;
+    }
+
+    if (statusCode === 401 || statusCode === 403 || message.includes('api key')) {
+      return this.errorClasses.AUTH;
+    }
+
+    if (
+      message.includes('content policy') ||
+      message.includes('content_filter') ||
+      message.includes('safety') ||
+      message.includes('blocked')
+    ) {
+      return this.errorClasses.CONTENT_POLICY;
+    }
+
+    if (statusCode >= 500 && statusCode < 600) {
+      return this.errorClasses.SERVER_ERROR;
+    }
+
+    if (NETWORK_ERROR_CODES.includes(code)) {
+      return this.errorClasses.NETWORK;
+    }
+
+    return this.errorClasses.UNKNOWN;
+  }
+
+  /**
+   * Check whether an error class counts as a failure of the platform itself
+   *
+   * @param {string} errorClass - The error class, as returned by classifyError
+   * @returns {boolean} - Whether the platform's circuit breaker should record a failure
+   */
+  isProviderError(errorClass) {
+    return this.providerErrorClasses.has(errorClass);
+  }
+
+  /**
+   * Get the fallback chain for a task type and error class
+   *
+   * @param {string} taskType - The classified task type
+   * @param {string} errorClass - The class of the error that triggered fallback
+   * @returns {Array} - Chain steps: platform names, 'secondary' or 'fallback'
+   */
+  getChain(taskType, errorClass) {
+    const taskPolicy = this.policies[taskType] || {};
+    const defaultPolicy = this.policies.default || {};
+
+    return taskPolicy[errorClass] ||
+      taskPolicy.default ||
+      defaultPolicy[errorClass] ||
+      defaultPolicy.default ||
+      [];
+  }
+
+  /**
+   * Select the next platform to try after a failure, skipping platforms whose circuit is open
+   *
+   * @param {Object} routingInfo - The routing decision for the request
+   * @param {string} errorClass - The class of the error that triggered fallback
+   * @param {Array} attemptedPlatforms - Platforms that have already been tried
+   * @returns {string|null} - The next platform, or null when the chain is exhausted
+   */
+  getNextPlatform(routingInfo, errorClass, attemptedPlatforms = []) {
+    if (attemptedPlatforms.length > this.maxHops) {
+      logger.info('Fallback hop limit reached', { maxHops: this.maxHops, attemptedPlatforms });
+      return null;
+    }
+
+    const chain = this.getChain(routingInfo.taskType, errorClass);
+
+    for (const step of chain) {
+      const platform = step === 'secondary' || step === 'fallback' ? routingInfo[step] : step;
+
+      if (platform && !attemptedPlatforms.includes(platform) && circuitBreakers.isAvailable(platform)) {
+        return platform;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = { FallbackPolicy };
@@ -0,0 +1,1389 @@
+/**
+ * Orchestration Layer Main Module for Majd Platform
+ * 
+ * This module integrates the TaskRouter, ContextManager, ThinkingEngine, and ResponseSynthesizer
+ * components to provide a unified orchestration layer for the Majd platform.
+ */
+
+const { TaskRouter } = require('./taskRouter');
+const { ContextManager } = require('./contextManager');
+const { ThinkingEngine } = require('./thinkingEngine');
+const { ResponseSynthesizer } = require('./responseSynthesizer');
+const { FallbackPolicy } = require('./fallbackPolicy');
+const { ToolRegistry } = require('./toolRegistry');
+const { ResponseCache } = require('./responseCache');
+const { UsageTracker } = require('./usageTracker');
+const { PipelineHooks } = require('./pipelineHooks');
+const { ReviewPipeline } = require('./reviewPipeline');
+const circuitBreakers = require('../platforms/circuitBreakers');
+const platformRegistry = require('../platforms/registry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Race a promise against a timer, rejecting with an ETIMEDOUT error if the timer wins
+ * 
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} ms - The timeout in milliseconds
+ * @param {string} message - The error message used on timeout
+ * @returns {Promise} - Settles with the promise, or rejects on timeout
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check whether a signal was aborted because a time limit ran out, not by the caller
+ * 
+ * @param {AbortSignal} signal - The signal
+ * @returns {boolean} - Whether the abort reason is a timeout error from withTimeout
+ */
+function isTimeoutAbort(signal) {
+  return Boolean(signal && signal.aborted && signal.reason && signal.reason.code === 'ETIMEDOUT');
+}
+
+class OrchestrationLayer {
+  constructor() {
+    this.taskRouter = new TaskRouter();
+    this.contextManager = new ContextManager();
+    this.thinkingEngine = new ThinkingEngine();
+    this.responseSynthesizer = new ResponseSynthesizer();
+    this.fallbackPolicy = new FallbackPolicy();
+    this.toolRegistry = new ToolRegistry();
+    this.responseCache = new ResponseCache();
+    this.usageTracker = new UsageTracker();
+    this.pipelineHooks = new PipelineHooks();
+    this.reviewPipeline = new ReviewPipeline(this);
+    
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the orchestration layer
+   */
+  async initialize() {
+    try {
+      // Initialize components
+      await this.contextManager.initialize();
+      
+      this.initialized = true;
+      logger.info('Orchestration Layer initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize Orchestration Layer', error);
+      return false;
+    }
+  }
+
+  /**
+   * Process a user request through the orchestration layer
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} - The processed response
+   */
+  async processRequest(userInput, userId, options = {}) {
+    // Every attempted platform, in order, with its duration and failure reason
+    const fallbackTrace = [];
+    
+    // Request context shared by the pipeline hooks across all stages
+    const hookContext = { userInput, userId, options, state: {} };
+    
+    // Start processing metrics
+    const startTime = Date.now();
+    
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      // Hooks may rewrite the input or options, or answer the request themselves
+      await this.pipelineHooks.run('beforeRoute', hookContext);
+      if (hookContext.response) {
+        return hookContext.response;
+      }
+      ({ userInput, options } = hookContext);
+      
+      // Step 1: Route the request to the appropriate platform
+      hookContext.routingInfo = await this.taskRouter.routeRequest(userInput, userId, options);
+      
+      await this.pipelineHooks.run('afterRoute', hookContext);
+      if (hookContext.response) {
+        return hookContext.response;
+      }
+      const routingInfo = hookContext.routingInfo;
+      
+      logger.info('Request routed', { 
+        userId, 
+        taskType: routingInfo.taskType, 
+        platform: routingInfo.platform 
+      });
+      
+      // Serve repeated questions from the response cache. bypassCache skips the lookup but
+      // still refreshes the entry; invalidateCache drops the entry first. The cache is shared
+      // by all users, so answers built on a conversation's context are neither served from
+      // it nor stored in it.
+      const useCache = this.responseCache.isEnabled(routingInfo.taskType, options) &&
+        !(await this.contextManager.hasContext(userId, options));
+      
+      if (options.invalidateCache) {
+        await this.responseCache.delete(userInput, routingInfo, options);
+      }
+      
+      if (useCache && !options.bypassCache && !options.invalidateCache) {
+        const cachedResponse = await this.responseCache.get(userInput, routingInfo, options);
+        
+        if (cachedResponse) {
+          return this.serveCachedResponse(userInput, userId, routingInfo, cachedResponse, options, startTime);
+        }
+      }
+      
+      let platform = routingInfo.platform;
+      let hedge = null;
+      
+      while (platform) {
+        // Skip platforms whose circuit breaker is open instead of waiting for them to fail again
+        if (!circuitBreakers.tryAcquire(platform)) {
+          const circuitError = new Error(`Platform ${platform} is temporarily unavailable (circuit open)`);
+          
+          fallbackTrace.push({
+            platform,
+            durationMs: 0,
+            status: 'skipped',
+            errorClass: this.fallbackPolicy.errorClasses.CIRCUIT_OPEN,
+            error: circuitError.message
+          });
+          
+          if (options.enableFallback === false) {
+            throw circuitError;
+          }
+          
+          platform = this.handleFallback(routingInfo, this.fallbackPolicy.errorClasses.CIRCUIT_OPEN, fallbackTrace, userId);
+          
+          if (!platform) {
+            throw circuitError;
+          }
+          
+          continue;
+        }
+        
+        const attemptStartTime = Date.now();
+        
+        // Hedged attempts record their own outcomes, as they may involve two platforms
+        const hedged = fallbackTrace.length === 0 && this.shouldHedge(routingInfo, options);
+        
+        try {
+          let processedResponse;
+          
+          if (hedged) {
+            ({ processedResponse, platform, hedge } = await this.processHedged(
+              userInput,
+              userId,
+              routingInfo,
+              options,
+              hookContext,
+              fallbackTrace
+            ));
+          } else {
+            processedResponse = await this.processWithPlatform(
+              userInput,
+              userId,
+              { ...routingInfo, platform, intendedPlatform: routingInfo.platform },
+              options,
+              hookContext
+            );
+          }
+          
+          // A beforeProviderCall hook answered the request; hedged attempts were already recorded
+          if (hookContext.response) {
+            if (!hedged) {
+              circuitBreakers.release(platform);
+            }
+            return hookContext.response;
+          }
+          
+          if (!hedged) {
+            this.recordAttempt(fallbackTrace, {
+              platform,
+              durationMs: Date.now() - attemptStartTime,
+              status: 'success'
+            });
+          }
+          
+          // Calculate processing time
+          const processingTime = Date.now() - startTime;
+          logger.info('Request processed', { 
+            userId, 
+            processingTime,
+            platform,
+            taskType: routingInfo.taskType,
+            attempts: fallbackTrace.length
+          });
+          
+          // Answers that depended on tool results (time, fetched pages) are not reusable
+          if (useCache && !processedResponse.error && !processedResponse.toolsUsed) {
+            await this.responseCache.set(userInput, routingInfo, options, processedResponse);
+          }
+          
+          if (routingInfo.experiment) {
+            // A hedged request answered by the secondary platform did not fall back
+            const hedgeWin = Boolean(hedge) && hedge.winner === platform && platform !== routingInfo.platform;
+            
+            await this.taskRouter.experimentManager.recordOutcome(routingInfo.experiment, {
+              latencyMs: processingTime,
+              cost: processedResponse.estimatedCost,
+              error: Boolean(processedResponse.error),
+              fallback: !hedgeWin && platform !== routingInfo.platform,
+              hedgeWin
+            });
+          }
+          
+          return {
+            ...processedResponse,
+            processingTime,
+            routingInfo,
+            fallbackTrace,
+            ...(routingInfo.experiment && { experiment: routingInfo.experiment }),
+            ...(hedge && { hedge }),
+            ...(platform !== routingInfo.platform && { fallbackFrom: routingInfo.platform })
+          };
+        } catch (error) {
+          // Cancelled requests are recorded as such and never fall back
+          if (options.signal && options.signal.aborted) {
+            if (!hedged) {
+              this.recordAttempt(fallbackTrace, {
+                platform,
+                durationMs: Date.now() - attemptStartTime,
+                status: 'cancelled'
+              });
+            }
+            
+            return this.handleCancellation(userInput, userId, { ...routingInfo, platform, intendedPlatform: routingInfo.platform }, error, fallbackTrace, options);
+          }
+          
+          const errorClass = this.fallbackPolicy.classifyError(error);
+          
+          logger.error(`Error processing request with ${platform}`, error);
+          
+          if (hedged) {
+            hedge = error.hedge;
+          } else {
+            this.recordAttempt(fallbackTrace, {
+              platform,
+              durationMs: Date.now() - attemptStartTime,
+              status: 'failed',
+              errorClass,
+              error: error.message
+            });
+          }
+          
+          if (options.enableFallback === false) {
+            throw error;
+          }
+          
+          platform = this.handleFallback(routingInfo, errorClass, fallbackTrace, userId);
+          
+          if (!platform) {
+            throw error;
+          }
+        }
+      }
+      
+      throw new Error('No platform available for request');
+    } catch (error) {
+      logger.error('Error processing request', error);
+      
+      // onError hooks may replace the error response, e.g. with a friendlier message
+      hookContext.error = error;
+      hookContext.fallbackTrace = fallbackTrace;
+      
+      try {
+        await this.pipelineHooks.run('onError', hookContext);
+      } catch (hookError) {
+        logger.error('Pipeline onError hook failed', hookError);
+      }
+      
+      if (hookContext.response) {
+        return hookContext.response;
+      }
+      
+      const experiment = hookContext.routingInfo && hookContext.routingInfo.experiment;
+      
+      if (experiment) {
+        await this.taskRouter.experimentManager.recordOutcome(experiment, {
+          latencyMs: Date.now() - startTime,
+          cost: 0,
+          error: true,
+          fallback: fallbackTrace.length > 1
+        });
+      }
+      
+      const fallbackAttempted = fallbackTrace.length > 1;
+      const message = fallbackAttempted
+        ? 'I encountered an issue processing your request, and fallback options also failed. Please try again later.'
+        : 'I encountered an issue processing your request. Please try again.';
+      
+      return {
+        content: message,
+        formattedResponse: message,
+        error: error.message,
+        ...(fallbackAttempted && { originalError: fallbackTrace[0].error }),
+        fallbackTrace,
+        ...(experiment && { experiment }),
+        usage: this.usageTracker.emptyUsage(),
+        estimatedCost: 0,
+        timestamp: new Date().toISOString(),
+        userId
+      };
+    }
+  }
+
+  /**
+   * Answer a request from the response cache
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} cachedResponse - The cache lookup result
+   * @param {Object} options - Processing options
+   * @param {number} startTime - When processing started
+   * @returns {Promise<Object>} - The response, flagged as cached
+   */
+  async serveCachedResponse(userInput, userId, routingInfo, cachedResponse, options, startTime) {
+    const { response, match, similarity, storedAt } = cachedResponse;
+    
+    if (options.stream && typeof options.onChunk === 'function') {
+      options.onChunk(response.content, {
+        platform: response.platform,
+        taskType: response.taskType,
+        cached: true
+      });
+    }
+    
+    const turnId = options.saveContext !== false
+      ? await this.contextManager.saveContext(
+        userId,
+        userInput,
+        response.content,
+        {
+          platform: response.platform,
+          intendedPlatform: routingInfo.platform,
+          taskType: response.taskType,
+          timestamp: new Date().toISOString(),
+          status: 'completed',
+          conversationId: options.conversationId,
+          parentId: options.parentTurnId
+        }
+      )
+      : null;
+    
+    const processingTime = Date.now() - startTime;
+    logger.info('Request served from cache', { 
+      userId, 
+      processingTime,
+      match,
+      platform: response.platform,
+      taskType: routingInfo.taskType
+    });
+    
+    return {
+      ...response,
+      cached: true,
+      cache: { match, similarity, storedAt },
+      usage: this.usageTracker.emptyUsage(),
+      estimatedCost: 0,
+      processingTime,
+      routingInfo,
+      fallbackTrace: [],
+      ...(turnId && { turnId }),
+      timestamp: new Date().toISOString(),
+      userId
+    };
+  }
+
+  /**
+   * Record a platform attempt in the fallback trace and in the platform's circuit breaker
+   * 
+   * @param {Array} fallbackTrace - The attempts made so far
+   * @param {Object} attempt - { platform, durationMs, status: 'success' | 'failed' | 'cancelled', errorClass, error }
+   */
+  recordAttempt(fallbackTrace, attempt) {
+    if (attempt.status === 'success') {
+      circuitBreakers.recordSuccess(attempt.platform, attempt.durationMs);
+    } else if (attempt.status === 'failed' && this.fallbackPolicy.isProviderError(attempt.errorClass)) {
+      circuitBreakers.recordFailure(attempt.platform, attempt.durationMs);
+    } else {
+      // Cancellations, content policy refusals and errors in our own code say nothing about the platform's health
+      circuitBreakers.release(attempt.platform);
+    }
+    
+    fallbackTrace.push(attempt);
+  }
+
+  /**
+   * Check whether a request should be hedged across its primary and secondary platforms
+   * 
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Processing options; options.hedge overrides the feature flag
+   * @returns {boolean} - Whether to hedge
+   */
+  shouldHedge(routingInfo, options) {
+    const enabled = options.hedge !== undefined ? options.hedge === true : config.features.enableHedgedRequests;
+    
+    return enabled &&
+      !options.overridePlatform &&
+      Boolean(routingInfo.secondary) &&
+      routingInfo.secondary !== routingInfo.platform;
+  }
+
+  /**
+   * Process a request on the primary platform, also sending it to the secondary when the
+   * primary has not produced a first token within the hedge threshold
+   * 
+   * Whichever platform produces the first token (streaming) or the first response (otherwise)
+   * is used and the other one is cancelled. Both attempts are recorded in the fallback trace,
+   * the usage of a cancelled attempt is still accounted for, and only the winner saves a turn.
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Processing options
+   * @param {Object} hookContext - The request context passed to pipeline hooks
+   * @param {Array} fallbackTrace - The attempts made so far
+   * @returns {Promise<Object>} - { processedResponse, platform, hedge }; rejects when every attempt failed
+   */
+  processHedged(userInput, userId, routingInfo, options, hookContext, fallbackTrace) {
+    const threshold = options.hedgeThreshold || config.hedging.threshold;
+    const streaming = options.stream && typeof options.onChunk === 'function';
+    const startTime = Date.now();
+    const attempts = [];
+    
+    let winner = null;
+    let settled = false;
+    let hedgeTimer = null;
+    
+    return new Promise((resolve, reject) => {
+      const cancelAll = () => attempts.forEach(attempt => attempt.controller.abort());
+      
+      if (options.signal) {
+        options.signal.addEventListener('abort', cancelAll, { once: true });
+      }
+      
+      const settle = (error, attempt) => {
+        settled = true;
+        clearTimeout(hedgeTimer);
+        
+        if (options.signal) {
+          options.signal.removeEventListener('abort', cancelAll);
+        }
+        
+        // Stop the losing attempt; anything still running lost the race
+        attempts
+          .filter(other => other !== attempt && other.status === 'pending')
+          .forEach(other => {
+            other.status = 'cancelled';
+            other.endedAt = Date.now();
+            other.controller.abort();
+          });
+        
+        attempts.forEach(other => this.recordAttempt(fallbackTrace, {
+          platform: other.platform,
+          durationMs: other.endedAt - other.startedAt,
+          status: other.status,
+          ...(other.error && {
+            errorClass: this.fallbackPolicy.classifyError(other.error),
+            error: other.error.message
+          }),
+          hedgeRole: other.role
+        }));
+        
+        const hedge = {
+          triggered: attempts.length > 1,
+          thresholdMs: threshold,
+          winner: attempt ? attempt.platform : null,
+          attempts: attempts.map(other => ({
+            role: other.role,
+            platform: other.platform,
+            startedAfterMs: other.startedAt - startTime,
+            firstTokenMs: other.firstTokenAt ? other.firstTokenAt - other.startedAt : null,
+            latencyMs: other.endedAt - other.startedAt,
+            status: other.status
+          }))
+        };
+        
+        logger.info('Hedged request settled', { userId, ...hedge });
+        
+        if (error) {
+          error.hedge = hedge;
+          reject(error);
+        } else {
+          Object.assign(hookContext, attempt.hookContext);
+          resolve({ processedResponse: attempt.response, platform: attempt.platform, hedge });
+        }
+      };
+      
+      // Make an attempt the winner, cancelling every other attempt
+      const win = attempt => {
+        winner = attempt;
+        clearTimeout(hedgeTimer);
+        attempts.filter(other => other !== attempt).forEach(other => other.controller.abort());
+      };
+      
+      const launch = (platform, role) => {
+        const attempt = {
+          platform,
+          role,
+          controller: new AbortController(),
+          hookContext: { ...hookContext },
+          startedAt: Date.now(),
+          firstTokenAt: null,
+          endedAt: null,
+          status: 'pending'
+        };
+        attempts.push(attempt);
+        
+        const onChunk = (chunk, metadata) => {
+          if (!attempt.firstTokenAt) {
+            attempt.firstTokenAt = Date.now();
+          }
+          
+          // The first platform to stream a token wins; the other is cancelled
+          if (!winner) {
+            win(attempt);
+          }
+          
+          if (winner === attempt) {
+            options.onChunk(chunk, metadata);
+          }
+        };
+        
+        this.processWithPlatform(
+          userInput,
+          userId,
+          { ...routingInfo, platform, intendedPlatform: routingInfo.platform },
+          {
+            ...options,
+            signal: attempt.controller.signal,
+            // The first attempt ready to save its turn wins, unless a streamed token decided earlier
+            claimTurn: () => {
+              if (!winner) {
+                win(attempt);
+              }
+            },
+            ...(streaming && { onChunk })
+          },
+          attempt.hookContext
+        )
+          .then(response => {
+            attempt.endedAt = Date.now();
+            attempt.status = 'success';
+            attempt.response = response;
+            
+            if (!settled && (!winner || winner === attempt)) {
+              winner = attempt;
+              settle(null, attempt);
+            }
+          })
+          .catch(error => {
+            attempt.endedAt = Date.now();
+            attempt.status = attempt.controller.signal.aborted ? 'cancelled' : 'failed';
+            attempt.error = error;
+            
+            if (attempt.status === 'cancelled') {
+              this.recordCancelledUsage(userId, platform, attempt.hookContext, error)
+                .catch(usageError => logger.error('Error recording usage of a cancelled attempt', usageError));
+            }
+            
+            if (settled) {
+              return;
+            }
+            
+            const others = attempts.filter(other => other !== attempt);
+            
+            // The streaming winner failed part-way, or every attempt has failed
+            if (winner === attempt || others.every(other => other.status !== 'pending')) {
+              settle(error, null);
+            }
+          });
+      };
+      
+      launch(routingInfo.platform, 'primary');
+      
+      hedgeTimer = setTimeout(() => {
+        hedgeTimer = null;
+        
+        const primary = attempts[0];
+        
+        if (settled || winner || primary.status !== 'pending') {
+          return;
+        }
+        
+        if (!circuitBreakers.tryAcquire(routingInfo.secondary)) {
+          logger.info('Hedge skipped, secondary circuit is open', { userId, secondary: routingInfo.secondary });
+          return;
+        }
+        
+        logger.info('Primary is slow, hedging with secondary', {
+          userId,
+          primary: routingInfo.platform,
+          secondary: routingInfo.secondary,
+          thresholdMs: threshold
+        });
+        
+        launch(routingInfo.secondary, 'secondary');
+      }, threshold);
+    });
+  }
+
+  /**
+   * Record the usage of a hedged attempt that was cancelled
+   * 
+   * The platform saw the prompt and may have streamed part of an answer, both of which
+   * are billed. Attempts cancelled after their response was processed have already
+   * recorded their usage.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} platform - The attempt's platform
+   * @param {Object} hookContext - The attempt's hook context, holding the prompt it sent
+   * @param {Error} error - The cancellation error
+   * @returns {Promise<void>}
+   */
+  async recordCancelledUsage(userId, platform, hookContext, error) {
+    if (hookContext.processedResponse || !hookContext.prompt || hookContext.response) {
+      return;
+    }
+    
+    const partialContent = error.partialContent || error.originalError?.partialContent || '';
+    const usage = this.usageTracker.normalizeUsage(null, hookContext.prompt, partialContent);
+    const cost = this.usageTracker.estimateCost(usage, platform);
+    
+    await this.usageTracker.recordUsage(userId, { platform, usage, cost });
+  }
+
+  /**
+   * Select the next platform to try after a platform failure
+   * 
+   * @param {Object} routingInfo - The routing decision for the request
+   * @param {string} errorClass - The class of the error that triggered fallback
+   * @param {Array} fallbackTrace - The attempts made so far
+   * @param {string} userId - The user's ID
+   * @returns {string|null} - The fallback platform, or null if none is left
+   */
+  handleFallback(routingInfo, errorClass, fallbackTrace, userId) {
+    const attemptedPlatforms = fallbackTrace.map(attempt => attempt.platform);
+    const fallbackPlatform = this.fallbackPolicy.getNextPlatform(routingInfo, errorClass, attemptedPlatforms);
+    
+    if (fallbackPlatform) {
+      logger.info('Using fallback platform', { 
+        userId, 
+        errorClass,
+        fallbackPlatform,
+        originalPlatform: routingInfo.platform
+      });
+    } else {
+      logger.info('No fallback platform left', { userId, errorClass, attemptedPlatforms });
+    }
+    
+    return fallbackPlatform;
+  }
+
+  /**
+   * Record a cancelled request in the context and build its response
+   * 
+   * Streaming platforms attach the content received before cancellation to the
+   * error, so a partial answer is kept and flagged as such.
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} routingInfo - The routing decision, with the cancelled platform
+   * @param {Error} error - The cancellation error
+   * @param {Array} fallbackTrace - The attempts made so far
+   * @param {Object} options - Processing options; options.saveContext false keeps the turn out of the context
+   * @returns {Promise<Object>} - The cancelled response
+   */
+  async handleCancellation(userInput, userId, routingInfo, error, fallbackTrace, options = {}) {
+    const partialContent = error.partialContent || error.originalError?.partialContent || '';
+    
+    // Only the output received so far is known; the platform may still bill the prompt
+    const usage = this.usageTracker.normalizeUsage(null, null, partialContent);
+    const estimatedCost = this.usageTracker.estimateCost(usage, routingInfo.platform);
+    await this.usageTracker.recordUsage(userId, { platform: routingInfo.platform, usage, cost: estimatedCost });
+    
+    logger.info('Request cancelled', { 
+      userId, 
+      platform: routingInfo.platform,
+      partial: partialContent.length > 0
+    });
+    
+    // A platform abandoned for being too slow, as in a multi-platform request, was never
+    // the user's decision and leaves no turn behind
+    const turnId = options.saveContext !== false && !isTimeoutAbort(options.signal)
+      ? await this.contextManager.saveContext(
+        userId,
+        userInput,
+        partialContent,
+        {
+          platform: routingInfo.platform,
+          intendedPlatform: routingInfo.intendedPlatform || routingInfo.platform,
+          taskType: routingInfo.taskType,
+          timestamp: new Date().toISOString(),
+          status: 'cancelled',
+          conversationId: options.conversationId,
+          parentId: options.parentTurnId
+        }
+      )
+      : null;
+    
+    return {
+      content: partialContent,
+      formattedResponse: partialContent,
+      platform: routingInfo.platform,
+      taskType: routingInfo.taskType,
+      cancelled: true,
+      partial: partialContent.length > 0,
+      usage,
+      estimatedCost,
+      fallbackTrace,
+      ...(turnId && { turnId }),
+      timestamp: new Date().toISOString(),
+      userId
+    };
+  }
+
+  /**
+   * Run steps 2-8 of the pipeline against a single platform
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} routingInfo - The routing decision, with the platform to use
+   * @param {Object} options - Processing options
+   * @param {Object} hookContext - The request context passed to pipeline hooks
+   * @returns {Promise<Object>} - The processed response; throws if the platform fails
+   */
+  async processWithPlatform(userInput, userId, routingInfo, options = {}, hookContext = { state: {} }) {
+    // Step 2: Get conversation context
+    const context = await this.contextManager.getContext(userId, {
+      platform: routingInfo.platform,
+      userInput,
+      enableSemanticSearch: options.enableSemanticSearch,
+      searchAllConversations: options.searchAllConversations,
+      conversationId: options.conversationId,
+      parentTurnId: options.parentTurnId // Set when regenerating or editing an earlier turn
+    });
+    
+    // Step 3: Generate thinking prompts
+    const thinkingPrompts = this.thinkingEngine.generateThinkingPrompts(
+      routingInfo.taskType,
+      userInput,
+      options
+    );
+    
+    // Step 4: Format context, followed by the current input, for the selected platform
+    const platformContext = this.contextManager.formatContextForPlatform(
+      [...context, { userInput }],
+      routingInfo.platform
+    );
+    
+    // Step 5: Enhance prompt with thinking instructions
+    const enhancedPrompt = this.thinkingEngine.enhancePromptWithThinking(
+      platformContext,
+      thinkingPrompts,
+      routingInfo.platform
+    );
+    
+    // Step 6: Call the appropriate platform module, unless the client has already gone
+    if (options.signal) {
+      options.signal.throwIfAborted();
+    }
+    
+    const platformModule = this.getPlatformModule(routingInfo.platform);
+    
+    if (!platformModule) {
+      throw new Error(`Platform module not found for ${routingInfo.platform}`);
+    }
+    
+    // Hooks may adjust the prompt and generation options, or answer without calling the platform
+    Object.assign(hookContext, {
+      platform: routingInfo.platform,
+      prompt: enhancedPrompt,
+      generationOptions: {
+        ...options,
+        userId,
+        taskType: routingInfo.taskType
+      }
+    });
+    
+    await this.pipelineHooks.run('beforeProviderCall', hookContext);
+    if (hookContext.response) {
+      return hookContext.response;
+    }
+    
+    const { prompt, generationOptions } = hookContext;
+    
+    // Offer tools when the platform can call them
+    const tools = platformModule.capabilities.toolCalling ? this.toolRegistry.resolveTools(options) : [];
+    let platformResponse;
+    let toolsUsed = [];
+    let usage = null;
+    
+    if (tools.length > 0) {
+      ({ response: platformResponse, toolsUsed, usage } = await this.generateWithTools(
+        platformModule,
+        prompt,
+        tools,
+        routingInfo,
+        generationOptions
+      ));
+    } else if (options.stream && typeof options.onChunk === 'function') {
+      // Stream deltas to the caller when requested, otherwise wait for the full response
+      platformResponse = await this.streamPlatformResponse(platformModule, prompt, routingInfo, generationOptions);
+    } else {
+      platformResponse = await platformModule.generateResponse(prompt, generationOptions);
+    }
+    
+    // Hooks may inspect or rewrite the raw response; streamed deltas have already been sent
+    hookContext.platformResponse = platformResponse;
+    await this.pipelineHooks.run('afterProviderCall', hookContext);
+    platformResponse = hookContext.platformResponse;
+    
+    // Step 7: Process the response
+    const processedResponse = await this.responseSynthesizer.processResponse(
+      platformResponse,
+      {
+        ...routingInfo,
+        thinkingPrompts,
+        toolsUsed
+      },
+      {
+        format: options.responseFormat || 'markdown',
+        includeThinking: options.includeThinking !== false,
+        includeAttribution: options.includeAttribution !== false,
+        extractThinking: true
+      }
+    );
+    
+    // Account for the tokens used, including any tool round trips
+    if (!usage) {
+      usage = this.usageTracker.normalizeUsage(platformResponse, prompt, processedResponse.content);
+    }
+    
+    const model = this.usageTracker.getModel(platformResponse, routingInfo.platform);
+    processedResponse.usage = usage;
+    processedResponse.estimatedCost = this.usageTracker.estimateCost(usage, routingInfo.platform, model);
+    
+    await this.usageTracker.recordUsage(userId, {
+      platform: routingInfo.platform,
+      model,
+      usage,
+      cost: processedResponse.estimatedCost
+    });
+    
+    // Step 8: Save the context, after hooks have had a chance to redact it or opt out
+    hookContext.processedResponse = processedResponse;
+    hookContext.skipSave = options.saveContext === false;
+    await this.pipelineHooks.run('beforeSave', hookContext);
+    
+    // A hedged attempt claims the win before saving, which cancels the other attempt, so
+    // of two attempts finishing together only one adds a turn
+    if (typeof options.claimTurn === 'function') {
+      options.claimTurn();
+    }
+    
+    // A cancelled attempt, such as the losing side of a hedged request, must not add a turn
+    if (options.signal) {
+      options.signal.throwIfAborted();
+    }
+    
+    if (!hookContext.skipSave) {
+      const turnId = await this.contextManager.saveContext(
+        userId,
+        userInput,
+        hookContext.processedResponse.content,
+        {
+          platform: routingInfo.platform,
+          intendedPlatform: routingInfo.intendedPlatform || routingInfo.platform,
+          taskType: routingInfo.taskType,
+          timestamp: new Date().toISOString(),
+          status: 'completed',
+          conversationId: options.conversationId,
+          parentId: options.parentTurnId,
+          experiment: routingInfo.experiment // Lets feedback on the turn count towards the experiment
+        }
+      );
+      
+      if (turnId) {
+        hookContext.processedResponse.turnId = turnId;
+      }
+    }
+    
+    return hookContext.processedResponse;
+  }
+
+  /**
+   * Stream a response from a platform module, forwarding each delta to the caller
+   * 
+   * Platforms without a streaming method fall back to a regular request, and the
+   * full content is forwarded as a single chunk once it arrives.
+   * 
+   * @param {Object} platformModule - The platform module
+   * @param {Object} prompt - The enhanced platform prompt
+   * @param {Object} routingInfo - The routing decision for the request
+   * @param {Object} options - Generation options, including the onChunk callback
+   * @returns {Promise<Object>} - The assembled platform response
+   */
+  async streamPlatformResponse(platformModule, prompt, routingInfo, options) {
+    const { onChunk, ...generationOptions } = options;
+    const chunkMetadata = {
+      platform: routingInfo.platform,
+      taskType: routingInfo.taskType
+    };
+    
+    if (typeof platformModule.generateStreamingResponse !== 'function') {
+      const response = await platformModule.generateResponse(prompt, generationOptions);
+      const content = this.responseSynthesizer.extractContent(response, routingInfo.platform);
+      
+      // A turn that only calls tools has no text to forward
+      if (content) {
+        onChunk(content, chunkMetadata);
+      }
+      return response;
+    }
+    
+    return platformModule.generateStreamingResponse(
+      prompt,
+      chunk => onChunk(chunk, chunkMetadata),
+      generationOptions
+    );
+  }
+
+  /**
+   * Generate a response, executing the tools the model calls and feeding their results back
+   * 
+   * For a streaming caller every model turn is streamed, so the final answer arrives as deltas;
+   * turns that only call tools usually carry no text.
+   * 
+   * @param {Object} platformModule - The platform module
+   * @param {Object} prompt - The enhanced platform prompt
+   * @param {Array} tools - The tools the model may call
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - { response, toolsUsed, usage } with usage summed over every round trip
+   */
+  async generateWithTools(platformModule, prompt, tools, routingInfo, options) {
+    const { onChunk, ...generationOptions } = options;
+    const streaming = options.stream && typeof onChunk === 'function';
+    const messageFormat = platformModule.capabilities.messageFormat;
+    const toolsUsed = [];
+    let usage = this.usageTracker.emptyUsage();
+    
+    let currentPrompt = {
+      ...prompt,
+      ...this.toolRegistry.formatForPlatform(tools, messageFormat)
+    };
+    let response;
+    
+    for (let step = 1; ; step++) {
+      // Once the step limit is reached, ask for an answer with what the model has so far
+      if (step > this.toolRegistry.maxSteps) {
+        logger.warn('Tool step limit reached', { platform: routingInfo.platform, maxSteps: this.toolRegistry.maxSteps });
+        currentPrompt = this.toolRegistry.disableToolCalls(currentPrompt, messageFormat);
+      }
+      
+      response = streaming
+        ? await this.streamPlatformResponse(platformModule, currentPrompt, routingInfo, options)
+        : await platformModule.generateResponse(currentPrompt, generationOptions);
+      usage = this.usageTracker.addUsage(usage, this.usageTracker.normalizeUsage(
+        response,
+        currentPrompt,
+        this.responseSynthesizer.extractContent(response, routingInfo.platform)
+      ));
+      
+      const toolCalls = this.toolRegistry.extractToolCalls(response);
+      
+      if (toolCalls.length === 0 || step > this.toolRegistry.maxSteps) {
+        break;
+      }
+      
+      if (options.signal) {
+        options.signal.throwIfAborted();
+      }
+      
+      const results = await Promise.all(toolCalls.map(toolCall => this.toolRegistry.execute(toolCall, {
+        userId: options.userId,
+        signal: options.signal
+      })));
+      
+      logger.debug('Tools executed', { platform: routingInfo.platform, step, tools: results.map(result => result.name) });
+      
+      toolsUsed.push(...results.map(result => ({ ...result, step })));
+      currentPrompt = this.toolRegistry.appendToolResults(currentPrompt, response, results);
+    }
+    
+    return { response, toolsUsed, usage };
+  }
+
+  /**
+   * Get the appropriate platform module
+   * 
+   * @param {string} platform - The platform name
+   * @returns {Object} - The platform module
+   */
+  getPlatformModule(platform) {
+    const platformModule = platformRegistry.get(platform);
+    
+    if (!platformModule) {
+      logger.error(`No platform module registered for ${platform}`);
+      return null;
+    }
+    
+    return platformModule;
+  }
+
+  /**
+   * Process a multi-platform request
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Array} platforms - The platforms to use
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} - The merged response
+   */
+  async processMultiPlatformRequest(userInput, userId, platforms, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      // Start processing metrics
+      const startTime = Date.now();
+      
+      // Step 1: Route the request to determine task type; the platforms are chosen below,
+      // so multi-platform requests take no part in routing experiments
+      const routingInfo = await this.taskRouter.routeRequest(userInput, userId, { ...options, experiments: false });
+      
+      // Self-consistency sampling asks a single platform the same question several times
+      const samples = platforms.length === 1 && options.samples > 1
+        ? Math.min(options.samples, config.multiPlatform.maxSamples)
+        : 1;
+      const targets = samples > 1 ? Array(samples).fill(platforms[0]) : platforms;
+      
+      // Samples at temperature 0 would all be the same answer
+      if (samples > 1 && options.temperature !== undefined && !(options.temperature > 0)) {
+        throw new Error('Sampling several answers needs a temperature above 0');
+      }
+      
+      // Step 2: Fan out to every platform concurrently, each with its own timeout
+      const platformTimeout = options.platformTimeout || config.multiPlatform.platformTimeout;
+      const deadline = options.deadline || config.multiPlatform.deadline;
+      const outcomes = targets.map(platform => ({ platform, status: 'pending' }));
+      
+      // Each platform gets its own controller so a timed out platform stops spending tokens,
+      // while cancelling the whole request still cancels every platform
+      // The abort reason tells a cancellation from a timeout, which saves no turn
+      const platformControllers = targets.map(() => new AbortController());
+      const abortAllPlatforms = reason => platformControllers.forEach(controller => controller.abort(reason));
+      const cancelAllPlatforms = () => abortAllPlatforms(options.signal.reason);
+      
+      if (options.signal) {
+        options.signal.addEventListener('abort', cancelAllPlatforms, { once: true });
+      }
+      
+      const platformRequests = targets.map((platform, index) => {
+        const platformStartTime = Date.now();
+        
+        return withTimeout(
+          this.processRequest(
+            userInput,
+            userId,
+            {
+              ...options,
+              overridePlatform: platform,
+              enableFallback: false, // Disable fallback for multi-platform requests
+              signal: platformControllers[index].signal,
+              // Samples must be independent answers, and the question gets one turn, saved below
+              ...(samples > 1 && {
+                cache: false,
+                saveContext: false,
+                temperature: options.temperature !== undefined ? options.temperature : config.multiPlatform.sampleTemperature
+              })
+            }
+          ),
+          platformTimeout,
+          `Platform ${platform} timed out after ${platformTimeout}ms`
+        )
+          .then(platformResponse => {
+            outcomes[index] = {
+              platform,
+              status: platformResponse.error || platformResponse.cancelled ? 'failed' : 'answered',
+              durationMs: Date.now() - platformStartTime,
+              error: platformResponse.error,
+              response: platformResponse
+            };
+          })
+          .catch(error => {
+            logger.error(`Error processing on platform ${platform}`, error);
+            platformControllers[index].abort(error);
+            
+            // The aborted attempt only releases the breaker, so the timeout is recorded here
+            if (error.code === 'ETIMEDOUT') {
+              circuitBreakers.recordFailure(platform, Date.now() - platformStartTime);
+            }
+            
+            outcomes[index] = {
+              platform,
+              status: error.code === 'ETIMEDOUT' ? 'timed_out' : 'failed',
+              durationMs: Date.now() - platformStartTime,
+              error: error.message
+            };
+          });
+      });
+      
+      // Stop waiting at the overall deadline; anything still pending counts as timed out
+      let deadlineError;
+      await withTimeout(
+        Promise.all(platformRequests),
+        deadline,
+        `Multi-platform deadline of ${deadline}ms exceeded`
+      ).catch(error => {
+        deadlineError = error;
+        logger.warn(error.message, { userId, platforms });
+      });
+      
+      // Cancel whatever is still running once we stop waiting for it
+      abortAllPlatforms(deadlineError);
+      
+      if (options.signal) {
+        options.signal.removeEventListener('abort', cancelAllPlatforms);
+      }
+      
+      const platformResults = outcomes.map(outcome => {
+        if (outcome.status !== 'pending') {
+          return outcome;
+        }
+        
+        // Platforms still running at the deadline timed out as well
+        const durationMs = Date.now() - startTime;
+        circuitBreakers.recordFailure(outcome.platform, durationMs);
+        
+        return { platform: outcome.platform, status: 'timed_out', durationMs };
+      });
+      
+      const platformResponses = platformResults
+        .filter(outcome => outcome.status === 'answered')
+        .map(outcome => outcome.response);
+      
+      const platformStatus = {
+        answered: platformResults.filter(outcome => outcome.status === 'answered').map(outcome => outcome.platform),
+        timedOut: platformResults.filter(outcome => outcome.status === 'timed_out').map(outcome => outcome.platform),
+        failed: platformResults.filter(outcome => outcome.status === 'failed').map(outcome => outcome.platform)
+      };
+      
+      // Step 3: Merge responses
+      const mergedResponse = await this.responseSynthesizer.mergeResponses(
+        platformResponses,
+        {
+          format: options.responseFormat || 'markdown',
+          // Reasoning answers are voted on rather than concatenated
+          mergeStrategy: options.mergeStrategy ||
+            (routingInfo.taskType === this.taskRouter.taskTypes.REASONING ? 'consensus' : 'task_specific'),
+          includeSectionHeaders: options.includeSectionHeaders !== false
+        }
+      );
+      
+      // Samples are answers to one question; save their merged answer as a single turn
+      if (samples > 1 && options.saveContext !== false && platformResponses.length > 0 && !(options.signal && options.signal.aborted)) {
+        const turnId = await this.contextManager.saveContext(
+          userId,
+          userInput,
+          mergedResponse.content,
+          {
+            platform: platforms[0],
+            taskType: routingInfo.taskType,
+            timestamp: new Date().toISOString(),
+            status: 'completed',
+            conversationId: options.conversationId,
+            parentId: options.parentTurnId
+          }
+        );
+        
+        if (turnId) {
+          mergedResponse.turnId = turnId;
+        }
+      }
+      
+      // Total usage of the platforms that answered or failed in time
+      const respondedResults = platformResults.filter(outcome => outcome.response);
+      const usage = respondedResults
+        .map(outcome => outcome.response.usage || this.usageTracker.emptyUsage())
+        .reduce((total, platformUsage) => this.usageTracker.addUsage(total, platformUsage), this.usageTracker.emptyUsage());
+      const estimatedCost = Math.round(
+        respondedResults.reduce((total, outcome) => total + (outcome.response.estimatedCost || 0), 0) * 1000000
+      ) / 1000000;
+      
+      // Calculate processing time
+      const processingTime = Date.now() - startTime;
+      logger.info('Multi-platform request processed', { 
+        userId, 
+        processingTime,
+        platforms,
+        platformStatus,
+        taskType: routingInfo.taskType
+      });
+      
+      return {
+        ...mergedResponse,
+        processingTime,
+        routingInfo,
+        platformStatus,
+        platformResults: platformResults.map(({ response, ...outcome }) => ({
+          ...outcome,
+          ...(response && { usage: response.usage, estimatedCost: response.estimatedCost })
+        })),
+        usage,
+        estimatedCost
+      };
+    } catch (error) {
+      logger.error('Error processing multi-platform request', error);
+      
+      // Return error response
+      return {
+        content: 'I encountered an issue processing your multi-platform request. Please try again.',
+        formattedResponse: 'I encountered an issue processing your multi-platform request. Please try again.',
+        error: error.message,
+        usage: this.usageTracker.emptyUsage(),
+        estimatedCost: 0,
+        timestamp: new Date().toISOString(),
+        userId
+      };
+    }
+  }
+
+  /**
+   * Answer a turn's message again, as a sibling branch of the turn
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - The turn to regenerate; defaults to the active turn of options.conversationId
+   * @param {Object} options - Processing options, e.g. overridePlatform to answer with another platform
+   * @returns {Promise<Object|null>} - The new response, or null if the turn is unknown
+   */
+  async regenerateTurn(userId, turnId, options = {}) {
+    const turnToRegenerate = await this.contextManager.getTurn(
+      userId,
+      turnId || await this.contextManager.getActiveTurnId(userId, options.conversationId)
+    );
+    
+    if (!turnToRegenerate) {
+      return null;
+    }
+    
+    // A cached answer would be the same answer again
+    const response = await this.processRequest(turnToRegenerate.userInput, userId, {
+      ...options,
+      conversationId: turnToRegenerate.conversationId,
+      parentTurnId: turnToRegenerate.parentId,
+      cache: false
+    });
+    
+    return { ...response, regeneratedFrom: turnToRegenerate.turnId };
+  }
+
+  /**
+   * Replace a turn's message and continue from there, as a sibling branch of the turn
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - The turn whose message is edited
+   * @param {string} userInput - The edited message
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object|null>} - The response to the edited message, or null if the turn is unknown
+   */
+  async editTurn(userId, turnId, userInput, options = {}) {
+    const turnToEdit = await this.contextManager.getTurn(userId, turnId);
+    
+    if (!turnToEdit) {
+      return null;
+    }
+    
+    const response = await this.processRequest(userInput, userId, {
+      ...options,
+      conversationId: turnToEdit.conversationId,
+      parentTurnId: turnToEdit.parentId
+    });
+    
+    return { ...response, editedFrom: turnToEdit.turnId };
+  }
+
+  /**
+   * Record a user's feedback on an answer
+   * 
+   * Feedback on answers served under a routing experiment counts towards the variant's
+   * results; new feedback on the same turn replaces the earlier feedback.
+   * 
+   * @param {string} userId - The user's ID
+   * @param {string} turnId - The turn holding the answer
+   * @param {string} rating - 'positive' or 'negative'
+   * @returns {Promise<Object|null>} - { turnId, feedback, experiment }, or null if the turn is unknown
+   */
+  async recordFeedback(userId, turnId, rating) {
+    const turn = await this.contextManager.getTurn(userId, turnId);
+    
+    if (!turn) {
+      return null;
+    }
+    
+    await this.contextManager.setTurnFeedback(userId, turnId, rating);
+    
+    if (turn.experiment && turn.feedback !== rating) {
+      await this.taskRouter.experimentManager.recordOutcome(turn.experiment, {
+        feedback: rating,
+        previousFeedback: turn.feedback
+      });
+    }
+    
+    logger.info('Feedback recorded', { userId, turnId, rating });
+    
+    return { turnId, feedback: rating, experiment: turn.experiment || null };
+  }
+
+  /**
+   * Process a request in review mode: one platform drafts the answer, a second one
+   * critiques and revises it
+   * 
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Processing options; options.drafter, options.reviewer and options.maxRounds
+   *   override the configured pairing for the task type
+   * @returns {Promise<Object>} - The final response, with the draft, critiques and revisions in review
+   */
+  async processReviewRequest(userInput, userId, options = {}) {
+    try {
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      return await this.reviewPipeline.run(userInput, userId, options);
+    } catch (error) {
+      logger.error('Error processing review request', error);
+      
+      // Return error response
+      return {
+        content: 'I encountered an issue reviewing the response. Please try again.',
+        formattedResponse: 'I encountered an issue reviewing the response. Please try again.',
+        error: error.message,
+        timestamp: new Date().toISOString(),
+        userId
+      };
+    }
+  }
+}
+
+module.exports = { OrchestrationLayer };
@@ -0,0 +1,509 @@
+/**
+ * Job Queue Component for Majd Platform
+ *
+ * This component runs chat requests in the background so clients do not have to hold
+ * an HTTP connection open for long reasoning or multi-platform requests. Jobs are
+ * stored in a key-value store (in-process or Redis) and worked off a shared FIFO list
+ * by a fixed number of workers per instance. Failed attempts are retried with
+ * exponential backoff, and an optional webhook is notified when a job finishes.
+ * Workers claim a job by moving it to the processing list in one step, then hold a
+ * lease on it and renew the lease while the job runs; jobs whose lease expires, or
+ * that were claimed by an instance that died before taking the lease, are queued again.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getKeyValueStore } = require('../database/keyValueStore');
+const { logger } = require('../utils/logger');
+const { assertPublicUrl, guardedAgents } = require('../utils/networkGuard');
+const config = require('../config');
+
+// Key of the list of job IDs waiting for a worker
+const PENDING_LIST = 'pending';
+
+// Key of the list of job IDs claimed by a worker, until they finish or are queued again
+const PROCESSING_LIST = 'processing';
+
+// Prefix of the lease keys of jobs claimed by a worker
+const LEASE_PREFIX = 'lease:';
+
+class JobQueue {
+  /**
+   * @param {OrchestrationLayer} orchestrationLayer - Processes the queued requests
+   * @param {Object} jobsConfig - Queue configuration
+   */
+  constructor(orchestrationLayer, jobsConfig = config.jobs) {
+    this.orchestrationLayer = orchestrationLayer;
+    this.config = jobsConfig;
+    this.store = getKeyValueStore('chat-jobs', { backend: jobsConfig.backend });
+    this.activeJobs = new Set();
+    this.pumping = false;
+    this.pollTimer = null;
+    this.leaseTimer = null;
+    this.workerId = crypto.randomUUID();
+
+    // Claimed jobs seen without a lease on the last sweep for expired leases
+    this.unleasedJobs = new Set();
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.pump(), this.config.pollInterval);
+    this.leaseTimer = setInterval(() => this.requeueExpiredJobs(), this.config.leaseDuration);
+    logger.info('Job queue started', { backend: this.config.backend, concurrency: this.config.concurrency });
+  }
+
+  /**
+   * Stop polling; jobs already running are left to finish
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.leaseTimer);
+    this.pollTimer = null;
+    this.leaseTimer = null;
+  }
+
+  /**
+   * Queue a chat request
+   *
+   * @param {Object} request - The request
+   * @param {string} request.message - The user's input
+   * @param {string} request.userId - The user's ID
+   * @param {Object} request.options - Processing options, as for processRequest
+   * @param {Array} request.platforms - Platforms for a multi-platform request; omit for a routed request
+   * @param {string} request.webhookUrl - URL notified when the job finishes
+   * @returns {Promise<Object>} - The queued job
+   */
+  async enqueue(request) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type: request.platforms ? 'multi' : 'chat',
+      status: 'queued',
+      userId: request.userId,
+      request: {
+        message: request.message,
+        options: request.options || {},
+        ...(request.platforms && { platforms: request.platforms })
+      },
+      webhookUrl: request.webhookUrl || null,
+      attempts: 0,
+      maxAttempts: this.config.maxAttempts,
+      progress: { stage: 'queued' },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveJob(job);
+    await this.store.pushToList(PENDING_LIST, job.id);
+
+    logger.info('Chat job queued', { jobId: job.id, userId: job.userId, type: job.type });
+
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Get a job
+   *
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} - The job, or null if unknown or expired
+   */
+  async getJob(jobId) {
+    return this.store.get(`job:${jobId}`);
+  }
+
+  /**
+   * Start queued jobs until every worker slot is busy
+   */
+  async pump() {
+    // A single pump at a time, so slots are not overfilled by concurrent calls
+    if (this.pumping) {
+      return;
+    }
+
+    this.pumping = true;
+
+    try {
+      while (this.activeJobs.size < this.config.concurrency) {
+        // Claimed jobs stay on the processing list, so none is lost if this instance stops now
+        const jobId = await this.store.moveFromList(PENDING_LIST, PROCESSING_LIST);
+
+        if (!jobId) {
+          break;
+        }
+
+        const run = this.runJob(jobId).finally(() => {
+          this.activeJobs.delete(run);
+          this.pump();
+        });
+
+        this.activeJobs.add(run);
+      }
+    } catch (error) {
+      logger.error('Error reading the job queue', error);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Run one attempt of a job and record the outcome
+   *
+   * @param {string} jobId - The job ID
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    // Expired while waiting in the queue, or queued twice and already finished
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      logger.warn('Queued chat job no longer needs to run', { jobId, status: job && job.status });
+      await this.store.removeFromList(PROCESSING_LIST, jobId);
+      return;
+    }
+
+    // Claim the job before marking it running, so a crash in between still leaves a lease behind
+    await this.renewLease(job.id);
+    const heartbeat = setInterval(() => {
+      this.renewLease(job.id).catch(error => logger.error('Error renewing chat job lease', error));
+    }, Math.max(1, Math.floor(this.config.leaseDuration / 3)));
+
+    job.status = 'running';
+    job.attempts += 1;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.progress = { stage: 'processing', attempt: job.attempts, maxAttempts: job.maxAttempts };
+    await this.saveJob(job);
+
+    let response;
+    let failure;
+
+    try {
+      response = await this.processJob(job);
+
+      if (response.error) {
+        failure = response.error;
+      }
+    } catch (error) {
+      logger.error('Error processing chat job', error);
+      failure = error.message;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (failure && job.attempts < job.maxAttempts) {
+      const delay = this.config.retryDelay * Math.pow(2, job.attempts - 1);
+
+      logger.warn('Chat job attempt failed, retrying', { jobId, attempt: job.attempts, delay, error: failure });
+
+      job.status = 'queued';
+      job.lastError = failure;
+      job.progress = { stage: 'retrying', attempt: job.attempts, maxAttempts: job.maxAttempts, retryAt: new Date(Date.now() + delay).toISOString() };
+      await this.saveJob(job);
+
+      // The lease outlives the delay, so the retry is not lost if this instance stops meanwhile
+      await this.renewLease(job.id, delay + this.config.leaseDuration);
+
+      setTimeout(() => {
+        this.requeueJob(job.id)
+          .catch(error => logger.error('Error requeueing chat job', error));
+      }, delay);
+
+      return;
+    }
+
+    job.status = failure ? 'failed' : 'completed';
+    job.result = response || null;
+    job.error = failure || undefined;
+    job.completedAt = new Date().toISOString();
+    job.progress = { stage: job.status, attempt: job.attempts, maxAttempts: job.maxAttempts };
+    await this.saveJob(job);
+    await this.store.delete(`${LEASE_PREFIX}${job.id}`);
+    await this.store.removeFromList(PROCESSING_LIST, job.id);
+
+    logger.info('Chat job finished', { jobId, status: job.status, attempts: job.attempts });
+
+    if (job.webhookUrl) {
+      await this.deliverWebhook(job);
+    }
+  }
+
+  /**
+   * Claim a job for this worker, or extend the claim
+   *
+   * @param {string} jobId - The job ID
+   * @param {number} duration - Milliseconds until the lease expires
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async renewLease(jobId, duration = this.config.leaseDuration) {
+    return this.store.set(`${LEASE_PREFIX}${jobId}`, {
+      jobId,
+      workerId: this.workerId,
+      expiresAt: Date.now() + duration
+    }, this.config.ttl);
+  }
+
+  /**
+   * Release a job's lease and put it back on the queue
+   *
+   * Only the caller that removes the lease requeues the job, so instances sweeping
+   * the same expired lease do not queue it twice.
+   *
+   * @param {string} jobId - The job ID
+   * @returns {Promise<boolean>} - Whether the job was requeued
+   */
+  async requeueJob(jobId) {
+    if (!(await this.store.delete(`${LEASE_PREFIX}${jobId}`))) {
+      return false;
+    }
+
+    await this.store.pushToList(PENDING_LIST, jobId);
+    await this.store.removeFromList(PROCESSING_LIST, jobId);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Requeue jobs whose worker stopped renewing their lease
+   *
+   * A job that was running counts the lost attempt; once it has used every attempt
+   * it fails instead of being queued again. Claimed jobs that never got a lease are
+   * queued again as well.
+   *
+   * @returns {Promise<number>} - The number of jobs requeued or failed
+   */
+  async requeueExpiredJobs() {
+    let recovered = 0;
+
+    try {
+      recovered += await this.requeueUnleasedJobs();
+
+      for (const key of await this.store.keys(LEASE_PREFIX)) {
+        const lease = await this.store.get(key);
+
+        if (!lease || lease.expiresAt > Date.now()) {
+          continue;
+        }
+
+        const job = await this.getJob(lease.jobId);
+
+        if (!job || job.status === 'completed' || job.status === 'failed') {
+          await this.store.delete(key);
+          await this.store.removeFromList(PROCESSING_LIST, lease.jobId);
+          continue;
+        }
+
+        if (job.status === 'running' && job.attempts >= job.maxAttempts) {
+          if (!(await this.store.delete(key))) {
+            continue;
+          }
+
+          await this.store.removeFromList(PROCESSING_LIST, job.id);
+
+          job.status = 'failed';
+          job.error = 'The worker running the job stopped responding';
+          job.completedAt = new Date().toISOString();
+          job.progress = { stage: job.status, attempt: job.attempts, maxAttempts: job.maxAttempts };
+          await this.saveJob(job);
+
+          logger.warn('Chat job lease expired on the last attempt', { jobId: job.id, workerId: lease.workerId });
+          recovered++;
+
+          if (job.webhookUrl) {
+            await this.deliverWebhook(job);
+          }
+          continue;
+        }
+
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.lastError = 'The worker running the job stopped responding';
+          job.progress = { stage: 'retrying', attempt: job.attempts, maxAttempts: job.maxAttempts };
+          await this.saveJob(job);
+        }
+
+        if (await this.requeueJob(job.id)) {
+          logger.warn('Chat job lease expired, requeued', { jobId: job.id, workerId: lease.workerId });
+          recovered++;
+        }
+      }
+    } catch (error) {
+      logger.error('Error requeueing expired chat jobs', error);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Requeue claimed jobs whose worker stopped before taking their lease
+   *
+   * A worker takes the lease right after claiming a job, so a job is only recovered
+   * once it has been seen without a lease on two sweeps in a row.
+   *
+   * @returns {Promise<number>} - The number of jobs requeued
+   */
+  async requeueUnleasedJobs() {
+    const unleasedJobs = new Set();
+    let recovered = 0;
+
+    for (const jobId of await this.store.getList(PROCESSING_LIST)) {
+      if (await this.store.get(`${LEASE_PREFIX}${jobId}`)) {
+        continue;
+      }
+
+      if (!this.unleasedJobs.has(jobId)) {
+        unleasedJobs.add(jobId);
+        continue;
+      }
+
+      // Only the caller that removes the job requeues it, as with expired leases
+      if (!(await this.store.removeFromList(PROCESSING_LIST, jobId))) {
+        continue;
+      }
+
+      const job = await this.getJob(jobId);
+
+      if (job && job.status !== 'completed' && job.status !== 'failed') {
+        await this.store.pushToList(PENDING_LIST, jobId);
+        logger.warn('Claimed chat job had no lease, requeued', { jobId });
+        recovered++;
+      }
+    }
+
+    this.unleasedJobs = unleasedJobs;
+
+    if (recovered > 0) {
+      this.pump();
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Send a job's request through the orchestration layer
+   *
+   * Streaming requests report the characters received so far as progress.
+   *
+   * @param {Object} job - The job
+   * @returns {Promise<Object>} - The orchestration layer's response
+   */
+  async processJob(job) {
+    const { message, options, platforms } = job.request;
+
+    if (platforms) {
+      return this.orchestrationLayer.processMultiPlatformRequest(message, job.userId, platforms, options);
+    }
+
+    if (!options.stream) {
+      return this.orchestrationLayer.processRequest(message, job.userId, options);
+    }
+
+    let partialContent = '';
+    let lastSaved = 0;
+
+    const onChunk = (chunk) => {
+      partialContent += chunk;
+
+      // Progress is informational; write it at most once per poll interval
+      if (Date.now() - lastSaved >= this.config.pollInterval) {
+        lastSaved = Date.now();
+        job.progress = { ...job.progress, receivedCharacters: partialContent.length, partialContent };
+        this.saveJob(job).catch(error => logger.error('Error saving chat job progress', error));
+      }
+    };
+
+    return this.orchestrationLayer.processRequest(message, job.userId, { ...options, onChunk });
+  }
+
+  /**
+   * Notify a job's webhook that it finished
+   *
+   * The body is signed with HMAC-SHA256 over "<timestamp>.<body>" when a webhook
+   * secret is configured; receivers should check X-Majd-Signature and reject stale
+   * X-Majd-Timestamp values. The URL is checked again before every attempt, and
+   * redirects are not followed, so a webhook cannot be pointed at internal addresses.
+   *
+   * @param {Object} job - The finished job
+   * @returns {Promise<boolean>} - Whether the webhook accepted the notification
+   */
+  async deliverWebhook(job) {
+    const { webhook } = this.config;
+    const { webhookUrl, ...jobDetails } = job;
+    const body = JSON.stringify({ event: `chat.job.${job.status}`, job: jobDetails });
+
+    job.webhook = { status: 'pending', attempts: 0 };
+
+    while (job.webhook.attempts < webhook.maxAttempts) {
+      job.webhook.attempts += 1;
+
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Majd-Event': `chat.job.${job.status}`,
+        'X-Majd-Timestamp': timestamp
+      };
+
+      if (webhook.secret) {
+        headers['X-Majd-Signature'] = `sha256=${this.sign(`${timestamp}.${body}`, webhook.secret)}`;
+      }
+
+      try {
+        await assertPublicUrl(webhookUrl);
+        await axios.post(webhookUrl, body, {
+          ...guardedAgents,
+          proxy: false,
+          maxRedirects: 0,
+          headers,
+          timeout: webhook.timeout
+        });
+
+        job.webhook = { status: 'delivered', attempts: job.webhook.attempts, deliveredAt: new Date().toISOString() };
+        await this.saveJob(job);
+
+        logger.info('Chat job webhook delivered', { jobId: job.id, attempts: job.webhook.attempts });
+        return true;
+      } catch (error) {
+        job.webhook.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+        logger.warn('Chat job webhook delivery failed', { jobId: job.id, attempt: job.webhook.attempts, error: job.webhook.lastError });
+
+        if (job.webhook.attempts < webhook.maxAttempts) {
+          await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * Math.pow(2, job.webhook.attempts - 1)));
+        }
+      }
+    }
+
+    job.webhook.status = 'failed';
+    await this.saveJob(job);
+    return false;
+  }
+
+  /**
+   * Sign a webhook payload
+   *
+   * @param {string} payload - The signed content
+   * @param {string} secret - The signing key
+   * @returns {string} - Hex HMAC-SHA256 digest
+   */
+  sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Store a job, refreshing its expiry
+   *
+   * @param {Object} job - The job
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    return this.store.set(`job:${job.id}`, job, this.config.ttl);
+  }
+}
+
+module.exports = { JobQueue };
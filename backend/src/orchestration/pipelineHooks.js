@@ -0,0 +1,157 @@
+/**
+ * Pipeline Hooks Component for Majd Platform
+ *
+ * This component lets code outside the orchestration layer take part in request
+ * processing without changing it: redaction, custom system prompts, logging and so on.
+ *
+ * Handlers receive a mutable context object for the request and run in priority
+ * order (lowest first, then registration order). Stages and what they may change:
+ *
+ *   beforeRoute        - ctx.userInput, ctx.options
+ *   afterRoute         - ctx.routingInfo
+ *   beforeProviderCall - ctx.prompt, ctx.generationOptions
+ *   afterProviderCall  - ctx.platformResponse (the raw platform response)
+ *   beforeSave         - ctx.processedResponse; set ctx.skipSave to keep the turn out of the context
+ *   onError            - ctx.error is the failure; ctx.response replaces the error response
+ *
+ * Setting ctx.response in beforeRoute, afterRoute or beforeProviderCall ends the request
+ * with that response. ctx.state is free for hooks to share data across stages.
+ */
+
+const path = require('path');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const HOOK_STAGES = ['beforeRoute', 'afterRoute', 'beforeProviderCall', 'afterProviderCall', 'beforeSave', 'onError'];
+
+const DEFAULT_PRIORITY = 100;
+
+class PipelineHooks {
+  constructor(hooksConfig = config.hooks) {
+    this.stages = HOOK_STAGES;
+    this.hooks = new Map(HOOK_STAGES.map(stage => [stage, []]));
+    this.registrationCount = 0;
+
+    hooksConfig.modules.forEach(modulePath => this.loadModule(modulePath));
+  }
+
+  /**
+   * Register a handler for a stage
+   *
+   * @param {string} stage - One of the hook stages
+   * @param {Function} handler - async (ctx) => void
+   * @param {Object} options - Registration options
+   * @param {string} options.name - Name used in logs
+   * @param {number} options.priority - Lower runs first; defaults to 100
+   * @param {boolean} options.failClosed - Fail the request when the handler throws, instead of skipping it
+   * @returns {Function} - Call to unregister the handler
+   */
+  register(stage, handler, options = {}) {
+    if (!this.hooks.has(stage)) {
+      throw new Error(`Unknown pipeline hook stage: ${stage}. Expected one of ${HOOK_STAGES.join(', ')}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Pipeline hook for ${stage} must be a function`);
+    }
+
+    const hook = {
+      name: options.name || handler.name || `${stage}-hook`,
+      handler,
+      priority: options.priority !== undefined ? options.priority : DEFAULT_PRIORITY,
+      failClosed: options.failClosed === true,
+      order: this.registrationCount++
+    };
+
+    const stageHooks = this.hooks.get(stage);
+    stageHooks.push(hook);
+    stageHooks.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    logger.debug('Pipeline hook registered', { stage, name: hook.name, priority: hook.priority });
+
+    return () => {
+      const index = stageHooks.indexOf(hook);
+      if (index >= 0) {
+        stageHooks.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Register a plugin: an object with a handler per stage it takes part in
+   *
+   * @param {Object} plugin - { name, priority, failClosed, beforeRoute(ctx), ... }
+   * @returns {Function} - Call to unregister all of the plugin's handlers
+   */
+  use(plugin) {
+    const unregisters = HOOK_STAGES
+      .filter(stage => typeof plugin[stage] === 'function')
+      .map(stage => this.register(stage, plugin[stage].bind(plugin), {
+        name: plugin.name,
+        priority: plugin.priority,
+        failClosed: plugin.failClosed
+      }));
+
+    return () => unregisters.forEach(unregister => unregister());
+  }
+
+  /**
+   * Load a hook module listed in the configuration
+   *
+   * A module exports either a plugin object or a function that receives this
+   * instance and registers its own handlers.
+   *
+   * @param {string} modulePath - Path of the module, relative to the backend root
+   */
+  loadModule(modulePath) {
+    try {
+      const hookModule = require(path.resolve(config.paths.root, modulePath));
+
+      if (typeof hookModule === 'function') {
+        hookModule(this);
+      } else {
+        this.use({ name: path.basename(modulePath, '.js'), ...hookModule });
+      }
+
+      logger.info(`Pipeline hook module loaded: ${modulePath}`);
+    } catch (error) {
+      logger.error(`Failed to load pipeline hook module ${modulePath}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the handlers of a stage
+   *
+   * A handler that throws is logged, recorded in ctx.hookErrors and skipped, unless it
+   * was registered with failClosed. Once a handler sets ctx.response the remaining
+   * handlers of the stage do not run.
+   *
+   * @param {string} stage - The stage
+   * @param {Object} ctx - The request context
+   * @returns {Promise<Object>} - The context
+   */
+  async run(stage, ctx) {
+    for (const hook of this.hooks.get(stage)) {
+      if (ctx.response) {
+        break;
+      }
+
+      try {
+        await hook.handler(ctx);
+      } catch (error) {
+        logger.error(`Pipeline hook ${hook.name} failed in ${stage}`, error);
+
+        if (hook.failClosed) {
+          throw error;
+        }
+
+        ctx.hookErrors = [...(ctx.hookErrors || []), { stage, hook: hook.name, error: error.message }];
+      }
+    }
+
+    return ctx;
+  }
+}
+
+module.exports = { PipelineHooks };
@@ -0,0 +1,314 @@
+/**
+ * Response Cache Component for Majd Platform
+ *
+ * This component stores processed responses so repeated questions can be answered
+ * without a provider call. Entries are keyed on the normalized input, task type,
+ * platform and the options that change the answer. An optional similarity tier
+ * also serves questions that are worded slightly differently.
+ */
+
+const crypto = require('crypto');
+const { getKeyValueStore } = require('../database/keyValueStore');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Request options that change the response and are therefore part of the cache key
+const KEYED_OPTIONS = [
+  'responseFormat',
+  'includeThinking',
+  'includeAttribution',
+  'thinkingPosition',
+  'model',
+  'temperature',
+  'maxTokens',
+  'tools'
+];
+
+// Dimensions of the hashed bag-of-words embeddings used by the similarity tier
+const EMBEDDING_DIMENSIONS = 256;
+
+class ResponseCache {
+  constructor(cacheConfig = config.cache) {
+    this.ttl = cacheConfig.ttl;
+    this.semantic = cacheConfig.semantic;
+    this.store = getKeyValueStore('response-cache', {
+      backend: cacheConfig.backend,
+      maxEntries: cacheConfig.maxEntries
+    });
+  }
+
+  /**
+   * Check whether a request may be served from, and stored in, the cache
+   *
+   * @param {string} taskType - The classified task type
+   * @param {Object} options - Request options; options.cache === false opts out
+   * @returns {boolean} - Whether the cache applies
+   */
+  isEnabled(taskType, options = {}) {
+    return config.features.enableResponseCache &&
+      options.cache !== false &&
+      this.getTtl(taskType) > 0;
+  }
+
+  /**
+   * Get the time to live for a task type
+   *
+   * @param {string} taskType - The task type
+   * @returns {number} - Seconds, 0 when the task type is not cached
+   */
+  getTtl(taskType) {
+    return this.ttl[taskType] !== undefined ? this.ttl[taskType] : this.ttl.default;
+  }
+
+  /**
+   * Normalize user input so trivially different phrasings share an entry
+   *
+   * @param {string} userInput - The user's input
+   * @returns {string} - The normalized input
+   */
+  normalizeInput(userInput) {
+    return String(userInput || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s?!.]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Build the scope of a request: task type, platform and keyed options
+   *
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @returns {string} - The scope, used as key prefix
+   */
+  buildScope(routingInfo, options = {}) {
+    const keyedOptions = {};
+    KEYED_OPTIONS.forEach(name => {
+      if (options[name] !== undefined) {
+        keyedOptions[name] = options[name];
+      }
+    });
+
+    return `${routingInfo.taskType}:${routingInfo.platform}:${this.hash(JSON.stringify(keyedOptions)).substring(0, 12)}`;
+  }
+
+  /**
+   * Build the exact-match key of a request
+   *
+   * @param {string} userInput - The user's input
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @returns {string} - The cache key
+   */
+  buildKey(userInput, routingInfo, options = {}) {
+    return `entry:${this.buildScope(routingInfo, options)}:${this.hash(this.normalizeInput(userInput))}`;
+  }
+
+  /**
+   * Look up a cached response
+   *
+   * @param {string} userInput - The user's input
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @returns {Promise<Object|null>} - { response, match, similarity, storedAt }, or null on a miss
+   */
+  async get(userInput, routingInfo, options = {}) {
+    try {
+      const entry = await this.store.get(this.buildKey(userInput, routingInfo, options));
+
+      if (entry) {
+        logger.debug('Response cache hit', { match: 'exact', taskType: routingInfo.taskType, platform: routingInfo.platform });
+        return { response: entry.response, match: 'exact', similarity: 1, storedAt: entry.storedAt };
+      }
+
+      if (this.semantic.enabled) {
+        return await this.getSimilar(userInput, routingInfo, options);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error reading response cache', error);
+      return null;
+    }
+  }
+
+  /**
+   * Look up the most similar cached question in the same scope
+   *
+   * @param {string} userInput - The user's input
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @returns {Promise<Object|null>} - The cached response, or null when nothing is similar enough
+   */
+  async getSimilar(userInput, routingInfo, options) {
+    const indexKey = `semantic:${this.buildScope(routingInfo, options)}`;
+    const index = await this.store.get(indexKey) || [];
+    const embedding = this.embed(this.normalizeInput(userInput));
+
+    const candidates = index
+      .map(item => ({ ...item, similarity: this.cosineSimilarity(embedding, item.embedding) }))
+      .filter(item => item.similarity >= this.semantic.threshold)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    for (const candidate of candidates) {
+      const entry = await this.store.get(candidate.key);
+
+      // Index items outlive expired or invalidated entries; skip those
+      if (entry) {
+        logger.debug('Response cache hit', {
+          match: 'semantic',
+          similarity: candidate.similarity,
+          taskType: routingInfo.taskType,
+          platform: routingInfo.platform
+        });
+
+        return { response: entry.response, match: 'semantic', similarity: candidate.similarity, storedAt: entry.storedAt };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a processed response
+   *
+   * @param {string} userInput - The user's input
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @param {Object} response - The processed response
+   * @returns {Promise<boolean>} - Success indicator
+   */
+  async set(userInput, routingInfo, options, response) {
+    try {
+      const ttl = this.getTtl(routingInfo.taskType);
+      const key = this.buildKey(userInput, routingInfo, options);
+      const storedAt = new Date().toISOString();
+
+      // Per-request fields are filled in again when the entry is served
+      const { originalResponse, userId, timestamp, processingTime, routingInfo: _routingInfo, fallbackTrace, turnId, ...cachedResponse } = response;
+
+      await this.store.set(key, {
+        input: this.normalizeInput(userInput),
+        response: cachedResponse,
+        storedAt
+      }, ttl);
+
+      if (this.semantic.enabled) {
+        const indexKey = `semantic:${this.buildScope(routingInfo, options)}`;
+        const index = (await this.store.get(indexKey) || []).filter(item => item.key !== key);
+
+        index.push({ key, embedding: this.embed(this.normalizeInput(userInput)) });
+
+        await this.store.set(indexKey, index.slice(-this.semantic.maxEntries), ttl);
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error writing response cache', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the cached response for a request
+   *
+   * @param {string} userInput - The user's input
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Request options
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async delete(userInput, routingInfo, options = {}) {
+    try {
+      return await this.store.delete(this.buildKey(userInput, routingInfo, options));
+    } catch (error) {
+      logger.error('Error invalidating response cache entry', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove cached responses matching a filter
+   *
+   * @param {Object} filter - Optional taskType, platform and input; an empty filter clears the cache
+   * @returns {Promise<number>} - The number of entries removed
+   */
+  async invalidate(filter = {}) {
+    let prefix = 'entry:';
+    if (filter.taskType) {
+      prefix += `${filter.taskType}:`;
+      if (filter.platform) {
+        prefix += `${filter.platform}:`;
+      }
+    }
+
+    const normalizedInput = filter.input !== undefined ? this.normalizeInput(filter.input) : null;
+    let removed = 0;
+
+    for (const key of await this.store.keys(prefix)) {
+      if (filter.platform && key.split(':')[2] !== filter.platform) {
+        continue;
+      }
+
+      if (normalizedInput !== null) {
+        const entry = await this.store.get(key);
+        if (!entry || entry.input !== normalizedInput) {
+          continue;
+        }
+      }
+
+      if (await this.store.delete(key)) {
+        removed++;
+      }
+    }
+
+    logger.info('Response cache invalidated', { ...filter, removed });
+    return removed;
+  }
+
+  /**
+   * Embed text as a normalized hashed bag of words and word pairs
+   *
+   * Cheap and local, which is enough to catch rewordings of the same question.
+   *
+   * @param {string} text - The text
+   * @returns {Array} - The embedding
+   */
+  embed(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+    features.forEach(feature => {
+      const digest = crypto.createHash('md5').update(feature).digest();
+      const bucket = digest.readUInt16BE(0) % EMBEDDING_DIMENSIONS;
+      vector[bucket] += digest[2] & 1 ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => Math.round(value / norm * 10000) / 10000);
+  }
+
+  /**
+   * Cosine similarity of two normalized embeddings
+   *
+   * @param {Array} a - First embedding
+   * @param {Array} b - Second embedding
+   * @returns {number} - Similarity between -1 and 1
+   */
+  cosineSimilarity(a, b) {
+    return a.reduce((sum, value, index) => sum + value * (b[index] || 0), 0);
+  }
+
+  /**
+   * Hash a string for use in keys
+   *
+   * @param {string} value - The value
+   * @returns {string} - Hex digest
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = { ResponseCache };
@@ -0,0 +1,754 @@
+/**
+ * Response Synthesizer Component for Majd Platform
+ * 
+ * This component is responsible for processing responses from different AI platforms,
+ * merging them when necessary, ensuring consistency, and formatting the final
+ * response for the user.
+ */
+
+const { logger } = require('../utils/logger');
+const { ThinkingEngine } = require('./thinkingEngine');
+const platformRegistry = require('../platforms/registry');
+const config = require('../config');
+
+class ResponseSynthesizer {
+  constructor() {
+    this.thinkingEngine = new ThinkingEngine();
+    this.responseFormats = {
+      TEXT: 'text',
+      MARKDOWN: 'markdown',
+      HTML: 'html',
+      JSON: 'json'
+    };
+  }
+
+  /**
+   * Process a response from an AI platform
+   * 
+   * @param {Object} response - The response from the AI platform
+   * @param {Object} requestInfo - Information about the original request
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} - The processed response
+   */
+  async processResponse(response, requestInfo, options = {}) {
+    try {
+      // Extract basic response information
+      const processedResponse = {
+        originalResponse: response,
+        platform: requestInfo.platform,
+        taskType: requestInfo.taskType,
+        timestamp: new Date().toISOString(),
+        userId: requestInfo.userId,
+        format: options.format || this.responseFormats.MARKDOWN
+      };
+      
+      // Extract the content based on platform
+      processedResponse.content = this.extractContent(response, requestInfo.platform);
+      
+      // Extract thinking process if available
+      if (options.extractThinking && requestInfo.thinkingPrompts) {
+        processedResponse.thinkingProcess = this.thinkingEngine.extractThinkingProcess(
+          processedResponse.content,
+          requestInfo.thinkingPrompts
+        );
+      }
+      
+      // Record the tools the model called, in the response and in the thinking trace
+      if (requestInfo.toolsUsed && requestInfo.toolsUsed.length > 0) {
+        processedResponse.toolsUsed = requestInfo.toolsUsed;
+        
+        if (processedResponse.thinkingProcess) {
+          processedResponse.thinkingProcess.toolCalls = requestInfo.toolsUsed.map(toolUse => ({
+            step: toolUse.step,
+            tool: toolUse.name,
+            arguments: toolUse.arguments,
+            outcome: toolUse.error ? `error: ${toolUse.error}` : 'ok'
+          }));
+        }
+      }
+      
+      // Format the response based on requested format
+      processedResponse.formattedResponse = this.formatResponse(
+        processedResponse.content,
+        processedResponse.thinkingProcess,
+        processedResponse.format,
+        options
+      );
+      
+      return processedResponse;
+    } catch (error) {
+      logger.error('Error processing response', error);
+      
+      // Return a basic processed response in case of error
+      return {
+        content: 'I encountered an issue processing the response. Please try again.',
+        platform: requestInfo.platform,
+        taskType: requestInfo.taskType,
+        timestamp: new Date().toISOString(),
+        userId: requestInfo.userId,
+        format: options.format || this.responseFormats.MARKDOWN,
+        error: error.message,
+        formattedResponse: 'I encountered an issue processing the response. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Extract content from platform-specific response
+   * 
+   * @param {Object} response - The response from the AI platform
+   * @param {string} platform - The AI platform
+   * @returns {string} - The extracted content
+   */
+  extractContent(response, platform) {
+    const adapter = platformRegistry.get(platform);
+    
+    if (adapter && typeof adapter.extractContent === 'function') {
+      return adapter.extractContent(response);
+    }
+    
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * Format the response based on requested format
+   * 
+   * @param {string} content - The response content
+   * @param {Object} thinkingProcess - The extracted thinking process
+   * @param {string} format - The requested format
+   * @param {Object} options - Formatting options
+   * @returns {string} - The formatted response
+   */
+  formatResponse(content, thinkingProcess, format, options = {}) {
+    // Add platform attribution if required
+    const attribution = options.includeAttribution ? this.generateAttribution(options.platform) : '';
+    
+    // Format thinking process if available
+    const formattedThinking = thinkingProcess && options.includeThinking
+      ? this.thinkingEngine.formatThinkingProcess(thinkingProcess, { format })
+      : '';
+    
+    // Combine content based on format
+    switch (format) {
+      case this.responseFormats.MARKDOWN:
+        return this.formatMarkdown(content, formattedThinking, attribution, options);
+      case this.responseFormats.HTML:
+        return this.formatHTML(content, formattedThinking, attribution, options);
+      case this.responseFormats.JSON:
+        return this.formatJSON(content, thinkingProcess, options);
+      default:
+        return content + (attribution ? `\n\n${attribution}` : '');
+    }
+  }
+
+  /**
+   * Format response as Markdown
+   * 
+   * @param {string} content - The response content
+   * @param {string} thinking - The formatted thinking process
+   * @param {string} attribution - The platform attribution
+   * @param {Object} options - Formatting options
+   * @returns {string} - The Markdown-formatted response
+   */
+  formatMarkdown(content, thinking, attribution, options = {}) {
+    let markdown = '';
+    
+    // Add thinking process before or after content based on options
+    if (thinking && options.thinkingPosition === 'before') {
+      markdown += thinking + '\n\n';
+    }
+    
+    // Add main content
+    markdown += content;
+    
+    // Add thinking process after content
+    if (thinking && (!options.thinkingPosition || options.thinkingPosition === 'after')) {
+      markdown += '\n\n' + thinking;
+    }
+    
+    // Add attribution
+    if (attribution) {
+      markdown += '\n\n' + attribution;
+    }
+    
+    return markdown;
+  }
+
+  /**
+   * Format response as HTML
+   * 
+   * @param {string} content - The response content
+   * @param {string} thinking - The formatted thinking process
+   * @param {string} attribution - The platform attribution
+   * @param {Object} options - Formatting options
+   * @returns {string} - The HTML-formatted response
+   */
+  formatHTML(content, thinking, attribution, options = {}) {
+    let html = '<div class="majd-response">';
+    
+    // Add thinking process before or after content based on options
+    if (thinking && options.thinkingPosition === 'before') {
+      html += thinking;
+    }
+    
+    // Add main content
+    html += `<div class="response-content">${this.markdownToHTML(content)}</div>`;
+    
+    // Add thinking process after content
+    if (thinking && (!options.thinkingPosition || options.thinkingPosition === 'after')) {
+      html += thinking;
+    }
+    
+    // Add attribution
+    if (attribution) {
+      html += `<div class="attribution">${attribution}</div>`;
+    }
+    
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Format response as JSON
+   * 
+   * @param {string} content - The response content
+   * @param {Object} thinkingProcess - The thinking process object
+   * @param {Object} options - Formatting options
+   * @returns {string} - The JSON-formatted response
+   */
+  formatJSON(content, thinkingProcess, options = {}) {
+    const responseObj = {
+      content,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Add thinking process if available
+    if (thinkingProcess) {
+      responseObj.thinking_process = thinkingProcess;
+    }
+    
+    // Add platform information if attribution is required
+    if (options.includeAttribution) {
+      responseObj.platform = options.platform;
+    }
+    
+    return JSON.stringify(responseObj, null, 2);
+  }
+
+  /**
+   * Generate attribution for the AI platform
+   * 
+   * @param {string} platform - The AI platform
+   * @returns {string} - The attribution text
+   */
+  generateAttribution(platform) {
+    if (!platform) return '';
+    
+    const adapter = platformRegistry.get(platform);
+    
+    return adapter ? `*Response powered by ${adapter.displayName}*` : '';
+  }
+
+  /**
+   * Convert Markdown to HTML (simple implementation)
+   * 
+   * @param {string} markdown - The Markdown content
+   * @returns {string} - The HTML content
+   */
+  markdownToHTML(markdown) {
+    if (!markdown) return '';
+    
+    // This is a very simplified conversion - in production, use a proper Markdown library
+    let html = markdown
+      // Headers
+      .replace(/^### (.*$)/gm, '<h3>$1</h3>')
+      .replace(/^## (.*$)/gm, '<h2>$1</h2>')
+      .replace(/^# (.*$)/gm, '<h1>$1</h1>')
+      // Bold
+      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+      // Italic
+      .replace(/\*(.*?)\*/g, '<em>$1</em>')
+      // Code blocks
+      .replace(/```(.*?)\n([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>')
+      // Inline code
+      .replace(/`(.*?)`/g, '<code>$1</code>')
+      // Links
+      .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2">$1</a>')
+      // Lists
+      .replace(/^\s*\d+\.\s+(.*$)/gm, '<li>$1</li>')
+      .replace(/^\s*[\-\*]\s+(.*$)/gm, '<li>$1</li>')
+      // Paragraphs
+      .replace(/\n\s*\n/g, '</p><p>');
+    
+    // Wrap in paragraph tags if not already
+    if (!html.startsWith('<')) {
+      html = '<p>' + html + '</p>';
+    }
+    
+    return html;
+  }
+
+  /**
+   * Merge responses from multiple platforms
+   * 
+   * @param {Array} responses - Array of processed responses
+   * @param {Object} options - Merging options
+   * @returns {Promise<Object>} - The merged response
+   */
+  async mergeResponses(responses, options = {}) {
+    try {
+      if (!responses || responses.length === 0) {
+        throw new Error('No responses to merge');
+      }
+      
+      if (responses.length === 1) {
+        return responses[0];
+      }
+      
+      // Default to the first response's format
+      const format = options.format || responses[0].format || this.responseFormats.MARKDOWN;
+      
+      // Create merged response object
+      const mergedResponse = {
+        platform: 'merged',
+        taskType: responses[0].taskType,
+        timestamp: new Date().toISOString(),
+        userId: responses[0].userId,
+        format,
+        sources: responses.map(r => ({
+          platform: r.platform,
+          taskType: r.taskType
+        }))
+      };
+      
+      // Merge content based on merge strategy
+      const mergeStrategy = options.mergeStrategy || 'sequential';
+      
+      switch (mergeStrategy) {
+        case 'sequential':
+          mergedResponse.content = this.mergeSequential(responses, options);
+          break;
+        case 'best_first':
+          mergedResponse.content = this.mergeBestFirst(responses, options);
+          break;
+        case 'task_specific':
+          mergedResponse.content = this.mergeTaskSpecific(responses, options);
+          break;
+        case 'consensus': {
+          const { content, consensus } = this.mergeConsensus(responses, options);
+          mergedResponse.content = content;
+          mergedResponse.consensus = consensus;
+          break;
+        }
+        default:
+          mergedResponse.content = this.mergeSequential(responses, options);
+      }
+      
+      // Format the merged response
+      mergedResponse.formattedResponse = this.formatResponse(
+        mergedResponse.content,
+        null, // No thinking process for merged response
+        format,
+        { ...options, platform: 'merged' }
+      );
+      
+      return mergedResponse;
+    } catch (error) {
+      logger.error('Error merging responses', error);
+      
+      // Return a basic merged response in case of error
+      return {
+        content: 'I encountered an issue merging the responses. Please try again.',
+        platform: 'merged',
+        taskType: responses[0]?.taskType || 'unknown',
+        timestamp: new Date().toISOString(),
+        userId: responses[0]?.userId || 'unknown',
+        format: options.format || this.responseFormats.MARKDOWN,
+        error: error.message,
+        formattedResponse: 'I encountered an issue merging the responses. Please try again.'
+      };
+    }
+  }
+
+  /**
+   * Merge responses by majority vote on their final answers (self-consistency)
+   * 
+   * The final answer is extracted from each response and normalized so that equivalent
+   * numeric and symbolic answers count as the same vote. The content of the first response
+   * in the winning group is kept, followed by the vote and an appendix of dissenting answers.
+   * 
+   * @param {Array} responses - Array of processed responses
+   * @param {Object} options - Merging options
+   * @returns {Object} - { content, consensus }
+   */
+  mergeConsensus(responses, options = {}) {
+    const votes = new Map();
+    const ballots = responses.map((response, index) => {
+      const answer = this.extractFinalAnswer(response.content);
+      const normalizedAnswer = answer !== null ? this.normalizeAnswer(answer) : null;
+      const ballot = { index, platform: response.platform, answer, normalizedAnswer };
+      
+      // Responses without a recognizable answer do not vote
+      if (normalizedAnswer) {
+        if (!votes.has(normalizedAnswer)) {
+          votes.set(normalizedAnswer, []);
+        }
+        votes.get(normalizedAnswer).push(ballot);
+      }
+      
+      return ballot;
+    });
+    
+    // Most votes wins; ties go to the answer given first
+    const candidates = [...votes.entries()]
+      .map(([normalizedAnswer, group]) => ({
+        answer: group[0].answer,
+        normalizedAnswer,
+        votes: group.length,
+        platforms: group.map(ballot => ballot.platform),
+        firstIndex: group[0].index
+      }))
+      .sort((a, b) => b.votes - a.votes || a.firstIndex - b.firstIndex);
+    
+    const winner = candidates[0];
+    const total = responses.length;
+    const agreement = winner ? Math.round(winner.votes / total * 100) / 100 : 0;
+    
+    let level = 'none';
+    if (winner && winner.votes === total) {
+      level = 'unanimous';
+    } else if (winner && winner.votes > total / 2) {
+      level = 'majority';
+    } else if (winner && winner.votes > 1 && (candidates.length === 1 || candidates[1].votes < winner.votes)) {
+      level = 'plurality';
+    }
+    
+    const chosenIndex = winner ? winner.firstIndex : 0;
+    const dissent = ballots.filter(ballot => (
+      ballot.index !== chosenIndex && (!winner || ballot.normalizedAnswer !== winner.normalizedAnswer)
+    ));
+    
+    let content = responses[chosenIndex].content;
+    
+    content += winner
+      ? `\n\n**Consensus answer:** ${winner.answer} (${winner.votes} of ${total} responses agree, ${level})`
+      : `\n\n**Consensus answer:** none; no final answer could be extracted from the responses`;
+    
+    // Keep the dissenting answers, with their reasoning, in an appendix
+    if (dissent.length > 0) {
+      content += '\n\n---\n\n## Appendix: Dissenting Answers';
+      
+      dissent.forEach(ballot => {
+        const header = options.includeSectionHeaders !== false
+          ? `\n\n### ${this.getPlatformLabel(ballot.platform)}: ${ballot.answer !== null ? ballot.answer : 'no final answer'}`
+          : '';
+        
+        content += `${header}\n\n${responses[ballot.index].content}`;
+      });
+    }
+    
+    return {
+      content,
+      consensus: {
+        answer: winner ? winner.answer : null,
+        normalizedAnswer: winner ? winner.normalizedAnswer : null,
+        agreement,
+        level,
+        votes: winner ? winner.votes : 0,
+        total,
+        candidates: candidates.map(({ firstIndex, ...candidate }) => candidate),
+        dissent: dissent.map(ballot => ({ platform: ballot.platform, answer: ballot.answer }))
+      }
+    };
+  }
+
+  /**
+   * Extract the final answer from a response
+   * 
+   * Looks for, in order: the last \boxed{...}, the last "final answer: ..." or "answer is ..."
+   * statement, and the last number on the last line that contains one.
+   * 
+   * @param {string} content - The response content
+   * @returns {string|null} - The final answer, or null if none was found
+   */
+  extractFinalAnswer(content) {
+    if (!content) return null;
+    
+    const boxed = [...content.matchAll(/\\boxed\{((?:[^{}]|\{[^{}]*\})+)\}/g)];
+    if (boxed.length > 0) {
+      return boxed[boxed.length - 1][1].trim();
+    }
+    
+    const stated = [...content.matchAll(/\b(?:final answer|answer)\b\s*(?:is|:|=)\s*:?\s*([^\n]+)/gi)];
+    if (stated.length > 0) {
+      const answer = stated[stated.length - 1][1]
+        .replace(/[*_`]/g, '')
+        .replace(/[.;,]+\s*$/, '')
+        .trim();
+      
+      if (answer) {
+        return answer;
+      }
+    }
+    
+    const lines = content.split('\n').reverse();
+    for (const line of lines) {
+      const numbers = line.match(/-?\d[\d,]*(?:\.\d+)?(?:\s*\/\s*\d+)?%?/g);
+      if (numbers) {
+        return numbers[numbers.length - 1].trim();
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Normalize an answer so that equivalent answers compare equal
+   * 
+   * Numbers lose thousands separators, fractions and percentages become decimals, and
+   * symbolic answers lose formatting, spacing and a leading "x =".
+   * 
+   * @param {string} answer - The extracted answer
+   * @returns {string} - The normalized answer
+   */
+  normalizeAnswer(answer) {
+    let normalized = answer
+      .replace(/^[*_`]+|[*_`]+$/g, '')
+      .replace(/\\boxed\{(.*)\}/, '$1')
+      .replace(/\$|\\[(\[)\]]|\\text\{([^}]*)\}/g, '$1')
+      .replace(/\\(?:left|right|displaystyle|,|;|!)/g, '')
+      .replace(/\\dfrac|\\tfrac/g, '\\frac')
+      .replace(/\\frac\{([^{}]+)\}\{([^{}]+)\}/g, '($1)/($2)')
+      .replace(/\\(?:cdot|times)|[×·]/g, '*')
+      .replace(/\\div|÷/g, '/')
+      .replace(/[−–]/g, '-')
+      .replace(/\*\*/g, '^')
+      .replace(/(\d)\s*\*\s*(?=[a-z\\(])/gi, '$1') // 2*x is written 2x
+      .toLowerCase()
+      .trim()
+      .replace(/[.;,]+$/, '');
+    
+    // "x = 5" and "x=5" both mean 5
+    normalized = normalized.replace(/^[a-z]\s*=\s*/, '');
+    
+    const numeric = normalized.replace(/(\d),(?=\d{3}\b)/g, '$1').replace(/\s+/g, '');
+    const fraction = numeric.match(/^\(?(-?\d+(?:\.\d+)?)\)?\/\(?(-?\d+(?:\.\d+)?)\)?$/);
+    const percentage = numeric.match(/^(-?\d+(?:\.\d+)?)%$/);
+    
+    let value = null;
+    if (fraction && Number(fraction[2]) !== 0) {
+      value = Number(fraction[1]) / Number(fraction[2]);
+    } else if (percentage) {
+      value = Number(percentage[1]) / 100;
+    } else if (/^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/.test(numeric)) {
+      value = Number(numeric);
+    }
+    
+    if (value !== null && Number.isFinite(value)) {
+      return String(Number(value.toPrecision(12)));
+    }
+    
+    if (/^(?:yes|true|correct)$/.test(normalized)) return 'true';
+    if (/^(?:no|false|incorrect)$/.test(normalized)) return 'false';
+    
+    // Symbolic answers compare without spacing or redundant outer parentheses
+    normalized = normalized.replace(/\s+/g, '');
+    while (/^\((.*)\)$/.test(normalized) && this.isBalanced(normalized.slice(1, -1))) {
+      normalized = normalized.slice(1, -1);
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Check that the parentheses in an expression are balanced
+   * 
+   * @param {string} expression - The expression
+   * @returns {boolean} - Whether every parenthesis is matched
+   */
+  isBalanced(expression) {
+    let depth = 0;
+    
+    for (const character of expression) {
+      if (character === '(') depth += 1;
+      if (character === ')') depth -= 1;
+      if (depth < 0) return false;
+    }
+    
+    return depth === 0;
+  }
+
+  /**
+   * Get the display name of a platform for section headers
+   * 
+   * @param {string} platform - The AI platform
+   * @returns {string} - The display name, or the platform name if unknown
+   */
+  getPlatformLabel(platform) {
+    const adapter = platformRegistry.get(platform);
+    
+    return adapter ? adapter.displayName : platform;
+  }
+
+  /**
+   * Merge responses sequentially
+   * 
+   * @param {Array} responses - Array of processed responses
+   * @param {Object} options - Merging options
+   * @returns {string} - The merged content
+   */
+  mergeSequential(responses, options = {}) {
+    let mergedContent = '';
+    
+    responses.forEach((response, index) => {
+      // Add section header if requested
+      if (options.includeSectionHeaders !== false) {
+        mergedContent += `## ${this.getPlatformLabel(response.platform)} Response\n\n`;
+      }
+      
+      // Add content
+      mergedContent += response.content;
+      
+      // Add separator between responses
+      if (index < responses.length - 1) {
+        mergedContent += '\n\n---\n\n';
+      }
+    });
+    
+    return mergedContent;
+  }
+
+  /**
+   * Merge responses with the most complete response first
+   * 
+   * The longest response that did not fail leads; the others follow as additional
+   * perspectives.
+   * 
+   * @param {Array} responses - Array of processed responses
+   * @param {Object} options - Merging options
+   * @returns {string} - The merged content
+   */
+  mergeBestFirst(responses, options = {}) {
+    const ranked = [...responses].sort((a, b) => (
+      Number(Boolean(a.error)) - Number(Boolean(b.error)) ||
+      (b.content || '').length - (a.content || '').length
+    ));
+    
+    const [best, ...others] = ranked;
+    let mergedContent = best.content;
+    
+    if (others.length > 0) {
+      mergedContent += '\n\n---\n\n## Additional Perspectives';
+      
+      others.forEach(response => {
+        const header = options.includeSectionHeaders !== false
+          ? `\n\n### ${this.getPlatformLabel(response.platform)}`
+          : '';
+        
+        mergedContent += `${header}\n\n${response.content}`;
+      });
+    }
+    
+    return mergedContent;
+  }
+
+  /**
+   * Merge responses in the way that suits their task type
+   * 
+   * Research and analysis tasks keep every response, as each may cover different sources;
+   * other tasks lead with the most complete response.
+   * 
+   * @param {Array} responses - Array of processed responses
+   * @param {Object} options - Merging options
+   * @returns {string} - The merged content
+   */
+  mergeTaskSpecific(responses, options = {}) {
+    switch (responses[0].taskType) {
+      case 'research':
+      case 'data_analysis':
+        return this.mergeSequential(responses, options);
+      default:
+        return this.mergeBestFirst(responses, options);
+    }
+  }
+
+  /**
+   * Combine the results of the tasks run on a document
+   * 
+   * @param {Array} taskResults - The task results: { task, platform, result, thinkingSteps }
+   * @param {Object} documentContext - The document context
+   * @returns {Promise<Object>} - { summary, entities, topics, sentiment, analysis, results }
+   */
+  async synthesizeDocumentResults(taskResults, documentContext) {
+    const contentOf = task => {
+      const taskResult = taskResults.find(entry => entry.task === task);
+      return taskResult ? this.extractTaskContent(taskResult.result, taskResult.platform) : null;
+    };
+    
+    const parseList = content => {
+      if (!content) return [];
+      
+      try {
+        const parsed = JSON.parse(content);
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (error) {
+        return content.split('\n')
+          .map(line => line.replace(/^\s*(?:[-*]|\d+\.)\s*/, '').trim())
+          .filter(Boolean);
+      }
+    };
+    
+    const analysis = contentOf('deepAnalysis') || contentOf('analyze');
+    const sentimentMatch = analysis ? analysis.match(/\bsentiment\b[^a-z]*(positive|negative|neutral|mixed)/i) : null;
+    const topicsMatch = analysis ? analysis.match(/\b(?:topics|themes)\b\s*:\s*([^\n]+)/i) : null;
+    
+    return {
+      documentId: documentContext ? documentContext.documentId : undefined,
+      summary: contentOf('summarize') || contentOf('extract'),
+      entities: parseList(contentOf('extractEntities')),
+      topics: topicsMatch ? topicsMatch[1].split(',').map(topic => topic.trim()).filter(Boolean) : [],
+      sentiment: sentimentMatch ? sentimentMatch[1].toLowerCase() : null,
+      analysis,
+      results: taskResults.map(taskResult => ({
+        task: taskResult.task,
+        platform: taskResult.platform,
+        content: this.extractTaskContent(taskResult.result, taskResult.platform)
+      }))
+    };
+  }
+
+  /**
+   * Turn a document question-answering result into the answer text
+   * 
+   * @param {Object} result - The platform's result
+   * @param {string} question - The question
+   * @param {Object} documentContext - The document context
+   * @param {Array} thinkingSteps - The thinking steps the platform was given
+   * @returns {Promise<string>} - The answer
+   */
+  async synthesizeDocumentQA(result, question, documentContext, thinkingSteps) {
+    const answer = this.extractTaskContent(result);
+    
+    if (!answer || !answer.trim()) {
+      logger.warn('Empty answer to document question', { question });
+      return 'The answer could not be determined from the document.';
+    }
+    
+    return answer.trim();
+  }
+
+  /**
+   * Extract the content of a task result, which connectors return already processed
+   * 
+   * @param {Object} result - The task result
+   * @param {string} platform - The platform that ran the task
+   * @returns {string|null} - The content, or null for a missing result
+   */
+  extractTaskContent(result, platform) {
+    if (!result) return null;
+    
+    return typeof result.content === 'string' ? result.content : this.extractContent(result, platform);
+  }
+}
+
+module.exports = { ResponseSynthesizer };
@@ -0,0 +1,245 @@
+/**
+ * Review Pipeline Component for Majd Platform
+ *
+ * This component implements the draft-and-critique review mode: one platform drafts an
+ * answer, and a second platform receives the question and the draft and returns a
+ * critique and a revised answer. The revision is reviewed again until the reviewer has
+ * no further changes or the maximum number of rounds is reached.
+ *
+ * Which platforms draft and review is configured per task type (config.review.pairings).
+ */
+
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// The reviewer is asked to answer with these two sections
+const CRITIQUE_HEADING = /^#{1,6}\s*critique\s*:?\s*$/im;
+const REVISION_HEADING = /^#{1,6}\s*revised answer\s*:?\s*$/im;
+const NO_CHANGES = /^\W*no changes needed\W*$/i;
+
+class ReviewPipeline {
+  /**
+   * @param {OrchestrationLayer} orchestrationLayer - Processes the draft and review requests
+   * @param {Object} reviewConfig - Review configuration
+   */
+  constructor(orchestrationLayer, reviewConfig = config.review) {
+    this.orchestrationLayer = orchestrationLayer;
+    this.config = reviewConfig;
+  }
+
+  /**
+   * Draft an answer on one platform and have it critiqued and revised on another
+   *
+   * @param {string} userInput - The user's input
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Processing options; options.drafter, options.reviewer and
+   *   options.maxRounds override the configured pairing and rounds
+   * @returns {Promise<Object>} - The final response, with the draft, critiques and revisions in review
+   */
+  async run(userInput, userId, options = {}) {
+    const startTime = Date.now();
+    const { taskRouter, usageTracker, responseSynthesizer, contextManager } = this.orchestrationLayer;
+
+    // Review requests are answered as a whole; the steps neither stream nor save turns
+    const { stream, onChunk, ...stepOptions } = options;
+    stepOptions.enableFallback = false;
+    stepOptions.saveContext = false;
+
+    // Step 1: Route the request and pick the drafting and reviewing platforms; review
+    // requests pick their own platforms, so they take no part in routing experiments
+    const routingInfo = await taskRouter.routeRequest(userInput, userId, { ...options, experiments: false });
+    const { drafter, reviewer } = this.getPairing(routingInfo, options);
+    const maxRounds = Math.max(1, Math.min(options.maxRounds || this.config.maxRounds, this.config.maxRounds));
+
+    logger.info('Review request started', { userId, taskType: routingInfo.taskType, drafter, reviewer, maxRounds });
+
+    // Step 2: Draft
+    const draft = await this.orchestrationLayer.processRequest(
+      userInput,
+      userId,
+      { ...stepOptions, overridePlatform: drafter }
+    );
+
+    if (draft.error || draft.cancelled) {
+      return { ...draft, review: { drafter, reviewer, maxRounds, rounds: [], status: 'draft_failed' } };
+    }
+
+    const steps = [draft];
+    const rounds = [];
+    let current = draft.content;
+    let status = 'max_rounds';
+
+    // Step 3: Critique and revise until the reviewer is satisfied or the rounds run out
+    for (let round = 1; round <= maxRounds && status === 'max_rounds'; round++) {
+      const reviewResponse = await this.orchestrationLayer.processRequest(
+        this.buildReviewPrompt(userInput, current, round),
+        userId,
+        { ...stepOptions, overridePlatform: reviewer, cache: false }
+      );
+
+      if (reviewResponse.error || reviewResponse.cancelled) {
+        logger.warn('Review round failed, keeping the current version', { userId, round, reviewer, error: reviewResponse.error });
+        rounds.push({ round, platform: reviewer, status: 'failed', error: reviewResponse.error || 'cancelled' });
+        status = 'review_failed';
+        break;
+      }
+
+      steps.push(reviewResponse);
+
+      const { critique, revision } = this.parseReview(reviewResponse.content);
+
+      if (NO_CHANGES.test(critique) || revision === current) {
+        rounds.push({ round, platform: reviewer, status: 'approved', critique });
+        status = 'approved';
+      } else if (!revision) {
+        // Without a revision there is nothing to review in another round
+        rounds.push({ round, platform: reviewer, status: 'critique_only', critique });
+        status = 'critique_only';
+      } else {
+        rounds.push({ round, platform: reviewer, status: 'revised', critique, revision });
+        current = revision;
+      }
+    }
+
+    // Step 4: Save the question and the final version as a single turn
+    const turnId = options.saveContext !== false
+      ? await contextManager.saveContext(userId, userInput, current, {
+        platform: reviewer,
+        taskType: routingInfo.taskType,
+        timestamp: new Date().toISOString(),
+        status: 'completed',
+        conversationId: options.conversationId,
+        parentId: options.parentTurnId
+      })
+      : null;
+
+    const format = options.responseFormat || draft.format;
+    // The critique that shaped the final version, or the reviewer's last word if nothing was revised
+    const lastCritique = rounds.filter(round => round.status === 'revised').pop() ||
+      rounds.filter(round => round.critique).pop();
+    const usage = steps
+      .map(step => step.usage || usageTracker.emptyUsage())
+      .reduce((total, stepUsage) => usageTracker.addUsage(total, stepUsage), usageTracker.emptyUsage());
+    const estimatedCost = Math.round(
+      steps.reduce((total, step) => total + (step.estimatedCost || 0), 0) * 1000000
+    ) / 1000000;
+
+    const processingTime = Date.now() - startTime;
+    logger.info('Review request processed', { userId, processingTime, drafter, reviewer, rounds: rounds.length, status });
+
+    return {
+      content: current,
+      formattedResponse: responseSynthesizer.formatResponse(current, null, format, { ...options, platform: reviewer }),
+      platform: reviewer,
+      taskType: routingInfo.taskType,
+      timestamp: new Date().toISOString(),
+      userId,
+      format,
+      review: {
+        drafter,
+        reviewer,
+        maxRounds,
+        status, // 'approved', 'max_rounds', 'critique_only' or 'review_failed'
+        draft: draft.content,
+        critique: lastCritique ? lastCritique.critique : null,
+        final: current,
+        rounds
+      },
+      ...(turnId && { turnId }),
+      processingTime,
+      routingInfo,
+      usage,
+      estimatedCost
+    };
+  }
+
+  /**
+   * Get the drafting and reviewing platforms for a routed request
+   *
+   * Pairings name platforms directly, or 'primary' / 'secondary' / 'fallback' for the
+   * platforms the task router chose. A reviewer that would be the drafter itself is
+   * replaced by the router's secondary or fallback platform.
+   *
+   * @param {Object} routingInfo - The routing decision
+   * @param {Object} options - Processing options; options.drafter and options.reviewer take precedence
+   * @returns {Object} - { drafter, reviewer }
+   */
+  getPairing(routingInfo, options = {}) {
+    const pairing = this.config.pairings[routingInfo.taskType] || this.config.pairings.default;
+    const resolve = (step) => {
+      if (step === 'primary') return routingInfo.platform;
+      if (step === 'secondary' || step === 'fallback') return routingInfo[step];
+      return step;
+    };
+
+    const drafter = options.drafter || resolve(pairing.drafter);
+    let reviewer = options.reviewer || resolve(pairing.reviewer);
+
+    if (!reviewer || reviewer === drafter) {
+      reviewer = [routingInfo.secondary, routingInfo.fallback].find(platform => platform && platform !== drafter);
+    }
+
+    if (!reviewer) {
+      throw new Error(`No reviewing platform available for ${routingInfo.taskType} drafts by ${drafter}`);
+    }
+
+    return { drafter, reviewer };
+  }
+
+  /**
+   * Build the prompt asking the reviewer to critique and revise an answer
+   *
+   * @param {string} userInput - The user's question
+   * @param {string} answer - The answer under review
+   * @param {number} round - The review round, starting at 1
+   * @returns {string} - The review prompt
+   */
+  buildReviewPrompt(userInput, answer, round) {
+    return [
+      `You are reviewing ${round === 1 ? 'a draft answer' : 'a revised answer'} written by another assistant.`,
+      '',
+      '## Question',
+      userInput,
+      '',
+      '## Answer Under Review',
+      answer,
+      '',
+      'Check the answer for errors, omissions, unclear explanations and, for code, bugs and missing edge cases.',
+      'Reply with exactly these two sections:',
+      '',
+      '## Critique',
+      'The problems you found, most important first. If the answer needs no changes, write only "No changes needed."',
+      '',
+      '## Revised Answer',
+      'The complete improved answer, written for the user, without referring to the review.'
+    ].join('\n');
+  }
+
+  /**
+   * Split a reviewer's reply into its critique and revised answer
+   *
+   * A reply without a "Revised Answer" section is treated as a critique only.
+   *
+   * @param {string} content - The reviewer's reply
+   * @returns {Object} - { critique, revision }; revision is null if the reply has none
+   */
+  parseReview(content) {
+    const text = (content || '').trim();
+    const revisionMatch = REVISION_HEADING.exec(text);
+
+    const critiquePart = revisionMatch ? text.slice(0, revisionMatch.index) : text;
+    const critiqueMatch = CRITIQUE_HEADING.exec(critiquePart);
+    const critique = (critiqueMatch
+      ? critiquePart.slice(critiqueMatch.index + critiqueMatch[0].length)
+      : critiquePart
+    ).trim();
+
+    const revision = revisionMatch
+      ? text.slice(revisionMatch.index + revisionMatch[0].length).trim() || null
+      : null;
+
+    return { critique, revision };
+  }
+}
+
+module.exports = { ReviewPipeline };
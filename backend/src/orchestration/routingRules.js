@@ -0,0 +1,408 @@
+/**
+ * Routing Rules Component for Majd Platform
+ *
+ * Routing is defined in one rules file (config.routing.rulesFile): the task types, the
+ * conditions that classify a request as each of them, and the platform chain that serves
+ * it. The file is validated against RULES_SCHEMA when it is loaded and reloaded when it
+ * changes; a file that fails validation is rejected and the previous rules stay in use.
+ *
+ *   {
+ *     "version": 1,
+ *     "defaultTaskType": "general",
+ *     "taskTypes": [
+ *       {
+ *         "id": "code",
+ *         "name": "Code Generation",
+ *         "description": "Software development and programming",
+ *         "chain": ["copilot", "deepseek", "chatgpt", "local"],
+ *         "conditions": [
+ *           { "name": "code fence", "pattern": "```", "weight": 3 },
+ *           { "keywords": ["code", "debug*"], "weight": 2 },
+ *           { "keywords": ["برمج*"], "weight": 2, "language": "arabic" }
+ *         ]
+ *       }
+ *     ],
+ *     "tenants": {
+ *       "acme": { "taskTypes": { "code": { "chain": ["chatgpt", "local"] } } }
+ *     }
+ *   }
+ *
+ * The first platform of a chain is the primary, the second the secondary and the last
+ * the fallback. Conditions match keywords (a trailing "*" matches any ending), a regular
+ * expression or, with only a language, any text in that language; a language on a
+ * keyword or pattern condition limits it to texts in that language.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const platformRegistry = require('../platforms/registry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const LANGUAGES = ['arabic', 'english'];
+
+const CHAIN_SCHEMA = { type: 'array', minItems: 1, items: { type: 'string' } };
+
+const CONDITION_SCHEMA = {
+  type: 'object',
+  required: ['weight'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    keywords: { type: 'array', minItems: 1, items: { type: 'string' } },
+    pattern: { type: 'string' },
+    flags: { type: 'string', pattern: '^[imsu]*$' },
+    language: { type: 'string', enum: LANGUAGES },
+    weight: { type: 'number', minimum: 0 }
+  }
+};
+
+const RULES_SCHEMA = {
+  type: 'object',
+  required: ['version', 'defaultTaskType', 'taskTypes'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'number', enum: [1] },
+    defaultTaskType: { type: 'string' },
+    taskTypes: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'chain'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          chain: CHAIN_SCHEMA,
+          conditions: { type: 'array', items: CONDITION_SCHEMA }
+        }
+      }
+    },
+    tenants: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          taskTypes: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['chain'],
+              additionalProperties: false,
+              properties: { chain: CHAIN_SCHEMA }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check a value against a schema, supporting the keywords RULES_SCHEMA uses
+ *
+ * @param {*} value - The value
+ * @param {Object} schema - The schema
+ * @param {string} location - Where the value is, for error messages
+ * @returns {Array<string>} - The violations
+ */
+const validateSchema = (value, schema, location = 'rules') => {
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && actualType !== schema.type) {
+    return [`${location} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${location} must match ${schema.pattern}`);
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${location} must be at least ${schema.minimum}`);
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${location} must have at least ${schema.minItems} item(s)`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${location}[${index}]`)));
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${location}.${key} is required`));
+
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertySchema = schema.properties && schema.properties[key];
+
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}.${key} is not allowed`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${location}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+class RoutingRules {
+  /**
+   * @param {Object} routingConfig - Routing configuration
+   */
+  constructor(routingConfig = config.routing) {
+    this.config = routingConfig;
+    this.filePath = path.resolve(routingConfig.rulesFile);
+    this.rules = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Get the current rules, loading them on first use
+   *
+   * @returns {Object} - The rules; throws if the rules file is missing or invalid on first load
+   */
+  getRules() {
+    if (!this.rules) {
+      this.rules = this.load();
+
+      if (this.config.watchRules) {
+        this.watch();
+      }
+    }
+
+    return this.rules;
+  }
+
+  /**
+   * Read and validate the rules file
+   *
+   * @returns {Object} - The rules
+   */
+  load() {
+    const rules = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const errors = this.validate(rules);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid routing rules in ${this.filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    logger.info('Routing rules loaded', { filePath: this.filePath, taskTypes: rules.taskTypes.map(taskType => taskType.id) });
+    return rules;
+  }
+
+  /**
+   * Reload the rules file, keeping the current rules if it is invalid
+   *
+   * @returns {boolean} - Whether the new rules were applied
+   */
+  reload() {
+    try {
+      this.rules = this.load();
+      return true;
+    } catch (error) {
+      logger.error('Routing rules not reloaded, keeping the previous rules', { filePath: this.filePath, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Validate rules against the schema and check the references between them
+   *
+   * @param {Object} rules - The rules
+   * @returns {Array<string>} - The problems found; empty if the rules are valid
+   */
+  validate(rules) {
+    const errors = validateSchema(rules, RULES_SCHEMA);
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const ids = rules.taskTypes.map(taskType => taskType.id);
+    const checkChain = (chain, location) => chain
+      .filter(platform => !platformRegistry.has(platform))
+      .forEach(platform => errors.push(`${location} names unknown platform ${platform}`));
+
+    ids.filter((id, index) => ids.indexOf(id) !== index)
+      .forEach(id => errors.push(`task type ${id} is defined more than once`));
+
+    if (!ids.includes(rules.defaultTaskType)) {
+      errors.push(`defaultTaskType ${rules.defaultTaskType} is not a defined task type`);
+    }
+
+    rules.taskTypes.forEach((taskType, index) => {
+      checkChain(taskType.chain, `taskTypes[${index}].chain`);
+
+      (taskType.conditions || []).forEach((condition, conditionIndex) => {
+        const location = `taskTypes[${index}].conditions[${conditionIndex}]`;
+
+        if (condition.keywords && condition.pattern) {
+          errors.push(`${location} must have keywords or a pattern, not both`);
+        } else if (!condition.keywords && !condition.pattern && !condition.language) {
+          errors.push(`${location} must have keywords, a pattern or a language`);
+        }
+
+        if (condition.pattern) {
+          try {
+            new RegExp(condition.pattern, condition.flags);
+          } catch (error) {
+            errors.push(`${location}.pattern is not a valid regular expression: ${error.message}`);
+          }
+        }
+      });
+    });
+
+    Object.entries(rules.tenants || {}).forEach(([tenantId, tenant]) => {
+      Object.entries(tenant.taskTypes || {}).forEach(([taskTypeId, override]) => {
+        if (!ids.includes(taskTypeId)) {
+          errors.push(`tenants.${tenantId}.taskTypes.${taskTypeId} is not a defined task type`);
+        } else {
+          checkChain(override.chain, `tenants.${tenantId}.taskTypes.${taskTypeId}.chain`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Reload the rules whenever the rules file changes
+   *
+   * The directory is watched rather than the file, so editors that replace the file
+   * on save are picked up too.
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    const fileName = path.basename(this.filePath);
+
+    try {
+      this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changedFile) => {
+        if (changedFile && changedFile !== fileName) {
+          return;
+        }
+
+        // Editors write in several steps; reload once they are done
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          if (fs.existsSync(this.filePath) && this.reload()) {
+            logger.info('Routing rules reloaded after a change', { filePath: this.filePath });
+          }
+        }, 100);
+      });
+
+      // Watching must not keep the process alive
+      this.watcher.unref();
+    } catch (error) {
+      logger.error('Cannot watch routing rules file, changes need a restart', { filePath: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Stop watching the rules file
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    clearTimeout(this.reloadTimer);
+  }
+
+  /**
+   * Get a task type's definition
+   *
+   * @param {string} taskTypeId - The task type ID
+   * @returns {Object|null} - The task type, or null if it is not defined
+   */
+  getTaskType(taskTypeId) {
+    return this.getRules().taskTypes.find(taskType => taskType.id === taskTypeId) || null;
+  }
+
+  /**
+   * Get the task types, with a tenant's chains where it overrides them
+   *
+   * @param {string} tenantId - The tenant ID, if any
+   * @returns {Array<Object>} - { id, name, description, chain, defaultPlatform } per task type
+   */
+  getTaskTypes(tenantId) {
+    return this.getRules().taskTypes.map(taskType => {
+      const chain = this.getChain(taskType.id, tenantId);
+
+      return {
+        id: taskType.id,
+        name: taskType.name,
+        description: taskType.description || '',
+        chain,
+        defaultPlatform: chain[0]
+      };
+    });
+  }
+
+  /**
+   * Get the task type requests fall back to
+   *
+   * @returns {string} - The task type ID
+   */
+  getDefaultTaskType() {
+    return this.getRules().defaultTaskType;
+  }
+
+  /**
+   * Get the platform chain for a task type
+   *
+   * @param {string} taskTypeId - The task type ID; unknown task types use the default task type
+   * @param {string} tenantId - The tenant ID, if any
+   * @returns {Array<string>} - The platforms, in the order they are tried
+   */
+  getChain(taskTypeId, tenantId) {
+    const rules = this.getRules();
+    const tenantTaskTypes = (tenantId && rules.tenants && rules.tenants[tenantId] && rules.tenants[tenantId].taskTypes) || {};
+    const taskType = this.getTaskType(taskTypeId) || this.getTaskType(rules.defaultTaskType);
+
+    return (tenantTaskTypes[taskType.id] || taskType).chain;
+  }
+
+  /**
+   * Get the primary, secondary and fallback platforms for a task type
+   *
+   * @param {string} taskTypeId - The task type ID
+   * @param {string} tenantId - The tenant ID, if any
+   * @param {string} leadPlatform - A platform to move to the front of the chain, if any
+   * @returns {Object} - { primary, secondary, fallback }
+   */
+  getPlatformMapping(taskTypeId, tenantId, leadPlatform) {
+    const chain = leadPlatform
+      ? [leadPlatform, ...this.getChain(taskTypeId, tenantId).filter(platform => platform !== leadPlatform)]
+      : this.getChain(taskTypeId, tenantId);
+
+    return {
+      primary: chain[0],
+      secondary: chain.length > 1 ? chain[1] : undefined,
+      fallback: chain.length > 1 ? chain[chain.length - 1] : undefined
+    };
+  }
+}
+
+// Export singleton instance, shared by the task router and the platform orchestrator
+module.exports = new RoutingRules();
@@ -0,0 +1,180 @@
+/**
+ * Task Classifier Component for Majd Platform
+ *
+ * This component scores a request against every task type using the weighted conditions
+ * of the routing rules, in English and Arabic: keywords, regular expressions and structural
+ * signals such as code fences, math symbols and question forms. Every matching condition
+ * adds its weight to its task type once.
+ *
+ * The default task type starts with a prior score, and confidence is the top task type's
+ * share of all scores, so a single weak keyword or conflicting evidence gives a low
+ * confidence. Requests are only assigned a task type when the confidence reaches the
+ * threshold; otherwise they get the default task type.
+ */
+
+const routingRules = require('./routingRules');
+const config = require('../config');
+
+// Conjunctions, prepositions and the article that attach to the front of Arabic words
+const ARABIC_PREFIXES = '(?:[وفبلك])?(?:ال|لل)?';
+
+const ARABIC_LETTERS = /[\u0600-\u06FF]/;
+
+const LATIN_LETTERS = /[A-Za-z]/;
+
+/**
+ * Normalize text for matching: Arabic diacritics and tatweel are removed, alef and yaa
+ * variants are unified and Arabic-Indic digits become ASCII digits, so features match
+ * regardless of spelling
+ *
+ * @param {string} text - The text
+ * @returns {string} - The normalized text
+ */
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKC')
+  .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+  .replace(/[أإآ]/g, 'ا')
+  .replace(/ى/g, 'ي')
+  .replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+
+/**
+ * Build one feature per keyword
+ *
+ * A trailing "*" matches any ending (a stem). Arabic keywords also match with attached
+ * prefixes, e.g. "برمج*" matches "والبرمجة".
+ *
+ * @param {Array<string>} words - The keywords
+ * @param {number} weight - The weight of each keyword
+ * @param {string} language - The language the text must be in, if any
+ * @returns {Array<Object>} - The features
+ */
+const keywords = (words, weight, language) => words.map(word => {
+  const normalized = normalizeText(word).toLowerCase();
+  const isStem = normalized.endsWith('*');
+  const body = normalized
+    .replace(/\*$/, '')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  const prefix = ARABIC_LETTERS.test(normalized) ? ARABIC_PREFIXES : '';
+  const ending = isStem ? '[\\p{L}\\p{N}]*' : '';
+
+  return {
+    name: `keyword:${word}`,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${prefix}${body}${ending}(?![\\p{L}\\p{N}_])`, 'iu'),
+    weight,
+    language
+  };
+});
+
+/**
+ * Build the features of a routing rules condition
+ *
+ * @param {Object} condition - The condition
+ * @param {number} index - The condition's position, naming unnamed conditions
+ * @returns {Array<Object>} - The features
+ */
+const compileCondition = (condition, index) => {
+  if (condition.keywords) {
+    return keywords(condition.keywords, condition.weight, condition.language);
+  }
+
+  return [{
+    name: condition.name || (condition.pattern ? `pattern:${index}` : `language:${condition.language}`),
+    pattern: condition.pattern ? new RegExp(condition.pattern, condition.flags) : null,
+    weight: condition.weight,
+    language: condition.language
+  }];
+};
+
+/**
+ * Check whether a text is in a language
+ *
+ * Texts mixing scripts are in both languages.
+ *
+ * @param {string} text - The normalized text
+ * @param {string} language - 'arabic' or 'english'
+ * @returns {boolean} - Whether it is
+ */
+const isInLanguage = (text, language) => (language === 'arabic' ? ARABIC_LETTERS : LATIN_LETTERS).test(text);
+
+class TaskClassifier {
+  /**
+   * @param {Object} classifierConfig - Classifier configuration
+   */
+  constructor(classifierConfig = config.routing.classifier) {
+    this.config = classifierConfig;
+    this.compiledRules = null;
+    this.features = {};
+  }
+
+  /**
+   * Get the features per task type, compiling them again when the routing rules change
+   *
+   * @returns {Object} - Features by task type ID, in rules order; on equal scores the task
+   *   type listed first wins
+   */
+  getFeatures() {
+    const rules = routingRules.getRules();
+
+    if (rules !== this.compiledRules) {
+      this.features = {};
+
+      rules.taskTypes.forEach(taskType => {
+        this.features[taskType.id] = (taskType.conditions || []).flatMap(compileCondition);
+      });
+
+      this.compiledRules = rules;
+    }
+
+    return this.features;
+  }
+
+  /**
+   * Score a request against every task type
+   *
+   * @param {string} userInput - The user's input text
+   * @returns {Object} - { taskType, candidate, confidence, scores, matches }; candidate is the
+   *   top-scoring task type, taskType is the candidate if its confidence reaches the
+   *   threshold and the default task type otherwise, and matches lists the features that matched
+   */
+  classify(userInput) {
+    const text = normalizeText(userInput);
+    const features = this.getFeatures();
+    const defaultTaskType = routingRules.getDefaultTaskType();
+    const scores = {};
+    const matches = [];
+
+    Object.entries(features).forEach(([taskType, taskFeatures]) => {
+      scores[taskType] = taskType === defaultTaskType ? this.config.generalPrior : 0;
+
+      taskFeatures.forEach(feature => {
+        if (feature.language && !isInLanguage(text, feature.language)) {
+          return;
+        }
+
+        if (!feature.pattern || feature.pattern.test(text)) {
+          scores[taskType] += feature.weight;
+          matches.push({ taskType, feature: feature.name, weight: feature.weight });
+        }
+      });
+    });
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const candidate = Object.keys(scores).reduce((best, taskType) => (scores[taskType] > scores[best] ? taskType : best));
+    const confidence = total > 0 ? Math.round(scores[candidate] / total * 100) / 100 : 0;
+
+    Object.keys(scores).forEach(taskType => {
+      scores[taskType] = Math.round(scores[taskType] * 100) / 100;
+    });
+
+    return {
+      taskType: confidence >= this.config.confidenceThreshold ? candidate : defaultTaskType,
+      candidate,
+      confidence,
+      scores,
+      matches
+    };
+  }
+}
+
+module.exports = { TaskClassifier };
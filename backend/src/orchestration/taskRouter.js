@@ -0,0 +1,468 @@
+/**
+ * Task Router Component for Majd Platform
+ * 
+ * This component is responsible for analyzing user requests and determining
+ * the most appropriate AI platform to handle the request based on the task type.
+ * It uses a combination of rule-based classification and ML-based classification.
+ */
+
+const { DeepseekClassifier } = require('../models/deepseekClassifier');
+const { ContextManager } = require('./contextManager');
+const { TaskClassifier } = require('./taskClassifier');
+const { UsageTracker } = require('./usageTracker');
+const { ExperimentManager } = require('./experimentManager');
+const routingRules = require('./routingRules');
+const platformRegistry = require('../platforms/registry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+class TaskRouter {
+  constructor() {
+    this.classifier = new DeepseekClassifier();
+    this.taskClassifier = new TaskClassifier();
+    this.contextManager = new ContextManager();
+    this.usageTracker = new UsageTracker();
+    this.experimentManager = new ExperimentManager();
+    this.followUpConfig = config.routing.followUp;
+    this.taskTypes = {
+      RESEARCH: 'research',
+      REASONING: 'reasoning',
+      CODE: 'code',
+      CREATIVE: 'creative',
+      DATA_ANALYSIS: 'data_analysis',
+      DOMAIN_EXPERTISE: 'domain_expertise',
+      MULTIMODAL: 'multimodal',
+      GENERAL: 'general'
+    };
+    
+    // Task types and their platform chains come from the routing rules file; loading them
+    // here makes an invalid rules file fail at startup
+    routingRules.getRules();
+    
+    // Initialize the classifier
+    this.initializeClassifier();
+  }
+  
+  /**
+   * Initialize the ML classifier for task routing
+   */
+  async initializeClassifier() {
+    try {
+      await this.classifier.initialize();
+      logger.info('Task Router classifier initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize Task Router classifier', error);
+      // Fall back to rule-based classification if ML classifier fails
+    }
+  }
+  
+  /**
+   * Classify the task type based on user input and context
+   * 
+   * @param {string} userInput - The user's input text
+   * @param {string} userId - The user's ID for context retrieval
+   * @param {Object} options - Additional options for classification; options.followUp false
+   *   classifies the message on its own, ignoring the conversation
+   * @returns {Promise<Object>} - The classification: { taskType, confidence, method }, plus the
+   *   score of every task type for rule-based classifications and the conversation continuity
+   *   when there are recent turns
+   */
+  async classifyTask(userInput, userId, options = {}) {
+    try {
+      // Get conversation context, along the branch being answered
+      const context = await this.contextManager.getContext(userId, {
+        conversationId: options.conversationId,
+        parentTurnId: options.parentTurnId
+      });
+      
+      let classification = null;
+      
+      // Try ML-based classification first
+      if (this.classifier.isInitialized) {
+        const mlClassification = await this.classifier.classify(userInput, context);
+        logger.debug('ML classification result', { classification: mlClassification });
+        
+        if (mlClassification.confidence > config.ML_CONFIDENCE_THRESHOLD) {
+          classification = { taskType: mlClassification.taskType, confidence: mlClassification.confidence, method: 'ml' };
+        }
+      }
+      
+      // Fall back to rule-based classification
+      if (!classification) {
+        classification = this.ruleBasedClassification(userInput, context);
+      }
+      
+      // Keep follow-ups on the conversation's task unless the message clearly changes topic
+      return this.followUpConfig.enabled && options.followUp !== false
+        ? this.applyConversationContext(classification, context)
+        : classification;
+    } catch (error) {
+      logger.error('Error in task classification', error);
+      // Default to the rules' default task type if classification fails
+      return { taskType: routingRules.getDefaultTaskType(), confidence: 0, method: 'default' };
+    }
+  }
+  
+  /**
+   * Keep a follow-up message on the task type of the conversation's recent turns
+   * 
+   * A message only changes topic when it confidently classifies as another task type
+   * than the default; messages such as "now make it faster" carry little signal of their
+   * own and stay on the task they follow up on.
+   * 
+   * @param {Object} classification - The message's own classification
+   * @param {Array} context - The conversation context, oldest first
+   * @returns {Object} - The classification, with the recent topic's task type and method
+   *   'context' for follow-ups the message alone classifies differently; continuity
+   *   ({ turnId, taskType, platform, followUp, reason }) describes the recent topic
+   */
+  applyConversationContext(classification, context) {
+    const topic = this.getRecentTopic(context);
+    
+    if (!topic) {
+      return classification;
+    }
+    
+    const threshold = this.followUpConfig.topicChangeConfidence;
+    // Follow the platform routing chose for the turn, not a fallback that happened to serve it
+    const continuity = { turnId: topic.turnId, taskType: topic.taskType, platform: topic.intendedPlatform || topic.platform };
+    
+    if (classification.taskType === topic.taskType) {
+      return {
+        ...classification,
+        continuity: { ...continuity, followUp: true, reason: `the message continues the ${topic.taskType} task of the recent turns` }
+      };
+    }
+    
+    if (classification.taskType !== routingRules.getDefaultTaskType() && classification.confidence >= threshold) {
+      return {
+        ...classification,
+        continuity: {
+          ...continuity,
+          followUp: false,
+          reason: `the message changes topic to ${classification.taskType} (confidence ${classification.confidence})`
+        }
+      };
+    }
+    
+    return {
+      ...classification,
+      taskType: topic.taskType,
+      method: 'context',
+      messageTaskType: classification.taskType,
+      continuity: {
+        ...continuity,
+        followUp: true,
+        reason: `follow-up to the ${topic.taskType} task of the recent turns; on its own the message is ` +
+          `${classification.taskType} (confidence ${classification.confidence}), below the ${threshold} needed to change topic`
+      }
+    };
+  }
+  
+  /**
+   * Find the topic of the conversation's recent turns
+   * 
+   * @param {Array} context - The conversation context, oldest first
+   * @returns {Object|null} - The latest recent turn with a task type other than the default,
+   *   otherwise the last turn; null if the last turn is too old or there are no turns
+   */
+  getRecentTopic(context = []) {
+    const { turns, maxAgeMinutes } = this.followUpConfig;
+    const recentTurns = context
+      .slice(-turns)
+      .filter(turn => turn.turnId && turn.platform && routingRules.getTaskType(turn.taskType));
+    const lastTurn = recentTurns[recentTurns.length - 1];
+    
+    if (!lastTurn || !(Date.now() - Date.parse(lastTurn.timestamp) <= maxAgeMinutes * 60 * 1000)) {
+      return null;
+    }
+    
+    const defaultTaskType = routingRules.getDefaultTaskType();
+    
+    return recentTurns.reverse().find(turn => turn.taskType !== defaultTaskType) || lastTurn;
+  }
+  
+  /**
+   * Rule-based classification as fallback
+   * 
+   * Scores the input against the routing rules' English and Arabic conditions for every
+   * task type; inputs without a confident winner get the default task type.
+   * 
+   * @param {string} userInput - The user's input text
+   * @param {Array} context - The conversation context
+   * @returns {Object} - The classification: { taskType, confidence, scores, matches, method }
+   */
+  ruleBasedClassification(userInput, context) {
+    const classification = this.taskClassifier.classify(userInput);
+    logger.debug('Rule-based classification result', {
+      taskType: classification.taskType,
+      candidate: classification.candidate,
+      confidence: classification.confidence
+    });
+    
+    return { ...classification, method: 'rules' };
+  }
+  
+  /**
+   * Get the primary, secondary and fallback platforms of a task type's chain
+   * 
+   * @param {string} taskType - The task type; unknown task types use the default task type
+   * @param {string} tenantId - The tenant whose overrides apply, if any
+   * @param {string} leadPlatform - A platform to try first, such as an experiment variant's
+   * @returns {Object} - { primary, secondary, fallback }
+   */
+  getPlatformMapping(taskType, tenantId, leadPlatform) {
+    return routingRules.getPlatformMapping(taskType, tenantId, leadPlatform);
+  }
+  
+  /**
+   * Get the appropriate platform for the classified task
+   * 
+   * @param {string} taskType - The classified task type
+   * @param {Object} options - Options for platform selection, including the tenantId, the
+   *   platform kept for a follow-up and the experiment assignment
+   * @returns {Object} - The selected platform information
+   */
+  getPlatformForTask(taskType, options = {}) {
+    // Get the platform mapping for the task type, led by the platform kept for a follow-up
+    // or the experiment variant's platform
+    const leadPlatform = options.followUpPlatform || (options.experiment ? options.experiment.platform : null);
+    const platformMap = this.getPlatformMapping(taskType, options.tenantId, leadPlatform);
+    
+    // Explicit platform overrides (multi-platform and fallback requests) take precedence
+    if (options.overridePlatform) {
+      return {
+        platform: options.overridePlatform,
+        taskType,
+        secondary: platformMap.secondary,
+        fallback: platformMap.fallback,
+        isOverride: true
+      };
+    }
+    
+    // Check if user has preferences that override the default
+    if (options.userPreferences && options.userPreferences.preferredPlatform) {
+      return {
+        platform: options.userPreferences.preferredPlatform,
+        taskType,
+        isUserPreferred: true
+      };
+    }
+    
+    // Check if cost optimization is enabled, stepping down to cheaper platforms as the
+    // user's monthly budget (larger for premium users) runs out
+    const budgetStatus = options.budgetStatus;
+    if (options.optimizeCost && budgetStatus && budgetStatus.level !== 'ok') {
+      // Near the limit, choose the cheaper of the primary and secondary platforms;
+      // once the budget is exceeded, the cheapest platform for the task
+      const candidates = budgetStatus.level === 'exceeded'
+        ? [platformMap.primary, platformMap.secondary, platformMap.fallback]
+        : [platformMap.primary, platformMap.secondary];
+      const [platform, ...alternatives] = this.usageTracker.rankByPrice(candidates);
+      
+      return {
+        platform,
+        taskType,
+        secondary: alternatives[0],
+        fallback: platformMap.fallback !== platform ? platformMap.fallback : alternatives[1],
+        isCostOptimized: true,
+        budgetStatus
+      };
+    }
+    
+    // Return the primary platform for the task type
+    return {
+      platform: platformMap.primary,
+      taskType,
+      secondary: platformMap.secondary,
+      fallback: platformMap.fallback
+    };
+  }
+  
+  /**
+   * Record whether a follow-up kept the platform of the recent turns, and why
+   * 
+   * @param {Object} continuity - The classification's continuity
+   * @param {Object} platformInfo - The selected platform information
+   * @returns {Object} - The continuity with keptPlatform, its reason naming the platform
+   */
+  describeContinuity(continuity, platformInfo) {
+    const keptPlatform = continuity.followUp && platformInfo.platform === continuity.platform;
+    let reason = continuity.reason;
+    
+    if (keptPlatform) {
+      reason = `kept ${continuity.platform}: ${reason}`;
+    } else if (continuity.followUp) {
+      let cause = `${continuity.platform} no longer being available`;
+      
+      if (platformInfo.isOverride) {
+        cause = 'a platform override';
+      } else if (platformInfo.isUserPreferred) {
+        cause = 'the user\'s preferred platform';
+      } else if (platformInfo.isCostOptimized) {
+        cause = 'cost optimization';
+      }
+      
+      reason = `${reason}; ${platformInfo.platform} was chosen instead of ${continuity.platform} because of ${cause}`;
+    }
+    
+    return { ...continuity, keptPlatform, reason };
+  }
+  
+  /**
+   * Route a user request to the appropriate platform
+   * 
+   * @param {string} userInput - The user's input text
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Additional options for routing; options.experiments false keeps
+   *   the request out of A/B experiments
+   * @returns {Promise<Object>} - The routing decision, with the experiment assignment if the
+   *   request takes part in one
+   */
+  async routeRequest(userInput, userId, options = {}) {
+    try {
+      // Classify the task
+      const classification = await this.classifyTask(userInput, userId, options);
+      const { taskType, continuity } = classification;
+      
+      // Follow-ups stay on the platform that answered the recent turns
+      const followUpPlatform = continuity && continuity.followUp && platformRegistry.has(continuity.platform)
+        ? continuity.platform
+        : null;
+      
+      // Look up the user's budget when cost optimization is requested
+      const budgetStatus = options.optimizeCost
+        ? await this.usageTracker.getBudgetStatus(userId, options.isPremiumUser)
+        : null;
+      
+      // Requests with an explicit or kept platform take part in no experiment
+      const preferredPlatform = options.userPreferences && options.userPreferences.preferredPlatform;
+      const experiment = options.overridePlatform || preferredPlatform || followUpPlatform || options.experiments === false
+        ? null
+        : await this.experimentManager.assign(userId, taskType);
+      
+      // Get the platform for the task
+      const platformInfo = this.getPlatformForTask(taskType, { ...options, budgetStatus, experiment, followUpPlatform });
+      const routingContinuity = continuity && this.describeContinuity(continuity, platformInfo);
+      
+      // Log the routing decision
+      logger.info('Request routed', { 
+        userId, 
+        taskType, 
+        confidence: classification.confidence,
+        classificationMethod: classification.method,
+        platform: platformInfo.platform,
+        secondary: platformInfo.secondary,
+        fallback: platformInfo.fallback,
+        isCostOptimized: platformInfo.isCostOptimized || false,
+        ...(experiment && { experimentId: experiment.experimentId, variant: experiment.variant }),
+        ...(routingContinuity && { followUp: routingContinuity.followUp, continuityReason: routingContinuity.reason })
+      });
+      
+      return {
+        userId,
+        userInput,
+        taskType,
+        platform: platformInfo.platform,
+        secondary: platformInfo.secondary,
+        fallback: platformInfo.fallback,
+        classification: {
+          method: classification.method,
+          confidence: classification.confidence,
+          ...(classification.scores && { scores: classification.scores })
+        },
+        ...(platformInfo.isCostOptimized && { isCostOptimized: true, budgetStatus: platformInfo.budgetStatus }),
+        ...(experiment && { experiment }),
+        ...(routingContinuity && { continuity: routingContinuity }),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Error routing request', error);
+      
+      // Return default routing in case of error
+      return {
+        userId,
+        userInput,
+        taskType: this.taskTypes.GENERAL,
+        platform: 'chatgpt',
+        secondary: 'deepseek',
+        fallback: 'local',
+        timestamp: new Date().toISOString(),
+        isErrorFallback: true
+      };
+    }
+  }
+
+  /**
+   * Explain how a request would be routed, without sending it to any platform
+   * 
+   * @param {string} userInput - The user's input text
+   * @param {string} userId - The user's ID
+   * @param {Object} options - Routing options, as for routeRequest
+   * @returns {Promise<Object>} - The rule-based scores and matched features, the ML
+   *   classification, the conversation continuity, the overrides and experiment that applied
+   *   and the resulting platform chain
+   */
+  async explainRoute(userInput, userId, options = {}) {
+    const context = await this.contextManager.getContext(userId, { conversationId: options.conversationId });
+    const rules = this.taskClassifier.classify(userInput);
+    const ml = this.classifier.isInitialized
+      ? await this.classifier.classify(userInput, context)
+      : null;
+    
+    const routingInfo = await this.routeRequest(userInput, userId, options);
+    const classification = routingInfo.classification || { method: 'default', confidence: 0 };
+    const defaultMapping = this.getPlatformMapping(routingInfo.taskType, options.tenantId);
+    const preferredPlatform = options.userPreferences && options.userPreferences.preferredPlatform;
+    
+    return {
+      taskType: routingInfo.taskType,
+      classification: {
+        method: classification.method, // 'ml', 'rules', 'context' or 'default'
+        confidence: classification.confidence
+      },
+      rules: {
+        candidate: rules.candidate,
+        taskType: rules.taskType,
+        confidence: rules.confidence,
+        threshold: this.taskClassifier.config.confidenceThreshold,
+        scores: rules.scores,
+        matches: rules.matches
+      },
+      ml: {
+        available: Boolean(ml),
+        threshold: config.ML_CONFIDENCE_THRESHOLD,
+        ...(ml && {
+          taskType: ml.taskType,
+          confidence: ml.confidence,
+          probabilities: ml.probabilities,
+          used: classification.method === 'ml'
+        })
+      },
+      overrides: {
+        platform: options.overridePlatform || null,
+        userPreference: preferredPlatform
+          ? { platform: preferredPlatform, applied: !options.overridePlatform }
+          : null,
+        costOptimization: options.optimizeCost
+          ? { applied: Boolean(routingInfo.isCostOptimized), budgetStatus: routingInfo.budgetStatus || null }
+          : null
+      },
+      experiment: routingInfo.experiment || null,
+      continuity: routingInfo.continuity || null,
+      defaultChain: {
+        primary: defaultMapping.primary,
+        secondary: defaultMapping.secondary,
+        fallback: defaultMapping.fallback
+      },
+      chain: {
+        primary: routingInfo.platform,
+        secondary: routingInfo.secondary || null,
+        fallback: routingInfo.fallback || null
+      },
+      ...(routingInfo.isErrorFallback && { isErrorFallback: true })
+    };
+  }
+}
+
+module.exports = { TaskRouter };
@@ -7,6 +7,7 @@
  */
 
 const { logger } = require('../utils/logger');
+const platformRegistry = require('../platforms/registry');
 const config = require('../config');
 
 class ThinkingEngine {
@@ -120,27 +121,14 @@ class ThinkingEngine {
    * @returns {Object} - The enhanced prompt
    */
   enhancePromptWithThinking(platformPrompt, thinkingPrompts, platform) {
-    // Different platforms have different prompt structures
-    switch (platform) {
-      case 'chatgpt':
-        return this.enhanceChatGPTPrompt(platformPrompt, thinkingPrompts);
-      case 'perplexity':
-        return this.enhancePerplexityPrompt(platformPrompt, thinkingPrompts);
-      case 'gemini':
-        return this.enhanceGeminiPrompt(platformPrompt, thinkingPrompts);
-      case 'copilot':
-        return this.enhanceCopilotPrompt(platformPrompt, thinkingPrompts);
-      case 'deepseek':
-        return this.enhanceDeepSeekPrompt(platformPrompt, thinkingPrompts);
-      case 'grok3':
-        return this.enhanceGrok3Prompt(platformPrompt, thinkingPrompts);
-      case 'vertix':
-        return this.enhanceVertixPrompt(platformPrompt, thinkingPrompts);
-      case 'local':
-        return this.enhanceLocalPrompt(platformPrompt, thinkingPrompts);
-      default:
-        return this.enhanceChatGPTPrompt(platformPrompt, thinkingPrompts);
+    // Prompt structure depends on the platform's message format
+    const capabilities = platformRegistry.getCapabilities(platform);
+    
+    if (capabilities && capabilities.messageFormat === 'gemini') {
+      return this.enhanceGeminiPrompt(platformPrompt, thinkingPrompts);
     }
+    
+    return this.enhanceChatGPTPrompt(platformPrompt, thinkingPrompts);
   }
 
   /**
@@ -386,5 +374,221 @@ class ThinkingEngine {
   }
 
   /**
-   * Enhance Vertix pr
-(Content truncated due to size limit. Use line ranges to read in chunks)
\ No newline at end of file
+   * Enhance Vertix prompt with thinking instructions
+   * 
+   * @param {Object} platformPrompt - The original Vertix prompt
+   * @param {Object} thinkingPrompts - The thinking prompts
+   * @returns {Object} - The enhanced prompt
+   */
+  enhanceVertixPrompt(platformPrompt, thinkingPrompts) {
+    // Similar to ChatGPT but with Vertix-specific adjustments
+    const enhancedPrompt = JSON.parse(JSON.stringify(platformPrompt));
+    
+    // Find the system message
+    const systemMessageIndex = enhancedPrompt.messages.findIndex(msg => msg.role === 'system');
+    
+    if (systemMessageIndex >= 0) {
+      // Enhance existing system message
+      enhancedPrompt.messages[systemMessageIndex].content = 
+        `${thinkingPrompts.systemPrompt} ${enhancedPrompt.messages[systemMessageIndex].content}`;
+    } else {
+      // Add new system message
+      enhancedPrompt.messages.unshift({
+        role: 'system',
+        content: thinkingPrompts.systemPrompt
+      });
+    }
+    
+    // Add thinking instructions to the last user message
+    const lastUserMessageIndex = findLastIndex(enhancedPrompt.messages, msg => msg.role === 'user');
+    
+    if (lastUserMessageIndex >= 0) {
+      const userMessage = enhancedPrompt.messages[lastUserMessageIndex];
+      const thinkingInstructions = this.generateThinkingInstructions(thinkingPrompts);
+      
+      enhancedPrompt.messages[lastUserMessageIndex].content = 
+        `${userMessage.content}\n\n${thinkingInstructions}`;
+    }
+    
+    return enhancedPrompt;
+  }
+
+  /**
+   * Generate the thinking instructions appended to the user's message
+   * 
+   * @param {Object} thinkingPrompts - The thinking prompts
+   * @returns {string} - The instructions
+   */
+  generateThinkingInstructions(thinkingPrompts) {
+    const steps = thinkingPrompts.reasoningSteps
+      .map((step, index) => `${index + 1}. ${this.formatStepName(step)}`)
+      .join('\n');
+    
+    return 'Please structure your response to show your thinking process, ' +
+      'labeling each part with its name:\n' +
+      `${steps}`;
+  }
+
+  /**
+   * Generate thinking steps for a document task
+   * 
+   * @param {string} taskType - The document task (extract, analyze, summarize, extractEntities,
+   *   deepAnalysis, documentQA) or a chat task type
+   * @param {string} content - The document content
+   * @param {Object} options - Task options; documentQA takes the question
+   * @returns {Promise<Array<string>>} - The steps, in order
+   */
+  async generateThinkingSteps(taskType, content, options = {}) {
+    const documentTaskSteps = {
+      extract: [
+        'Identify the structure of the document and its sections',
+        'Collect the key facts, figures and statements',
+        'Present the extracted information without interpretation'
+      ],
+      analyze: [
+        'Determine the purpose and audience of the document',
+        'Identify the main topics and the arguments made about them',
+        'Assess the tone and sentiment of the document'
+      ],
+      summarize: [
+        'Identify the main points of every section',
+        'Drop details that do not change the meaning',
+        'Write a summary that follows the order of the document'
+      ],
+      extractEntities: [
+        'Find the people, organizations, places and dates mentioned',
+        'Merge different mentions of the same entity',
+        'List each entity with its type'
+      ],
+      deepAnalysis: [
+        'Identify the claims the document makes and the evidence for them',
+        'Look for assumptions, gaps and contradictions',
+        'Draw conclusions and note their limitations'
+      ],
+      documentQA: [
+        `Find the parts of the document relevant to the question${options.question ? `: "${options.question}"` : ''}`,
+        'Answer from those parts only',
+        'State clearly when the document does not contain the answer'
+      ]
+    };
+    
+    if (documentTaskSteps[taskType]) {
+      return documentTaskSteps[taskType];
+    }
+    
+    const reasoningStepKeys = this.taskTypeReasoningMap[taskType] || this.taskTypeReasoningMap['general'];
+    return reasoningStepKeys.map(step => this.formatStepName(this.reasoningSteps[step]));
+  }
+
+  /**
+   * Extract the thinking process from a response
+   * 
+   * A section starts at a line that names one of the reasoning steps, e.g.
+   * "**Problem Understanding:** ..." or "## Verification"; the lines that follow belong
+   * to it until the next such line.
+   * 
+   * @param {string} content - The response content
+   * @param {Object} thinkingPrompts - The thinking prompts the platform was given
+   * @returns {Object} - { steps: [{ step, name, content }], conclusion }
+   */
+  extractThinkingProcess(content, thinkingPrompts) {
+    const thinkingProcess = { steps: [], conclusion: null };
+    
+    if (!content || !thinkingPrompts || !thinkingPrompts.reasoningSteps) {
+      return thinkingProcess;
+    }
+    
+    const stepNames = thinkingPrompts.reasoningSteps.map(step => ({
+      step,
+      name: this.formatStepName(step)
+    }));
+    
+    let current = null;
+    
+    content.split('\n').forEach(line => {
+      const label = line.replace(/^[\s#>*_]*(?:\d+[.)]\s*)?[*_]*/, '');
+      const match = stepNames.find(({ name }) => label.toLowerCase().startsWith(name.toLowerCase()));
+      
+      if (match) {
+        const rest = label.substring(match.name.length).replace(/^[\s*_:]+/, '');
+        current = { step: match.step, name: match.name, content: rest };
+        thinkingProcess.steps.push(current);
+      } else if (current) {
+        current.content += `${current.content ? '\n' : ''}${line}`;
+      }
+    });
+    
+    thinkingProcess.steps.forEach(step => {
+      step.content = step.content.trim();
+    });
+    
+    const conclusion = thinkingProcess.steps.find(step => step.step === this.reasoningSteps.CONCLUSION);
+    if (conclusion) {
+      thinkingProcess.conclusion = conclusion.content;
+    } else {
+      const statement = content.match(/(?:^|\n)[^\n]*\btherefore\b[^\n]*/gi);
+      thinkingProcess.conclusion = statement ? statement[statement.length - 1].trim() : null;
+    }
+    
+    return thinkingProcess;
+  }
+
+  /**
+   * Format an extracted thinking process for display
+   * 
+   * @param {Object} thinkingProcess - The extracted thinking process
+   * @param {Object} options - Formatting options: format ('markdown' or 'html')
+   * @returns {string} - The formatted thinking process; empty when no steps were found
+   */
+  formatThinkingProcess(thinkingProcess, options = {}) {
+    if (!thinkingProcess || !thinkingProcess.steps || thinkingProcess.steps.length === 0) {
+      return '';
+    }
+    
+    if (options.format === 'html') {
+      const items = thinkingProcess.steps
+        .map(step => `<li><strong>${step.name}</strong>: ${step.content}</li>`)
+        .join('');
+      
+      return `<div class="thinking-process"><h3>Thinking Process</h3><ol>${items}</ol></div>`;
+    }
+    
+    const items = thinkingProcess.steps
+      .map((step, index) => `${index + 1}. **${step.name}**: ${step.content}`)
+      .join('\n');
+    
+    return `### Thinking Process\n\n${items}`;
+  }
+
+  /**
+   * Turn a reasoning step key into its display name
+   * 
+   * @param {string} step - The reasoning step, e.g. 'problem_understanding'
+   * @returns {string} - The display name, e.g. 'Problem Understanding'
+   */
+  formatStepName(step) {
+    return step
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.substring(1))
+      .join(' ');
+  }
+}
+
+/**
+ * Find the index of the last array element matching a predicate
+ * 
+ * @param {Array} array - The array
+ * @param {Function} predicate - Called with each element
+ * @returns {number} - The index, or -1 if no element matches
+ */
+function findLastIndex(array, predicate) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    if (predicate(array[i])) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+module.exports = { ThinkingEngine };
@@ -0,0 +1,644 @@
+/**
+ * Tool Registry Component for Majd Platform
+ *
+ * This component holds the tools that models may call while answering a request,
+ * executes them, and translates between the provider-specific tool call formats
+ * (OpenAI-style tool_calls, Gemini functionCall parts, tool_use content blocks)
+ * and a single normalized shape: { id, name, arguments }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { assertPublicUrl, guardedAgents } = require('../utils/networkGuard');
+const config = require('../config');
+
+// Functions and constants the calculator understands
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const CALCULATOR_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Redirects fetch_url follows, each checked like the original URL
+const MAX_URL_REDIRECTS = 5;
+
+// Uploaded documents whose stored file can be searched as plain text
+const TEXT_DOCUMENT_EXTENSIONS = ['.txt', '.md', '.csv', '.html', '.json'];
+
+class ToolRegistry {
+  constructor(toolConfig = config.tools) {
+    this.tools = new Map();
+    this.maxSteps = toolConfig.maxSteps;
+    this.timeout = toolConfig.timeout;
+    this.toolConfig = toolConfig;
+
+    this.registerBuiltinTools();
+  }
+
+  /**
+   * Register a tool
+   *
+   * @param {Object} tool - The tool, with name, description, parameters (JSON Schema) and execute(args, context)
+   * @returns {Object} - The registered tool
+   */
+  register(tool) {
+    if (!tool || !tool.name || typeof tool.execute !== 'function') {
+      throw new Error('Tool must have a name and an execute function');
+    }
+
+    this.tools.set(tool.name, tool);
+    return tool;
+  }
+
+  /**
+   * Register the tools that ship with Majd
+   */
+  registerBuiltinTools() {
+    this.register({
+      name: 'calculator',
+      description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and the functions ' +
+        Object.keys(CALCULATOR_FUNCTIONS).join(', ') + '.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'The expression to evaluate, e.g. "sqrt(2) * (3 + 4)"' }
+        },
+        required: ['expression']
+      },
+      execute: async (args) => ({
+        expression: args.expression,
+        result: this.evaluateExpression(String(args.expression || ''))
+      })
+    });
+
+    this.register({
+      name: 'get_current_datetime',
+      description: 'Get the current date and time, optionally in a specific IANA time zone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timeZone: { type: 'string', description: 'IANA time zone, e.g. "Asia/Riyadh". Defaults to UTC.' }
+        }
+      },
+      execute: async (args) => {
+        const now = new Date();
+        const timeZone = args.timeZone || 'UTC';
+
+        return {
+          iso: now.toISOString(),
+          timeZone,
+          local: now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }),
+          unix: Math.floor(now.getTime() / 1000)
+        };
+      }
+    });
+
+    this.register({
+      name: 'search_documents',
+      description: "Search the user's uploaded documents by keywords and return the best matching passages.",
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Keywords to search for' },
+          maxResults: { type: 'number', description: 'Maximum number of documents to return' }
+        },
+        required: ['query']
+      },
+      execute: async (args, context) => this.searchDocuments(args.query, context.userId, args.maxResults, context.signal)
+    });
+
+    this.register({
+      name: 'fetch_url',
+      description: 'Fetch a web page or text resource and return its text content.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Absolute http(s) URL to fetch' }
+        },
+        required: ['url']
+      },
+      execute: async (args, context) => this.fetchUrl(args.url, context.signal)
+    });
+  }
+
+  /**
+   * Get a tool
+   *
+   * @param {string} name - The tool name
+   * @returns {Object|undefined} - The tool, if registered
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Resolve which tools a request may use
+   *
+   * @param {Object} options - Request options; options.tools is true, false or a list of tool names
+   * @returns {Array} - The tools to offer, empty when tool calling is off
+   */
+  resolveTools(options = {}) {
+    const requested = options.tools !== undefined ? options.tools : config.features.enableToolCalling;
+
+    if (Array.isArray(requested)) {
+      return requested.map(name => this.tools.get(name)).filter(Boolean);
+    }
+
+    return requested === true ? Array.from(this.tools.values()) : [];
+  }
+
+  /**
+   * Build the tool declaration fields of a prompt for a message format
+   *
+   * @param {Array} tools - The tools to declare
+   * @param {string} messageFormat - The platform's message format ('openai' or 'gemini')
+   * @returns {Object} - Fields to merge into the platform prompt
+   */
+  formatForPlatform(tools, messageFormat) {
+    const declarations = tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+
+    if (messageFormat === 'gemini') {
+      return { tools: [{ functionDeclarations: declarations }] };
+    }
+
+    return {
+      tools: declarations.map(declaration => ({ type: 'function', function: declaration }))
+    };
+  }
+
+  /**
+   * Forbid further tool calls while keeping the tool history valid
+   *
+   * @param {Object} prompt - The platform prompt with tool declarations
+   * @param {string} messageFormat - The platform's message format
+   * @returns {Object} - The prompt, asking for a plain answer
+   */
+  disableToolCalls(prompt, messageFormat) {
+    if (messageFormat === 'gemini') {
+      return { ...prompt, toolConfig: { functionCallingConfig: { mode: 'NONE' } } };
+    }
+
+    return { ...prompt, tool_choice: 'none' };
+  }
+
+  /**
+   * Extract tool calls from a platform response in any supported format
+   *
+   * @param {Object} response - The raw platform response
+   * @returns {Array} - Normalized tool calls: { id, name, arguments }
+   */
+  extractToolCalls(response) {
+    if (!response || typeof response !== 'object') {
+      return [];
+    }
+
+    // OpenAI-style chat completions (also DeepSeek, Grok and OpenAI-compatible local servers)
+    const message = response.choices?.[0]?.message;
+    if (message) {
+      return (message.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        arguments: this.parseArguments(toolCall.function?.arguments)
+      }));
+    }
+
+    // Gemini functionCall parts
+    const parts = response.candidates?.[0]?.content?.parts;
+    if (Array.isArray(parts)) {
+      return parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({
+          id: `${part.functionCall.name}-${index}`,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {}
+        }));
+    }
+
+    // tool_use content blocks
+    if (Array.isArray(response.content)) {
+      return response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input || {}
+        }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Parse tool call arguments, which OpenAI-style APIs send as a JSON string
+   *
+   * @param {string|Object} args - The raw arguments
+   * @returns {Object} - The parsed arguments
+   */
+  parseArguments(args) {
+    if (!args) {
+      return {};
+    }
+
+    if (typeof args === 'object') {
+      return args;
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      logger.warn('Could not parse tool call arguments', { args });
+      return {};
+    }
+  }
+
+  /**
+   * Execute a normalized tool call
+   *
+   * Tool failures are returned to the model as an error result rather than thrown,
+   * so it can recover or answer without the tool. The tool is given a signal that is
+   * aborted when the request is cancelled or the tool timeout passes, so its own work,
+   * such as an HTTP request, stops as well.
+   *
+   * @param {Object} toolCall - The normalized tool call
+   * @param {Object} context - Execution context: userId and signal
+   * @returns {Promise<Object>} - { id, name, arguments, result | error, durationMs }
+   */
+  async execute(toolCall, context = {}) {
+    const startTime = Date.now();
+    const tool = this.tools.get(toolCall.name);
+
+    const record = {
+      id: toolCall.id,
+      name: toolCall.name,
+      arguments: toolCall.arguments
+    };
+
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${toolCall.name}`);
+      }
+
+      const timeoutSignal = AbortSignal.timeout(this.timeout);
+      const signal = context.signal ? AbortSignal.any([context.signal, timeoutSignal]) : timeoutSignal;
+
+      // Stop waiting even for a tool that ignores the signal
+      let onAbort;
+      const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(timeoutSignal.aborted
+          ? new Error(`Tool ${tool.name} timed out after ${this.timeout}ms`)
+          : signal.reason);
+
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+
+      try {
+        record.result = await Promise.race([tool.execute(toolCall.arguments || {}, { ...context, signal }), aborted]);
+      } finally {
+        signal.removeEventListener('abort', onAbort);
+      }
+    } catch (error) {
+      logger.warn(`Tool ${toolCall.name} failed`, { error: error.message });
+      record.error = error.message;
+    }
+
+    record.durationMs = Date.now() - startTime;
+    return record;
+  }
+
+  /**
+   * Append a tool-calling turn and its results to a platform prompt
+   *
+   * @param {Object} prompt - The prompt that produced the tool calls
+   * @param {Object} response - The raw platform response containing the tool calls
+   * @param {Array} results - The executed tool call records
+   * @returns {Object} - The prompt for the next model round trip
+   */
+  appendToolResults(prompt, response, results) {
+    if (prompt.contents) {
+      return {
+        ...prompt,
+        contents: [
+          ...prompt.contents,
+          response.candidates[0].content,
+          {
+            role: 'function',
+            parts: results.map(result => ({
+              functionResponse: {
+                name: result.name,
+                response: result.error ? { error: result.error } : { content: result.result }
+              }
+            }))
+          }
+        ]
+      };
+    }
+
+    return {
+      ...prompt,
+      messages: [
+        ...prompt.messages,
+        response.choices[0].message,
+        ...results.map(result => ({
+          role: 'tool',
+          tool_call_id: result.id,
+          content: JSON.stringify(result.error ? { error: result.error } : result.result)
+        }))
+      ]
+    };
+  }
+
+  /**
+   * Evaluate an arithmetic expression without eval
+   *
+   * @param {string} expression - The expression
+   * @returns {number} - The result
+   */
+  evaluateExpression(expression) {
+    const tokens = expression.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_]+|[-+*/%^(),]/gi) || [];
+
+    if (tokens.join('') !== expression.replace(/\s+/g, '')) {
+      throw new Error(`Invalid characters in expression: ${expression}`);
+    }
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+      if (next() !== token) {
+        throw new Error(`Expected "${token}" in expression: ${expression}`);
+      }
+    };
+
+    // expression := term (('+' | '-') term)*
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (peek() === '+' || peek() === '-') {
+        value = next() === '+' ? value + parseTerm() : value - parseTerm();
+      }
+      return value;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const parseTerm = () => {
+      let value = parseUnary();
+      while (peek() === '*' || peek() === '/' || peek() === '%') {
+        const operator = next();
+        const operand = parseUnary();
+        value = operator === '*' ? value * operand : operator === '/' ? value / operand : value % operand;
+      }
+      return value;
+    };
+
+    // unary := ('-' | '+') unary | power
+    const parseUnary = () => {
+      if (peek() === '-') {
+        next();
+        return -parseUnary();
+      }
+      if (peek() === '+') {
+        next();
+        return parseUnary();
+      }
+      return parsePower();
+    };
+
+    // power := primary ('^' unary)?
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === '^') {
+        next();
+        return Math.pow(base, parseUnary());
+      }
+      return base;
+    };
+
+    // primary := number | constant | function '(' arguments ')' | '(' expression ')'
+    const parsePrimary = () => {
+      const token = next();
+
+      if (token === undefined) {
+        throw new Error(`Unexpected end of expression: ${expression}`);
+      }
+
+      if (token === '(') {
+        const value = parseExpression();
+        expect(')');
+        return value;
+      }
+
+      if (/^[\d.]/.test(token)) {
+        return parseFloat(token);
+      }
+
+      const name = token.toLowerCase();
+
+      if (CALCULATOR_FUNCTIONS[name]) {
+        expect('(');
+        const args = [parseExpression()];
+        while (peek() === ',') {
+          next();
+          args.push(parseExpression());
+        }
+        expect(')');
+        return CALCULATOR_FUNCTIONS[name](...args);
+      }
+
+      if (CALCULATOR_CONSTANTS[name] !== undefined) {
+        return CALCULATOR_CONSTANTS[name];
+      }
+
+      throw new Error(`Unknown symbol "${token}" in expression: ${expression}`);
+    };
+
+    const result = parseExpression();
+
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position]}" in expression: ${expression}`);
+    }
+
+    if (!Number.isFinite(result)) {
+      throw new Error(`Expression does not evaluate to a finite number: ${expression}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Search a user's uploaded documents
+   *
+   * Matches the query against each document's name and processing results, and
+   * against the stored file itself for plain-text formats.
+   *
+   * @param {string} query - The search keywords
+   * @param {string} userId - The user whose documents are searched
+   * @param {number} maxResults - Maximum number of documents to return
+   * @param {AbortSignal} signal - Aborted when the request is cancelled or the tool times out
+   * @returns {Promise<Object>} - { query, results: [{ documentId, name, score, snippet }] }
+   */
+  async searchDocuments(query, userId, maxResults, signal) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(term => term.length > 1);
+    const limit = maxResults || this.toolConfig.documentSearch.maxResults;
+    const metadataDir = path.join(config.paths.data, 'metadata');
+
+    if (terms.length === 0 || !fs.existsSync(metadataDir)) {
+      return { query, results: [] };
+    }
+
+    const results = [];
+
+    for (const file of fs.readdirSync(metadataDir).filter(name => name.endsWith('.json'))) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      let metadata;
+      try {
+        metadata = JSON.parse(fs.readFileSync(path.join(metadataDir, file), 'utf-8'));
+      } catch (error) {
+        logger.warn(`Skipping unreadable document metadata ${file}`);
+        continue;
+      }
+
+      if (metadata.userId !== userId) {
+        continue;
+      }
+
+      const processing = metadata.processingResults || {};
+      let text = [
+        metadata.originalName,
+        processing.summary,
+        ...(processing.topics || [])
+      ].filter(value => typeof value === 'string').join('\n');
+
+      if (TEXT_DOCUMENT_EXTENSIONS.includes(path.extname(metadata.storagePath || '').toLowerCase()) &&
+        fs.existsSync(metadata.storagePath)) {
+        text += '\n' + fs.readFileSync(metadata.storagePath, 'utf-8');
+      }
+
+      const lowerText = text.toLowerCase();
+      const score = terms.reduce((total, term) => total + lowerText.split(term).length - 1, 0);
+
+      if (score > 0) {
+        const matchIndex = Math.min(...terms.map(term => lowerText.indexOf(term)).filter(index => index >= 0));
+
+        results.push({
+          documentId: metadata.documentId,
+          name: metadata.originalName,
+          score,
+          snippet: text.substring(Math.max(0, matchIndex - 200), matchIndex + 300)
+        });
+      }
+    }
+
+    return {
+      query,
+      results: results.sort((a, b) => b.score - a.score).slice(0, limit)
+    };
+  }
+
+  /**
+   * Fetch a URL and return its text content
+   *
+   * @param {string} url - The URL to fetch
+   * @param {AbortSignal} signal - Aborted when the request is cancelled or the tool times out
+   * @returns {Promise<Object>} - { url, status, content, truncated }
+   */
+  async fetchUrl(url, signal) {
+    if (!/^https?:\/\//i.test(url || '')) {
+      throw new Error('Only absolute http(s) URLs can be fetched');
+    }
+
+    const { endpoint, maxLength } = this.toolConfig.urlFetcher;
+
+    const response = endpoint
+      ? await axios.get(endpoint, { params: { url }, timeout: this.timeout, signal })
+      : await this.fetchPublicUrl(url, signal);
+
+    // Fetch services may answer with { content } instead of the raw page
+    const body = typeof response.data === 'string'
+      ? response.data
+      : response.data.content || JSON.stringify(response.data);
+
+    const text = body
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      url,
+      status: response.status,
+      content: text.substring(0, maxLength),
+      truncated: text.length > maxLength
+    };
+  }
+
+  /**
+   * GET a URL directly, refusing private, loopback, link-local and metadata addresses
+   *
+   * Redirects are followed here rather than by axios so every hop is checked.
+   *
+   * @param {string} url - The URL to fetch
+   * @param {AbortSignal} signal - Aborted when the request is cancelled or the tool times out
+   * @returns {Promise<Object>} - The axios response of the last hop
+   */
+  async fetchPublicUrl(url, signal) {
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(currentUrl);
+
+      const response = await axios.get(currentUrl, {
+        ...guardedAgents,
+        proxy: false,
+        timeout: this.timeout,
+        signal,
+        responseType: 'text',
+        maxContentLength: 5 * 1024 * 1024,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400
+      });
+
+      if (response.status < 300 || !response.headers.location) {
+        return response;
+      }
+
+      if (redirects >= MAX_URL_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${url}`);
+      }
+
+      currentUrl = new URL(response.headers.location, currentUrl).toString();
+    }
+  }
+}
+
+module.exports = { ToolRegistry };
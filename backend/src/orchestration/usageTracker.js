@@ -0,0 +1,324 @@
+/**
+ * Usage Tracker Component for Majd Platform
+ *
+ * This component normalizes the token usage reported by the different platforms,
+ * prices it, and keeps each user's accumulated spend per calendar month so that
+ * routing can take the user's budget into account.
+ */
+
+const { getKeyValueStore } = require('../database/keyValueStore');
+const platformRegistry = require('../platforms/registry');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Pending spend updates per user; updates are applied one at a time so concurrent
+// requests from the same user do not overwrite each other
+const userUpdates = new Map();
+
+// Rough characters-per-token ratio used when a platform does not report usage
+const CHARS_PER_TOKEN = 4;
+
+class UsageTracker {
+  constructor(usageConfig = config.usage) {
+    this.budgets = usageConfig.budgets;
+    this.pricing = usageConfig.pricing;
+    this.store = getKeyValueStore('usage', { backend: usageConfig.backend });
+  }
+
+  /**
+   * Normalize the usage reported in a platform response
+   *
+   * Handles OpenAI-style usage, Gemini usageMetadata and input/output token counts.
+   * When a platform reports nothing, or -1 as streaming connectors do, the counts are
+   * estimated from the prompt and the response text and flagged as estimated.
+   *
+   * @param {Object} response - The raw platform response
+   * @param {Object} prompt - The prompt sent to the platform
+   * @param {string} content - The response text
+   * @returns {Object} - { inputTokens, outputTokens, totalTokens, estimated }
+   */
+  normalizeUsage(response, prompt, content) {
+    let inputTokens = -1;
+    let outputTokens = -1;
+
+    if (response && response.usage) {
+      inputTokens = this.toCount(response.usage.prompt_tokens ?? response.usage.input_tokens);
+      outputTokens = this.toCount(response.usage.completion_tokens ?? response.usage.output_tokens);
+    } else if (response && response.usageMetadata) {
+      inputTokens = this.toCount(response.usageMetadata.promptTokenCount);
+      outputTokens = this.toCount(response.usageMetadata.candidatesTokenCount);
+    }
+
+    const estimated = inputTokens < 0 || outputTokens < 0;
+
+    if (inputTokens < 0) {
+      inputTokens = this.estimateTokens(this.getPromptText(prompt));
+    }
+
+    if (outputTokens < 0) {
+      outputTokens = this.estimateTokens(content);
+    }
+
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated
+    };
+  }
+
+  /**
+   * Usage of a request that made no platform calls
+   *
+   * @returns {Object} - Zero usage
+   */
+  emptyUsage() {
+    return { inputTokens: 0, outputTokens: 0, totalTokens: 0, estimated: false };
+  }
+
+  /**
+   * Add two normalized usages
+   *
+   * @param {Object} a - First usage
+   * @param {Object} b - Second usage
+   * @returns {Object} - The combined usage
+   */
+  addUsage(a, b) {
+    return {
+      inputTokens: a.inputTokens + b.inputTokens,
+      outputTokens: a.outputTokens + b.outputTokens,
+      totalTokens: a.totalTokens + b.totalTokens,
+      estimated: a.estimated || b.estimated
+    };
+  }
+
+  /**
+   * Get the per-token price of a platform and model
+   *
+   * @param {string} platform - The platform name
+   * @param {string} model - The model name, if known
+   * @returns {Object} - { input, output } in USD per token
+   */
+  getPrice(platform, model) {
+    const modelPrice = model && this.pricing[platform] && this.pricing[platform][model];
+
+    if (modelPrice) {
+      return {
+        input: modelPrice.input / 1000000,
+        output: modelPrice.output / 1000000
+      };
+    }
+
+    const capabilities = platformRegistry.getCapabilities(platform);
+    return capabilities ? capabilities.costPerToken : { input: 0, output: 0 };
+  }
+
+  /**
+   * Estimate the cost of a normalized usage
+   *
+   * @param {Object} usage - The normalized usage
+   * @param {string} platform - The platform name
+   * @param {string} model - The model name, if known
+   * @returns {number} - Cost in USD
+   */
+  estimateCost(usage, platform, model) {
+    const price = this.getPrice(platform, model);
+    const cost = usage.inputTokens * price.input + usage.outputTokens * price.output;
+
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Get the model a response was generated with
+   *
+   * @param {Object} response - The raw platform response
+   * @param {string} platform - The platform name
+   * @returns {string|undefined} - The model name
+   */
+  getModel(response, platform) {
+    if (response && (response.model || response.modelVersion)) {
+      return response.model || response.modelVersion;
+    }
+
+    const adapter = platformRegistry.get(platform);
+    return adapter ? adapter.model : undefined;
+  }
+
+  /**
+   * Add a request's usage and cost to the user's spend for the current month
+   *
+   * @param {string} userId - The user's ID
+   * @param {Object} entry - { platform, model, usage, cost }
+   * @returns {Promise<Object|null>} - The updated monthly record, or null on failure
+   */
+  async recordUsage(userId, entry) {
+    const previous = userUpdates.get(userId) || Promise.resolve();
+
+    const update = previous.then(async () => {
+      const key = `user:${userId}:${this.getPeriod()}`;
+      const record = await this.store.get(key) || this.createRecord(userId);
+      const platformRecord = record.byPlatform[entry.platform] || { requests: 0, totalTokens: 0, cost: 0 };
+
+      record.requests += 1;
+      record.inputTokens += entry.usage.inputTokens;
+      record.outputTokens += entry.usage.outputTokens;
+      record.cost = Math.round((record.cost + entry.cost) * 1000000) / 1000000;
+      record.byPlatform[entry.platform] = {
+        requests: platformRecord.requests + 1,
+        totalTokens: platformRecord.totalTokens + entry.usage.totalTokens,
+        cost: Math.round((platformRecord.cost + entry.cost) * 1000000) / 1000000
+      };
+      record.updatedAt = new Date().toISOString();
+
+      // Keep the record a little longer than the month it covers
+      await this.store.set(key, record, 40 * 24 * 60 * 60);
+      return record;
+    }).catch(error => {
+      logger.error('Error recording usage', error);
+      return null;
+    });
+
+    userUpdates.set(userId, update);
+    update.finally(() => {
+      if (userUpdates.get(userId) === update) {
+        userUpdates.delete(userId);
+      }
+    });
+
+    return update;
+  }
+
+  /**
+   * Get a user's spend for the current month
+   *
+   * @param {string} userId - The user's ID
+   * @returns {Promise<Object>} - The monthly record
+   */
+  async getUserSpend(userId) {
+    try {
+      return await this.store.get(`user:${userId}:${this.getPeriod()}`) || this.createRecord(userId);
+    } catch (error) {
+      logger.error('Error retrieving user spend', error);
+      return this.createRecord(userId);
+    }
+  }
+
+  /**
+   * Get a user's budget status for the current month
+   *
+   * @param {string} userId - The user's ID
+   * @param {boolean} isPremiumUser - Whether the premium budget applies
+   * @returns {Promise<Object>} - { period, limit, spent, remaining, level: 'ok' | 'near_limit' | 'exceeded' }
+   */
+  async getBudgetStatus(userId, isPremiumUser = false) {
+    const record = await this.getUserSpend(userId);
+    const limit = isPremiumUser ? this.budgets.premium : this.budgets.standard;
+
+    let level = 'ok';
+    if (record.cost >= limit) {
+      level = 'exceeded';
+    } else if (record.cost >= limit * this.budgets.nearLimitRatio) {
+      level = 'near_limit';
+    }
+
+    return {
+      period: record.period,
+      limit,
+      spent: record.cost,
+      remaining: Math.max(0, Math.round((limit - record.cost) * 1000000) / 1000000),
+      level
+    };
+  }
+
+  /**
+   * Order platforms from cheapest to most expensive
+   *
+   * @param {Array} platforms - Platform names
+   * @returns {Array} - The platforms, cheapest first
+   */
+  rankByPrice(platforms) {
+    const blendedPrice = platform => {
+      const price = this.getPrice(platform);
+      return price.input + price.output;
+    };
+
+    return [...platforms].sort((a, b) => blendedPrice(a) - blendedPrice(b));
+  }
+
+  /**
+   * Create an empty monthly record
+   *
+   * @param {string} userId - The user's ID
+   * @returns {Object} - The record
+   */
+  createRecord(userId) {
+    return {
+      userId,
+      period: this.getPeriod(),
+      requests: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      byPlatform: {}
+    };
+  }
+
+  /**
+   * Get the accounting period of a date
+   *
+   * @param {Date} date - The date, defaulting to now
+   * @returns {string} - The period as YYYY-MM
+   */
+  getPeriod(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+  }
+
+  /**
+   * Extract the text of a platform prompt
+   *
+   * @param {Object} prompt - A messages or contents prompt
+   * @returns {string} - The concatenated text
+   */
+  getPromptText(prompt) {
+    if (!prompt) {
+      return '';
+    }
+
+    if (Array.isArray(prompt.messages)) {
+      return prompt.messages
+        .map(message => typeof message.content === 'string' ? message.content : JSON.stringify(message.content || ''))
+        .join('\n');
+    }
+
+    if (Array.isArray(prompt.contents)) {
+      return prompt.contents
+        .flatMap(content => content.parts || [])
+        .map(part => part.text || '')
+        .join('\n');
+    }
+
+    return typeof prompt === 'string' ? prompt : '';
+  }
+
+  /**
+   * Estimate the token count of a text
+   *
+   * @param {string} text - The text
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text) {
+    return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+  }
+
+  /**
+   * Read a reported token count, treating missing or negative values as unknown
+   *
+   * @param {number} value - The reported count
+   * @returns {number} - The count, or -1 when unknown
+   */
+  toCount(value) {
+    return typeof value === 'number' && value >= 0 ? value : -1;
+  }
+}
+
+module.exports = { UsageTracker };
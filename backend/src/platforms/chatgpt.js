@@ -2,14 +2,30 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream, mergeToolCallDeltas } = require('./streamReader');
 
 class ChatGPTConnector {
   constructor() {
     this.apiKey = config.OPENAI_API_KEY;
     this.model = config.OPENAI_MODEL;
-    this.baseUrl = 'https://api.openai.com/v1';
+    this.baseUrl = config.OPENAI_BASE_URL || 'https://api.openai.com/v1';
     this.maxRetries = 3;
     this.retryDelay = 1000; // ms
+    this.maxRetryAfter = 10000; // ms; longer Retry-After waits are left to the fallback chain
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'chatgpt';
+    this.displayName = 'ChatGPT';
+    this.description = 'OpenAI\'s ChatGPT for general conversation and creative tasks';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant that combines the capabilities of multiple AI systems. You provide detailed reasoning and show your thinking process step by step when solving complex problems.';
+    this.capabilities = {
+      streaming: true,
+      vision: true,
+      toolCalling: true,
+      contextWindow: 128000,
+      costPerToken: { input: 0.0000025, output: 0.00001 }, // USD
+      messageFormat: 'openai'
+    };
     
     if (!this.apiKey) {
       logger.warn('ChatGPT API key not provided. This connector will not function properly.');
@@ -26,13 +42,14 @@ class ChatGPTConnector {
       }
       
       // Prepare request
-      const requestOptions = this._prepareRequestOptions(message, context, options);
+      const prompt = { messages: this._prepareMessages(message, context) };
       
-      // Execute request with retry logic
-      return await this._executeWithRetry(async () => {
-        const response = await this._makeApiRequest('/chat/completions', requestOptions);
-        return this._processResponse(response, options);
-      });
+      // Stream when a chunk callback is given, otherwise wait for the whole completion
+      const response = options.stream === true && typeof options.onChunk === 'function'
+        ? await this.generateStreamingResponse(prompt, options.onChunk, options)
+        : await this.generateResponse(prompt, options);
+      
+      return this._processResponse(response, options);
     } catch (error) {
       logger.error('Error processing request with ChatGPT:', error);
       
@@ -41,7 +58,7 @@ class ChatGPTConnector {
         error: true,
         message: error.message,
         platform: 'ChatGPT',
-        status: error.response?.status || 500,
+        status: error.statusCode || error.response?.status || 500,
         timestamp: new Date().toISOString(),
         requestId: options.requestId || 'unknown',
         fallbackAvailable: this._checkFallbackAvailability(options)
@@ -56,6 +73,149 @@ class ChatGPTConnector {
     }
   }
   
+  /**
+   * Generate a response using the OpenAI chat completions API
+   * 
+   * Rate limited and failed requests are retried with exponential backoff.
+   * 
+   * @param {Object} prompt - The formatted prompt
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - The chat completion, including usage
+   */
+  async generateResponse(prompt, options = {}) {
+    try {
+      if (!this.apiKey) {
+        throw new Error('ChatGPT API key not configured');
+      }
+      
+      const payload = {
+        ...this._preparePayload(prompt, options),
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice
+      };
+      
+      const response = await this._executeWithRetry(
+        () => this._makeApiRequest('/chat/completions', payload, {
+          timeout: options.timeout || 60000, // 60 seconds default timeout
+          signal: options.signal // Aborted when the client cancels the request
+        }),
+        options.signal
+      );
+      
+      logger.debug('ChatGPT response received', {
+        model: payload.model,
+        usage: response.data.usage
+      });
+      
+      return response.data;
+    } catch (error) {
+      logger.error('Error generating ChatGPT response', error);
+      throw this._enhanceError('ChatGPT API error', error);
+    }
+  }
+  
+  /**
+   * Generate a streaming response using the OpenAI chat completions API
+   * 
+   * Opening the stream is retried like a regular request; once content has been
+   * delivered the stream is not restarted. Usage is requested as a final stream event.
+   * 
+   * @param {Object} prompt - The formatted prompt
+   * @param {Function} onChunk - Callback for each chunk of the response
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} - The complete response after streaming
+   */
+  async generateStreamingResponse(prompt, onChunk, options = {}) {
+    try {
+      if (!this.apiKey) {
+        throw new Error('ChatGPT API key not configured');
+      }
+      
+      const payload = {
+        ...this._preparePayload(prompt, options),
+        tools: prompt.tools,
+        tool_choice: prompt.tool_choice,
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+      
+      const response = await this._executeWithRetry(
+        () => this._makeApiRequest('/chat/completions', payload, {
+          responseType: 'stream',
+          timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+          signal: options.signal // Aborted when the client cancels the request
+        }),
+        options.signal
+      );
+      
+      // Process the stream
+      let fullResponse = '';
+      let responseObject = null;
+      let finishReason = null;
+      const toolCalls = [];
+      let usage = null;
+      
+      return readEventStream(response.data, {
+        name: 'ChatGPT',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          const choice = json.choices && json.choices[0];
+          
+          if (choice && choice.delta && choice.delta.content) {
+            fullResponse += choice.delta.content;
+            
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(choice.delta.content, json);
+            }
+          }
+          
+          // Tool calls arrive in fragments, keyed by index
+          if (choice && choice.delta && choice.delta.tool_calls) {
+            mergeToolCallDeltas(toolCalls, choice.delta.tool_calls);
+          }
+          
+          if (choice && choice.finish_reason) {
+            finishReason = choice.finish_reason;
+          }
+          
+          // Sent in a final event with no choices when include_usage is set
+          if (json.usage) {
+            usage = json.usage;
+          }
+          
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
+          return {
+            id: responseObject?.id || 'unknown',
+            object: 'chat.completion',
+            created: responseObject?.created || Math.floor(Date.now() / 1000),
+            model: responseObject?.model || payload.model,
+            choices: [{
+              message: {
+                role: 'assistant',
+                content: fullResponse,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+              },
+              finish_reason: finishReason || 'stop',
+              index: 0
+            }],
+            usage: usage || {
+              prompt_tokens: -1, // Unknown if the stream ended without a usage event
+              completion_tokens: -1,
+              total_tokens: -1
+            }
+          };
+        }
+      });
+    } catch (error) {
+      logger.error('Error generating ChatGPT streaming response', error);
+      throw this._enhanceError('ChatGPT API streaming error', error);
+    }
+  }
+  
   async executeTask(taskType, content, context, thinkingSteps, options = {}) {
     try {
       logger.info(`Executing ${taskType} task with ChatGPT`);
@@ -104,12 +264,27 @@ class ChatGPTConnector {
     }
   }
   
+  /**
+   * Extract the text content from a ChatGPT response
+   * 
+   * @param {Object} response - A chat completion, or a result returned by processRequest
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    
+    if (typeof response.content === 'string') {
+      return response.content;
+    }
+    
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+  
   // Private methods
   
-  _prepareRequestOptions(message, context, options) {
-    // Determine if we should use streaming
-    const useStreaming = options.stream === true && config.features.enableStreaming;
-    
+  _prepareMessages(message, context) {
     // Prepare messages array
     const messages = [];
     
@@ -138,50 +313,49 @@ class ChatGPTConnector {
       content: message
     });
     
-    // Prepare request options
+    return messages;
+  }
+  
+  _preparePayload(prompt, options) {
     return {
       model: options.model || this.model,
-      messages,
-      temperature: options.temperature || 0.7,
+      messages: prompt.messages,
+      temperature: options.temperature ?? 0.7,
       max_tokens: options.maxTokens || 2000,
       top_p: options.topP || 1,
       frequency_penalty: options.frequencyPenalty || 0,
-      presence_penalty: options.presencePenalty || 0,
-      stream: useStreaming
+      presence_penalty: options.presencePenalty || 0
     };
   }
   
-  async _makeApiRequest(endpoint, data) {
+  async _makeApiRequest(endpoint, data, requestConfig = {}) {
     const url = `${this.baseUrl}${endpoint}`;
     
-    const response = await axios.post(url, data, {
+    return axios.post(url, data, {
+      ...requestConfig,
       headers: {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       }
     });
+  }
+  
+  _enhanceError(message, error) {
+    // Keep the provider's status and body for the fallback policy
+    const enhancedError = new Error(`${message}: ${error.message}`);
+    enhancedError.originalError = error.originalError || error;
+    enhancedError.statusCode = error.response?.status ?? error.statusCode;
+    enhancedError.responseData = error.response?.data ?? error.responseData;
+    enhancedError.partialContent = error.partialContent;
     
-    return response.data;
+    return enhancedError;
   }
   
   _processResponse(response, options) {
-    // Handle streaming response
-    if (options.stream && typeof options.onChunk === 'function') {
-      // This would be handled differently in a real implementation
-      // as streaming requires processing chunks as they arrive
-      return {
-        streaming: true,
-        platform: 'ChatGPT',
-        model: options.model || this.model,
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    // Process regular response
     const result = {
-      content: response.choices[0].message.content,
+      content: this.extractContent(response),
       platform: 'ChatGPT',
-      model: options.model || this.model,
+      model: response.model || options.model || this.model,
       usage: response.usage,
       timestamp: new Date().toISOString(),
       taskType: options.taskType
@@ -195,7 +369,7 @@ class ChatGPTConnector {
     return result;
   }
   
-  async _executeWithRetry(fn) {
+  async _executeWithRetry(fn, signal) {
     let lastError;
     
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
@@ -204,13 +378,18 @@ class ChatGPTConnector {
       } catch (error) {
         lastError = error;
         
-        // Check if error is retryable
-        if (!this._isRetryableError(error) || attempt === this.maxRetries) {
+        // Check if error is retryable; a cancelled request never is
+        if (!this._isRetryableError(error) || attempt === this.maxRetries || signal?.aborted) {
+          throw error;
+        }
+        
+        // Wait as long as the API asks, or back off exponentially when it does not say
+        const retryAfter = parseFloat(error.response?.headers?.['retry-after']) * 1000;
+        if (retryAfter > this.maxRetryAfter) {
           throw error;
         }
         
-        // Wait before retrying
-        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        const delay = retryAfter >= 0 ? retryAfter : this.retryDelay * Math.pow(2, attempt - 1);
         logger.info(`Retrying ChatGPT request (attempt ${attempt}/${this.maxRetries}) after ${delay}ms`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
@@ -236,7 +415,7 @@ class ChatGPTConnector {
   
   _suggestFallbackPlatform(error) {
     // Suggest fallback platform based on error type
-    const status = error.response?.status;
+    const status = error.statusCode || error.response?.status;
     
     if (status === 429) {
       // Rate limiting - suggest platforms with higher rate limits
@@ -0,0 +1,233 @@
+/**
+ * Platform Circuit Breakers for Majd Platform
+ *
+ * One circuit breaker per platform, fed with the outcome and latency of every platform
+ * call. A breaker opens when the failure rate or the share of slow calls in the recent
+ * window crosses its threshold; requests then skip the platform until the cool-down has
+ * passed. After the cool-down the breaker is half-open and lets a limited number of
+ * probe requests through: a successful probe closes it, a failed one opens it again.
+ *
+ *   closed    - the platform is used normally
+ *   open      - the platform is skipped
+ *   half_open - probe requests are allowed through
+ */
+
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreakers {
+  constructor(breakerConfig = config.circuitBreaker) {
+    this.config = breakerConfig;
+    this.breakers = new Map();
+  }
+
+  /**
+   * Check whether a platform may be called, without reserving a probe
+   *
+   * @param {string} platform - The platform name
+   * @returns {boolean} - Whether the breaker lets requests through
+   */
+  isAvailable(platform) {
+    if (!this.config.enabled) {
+      return true;
+    }
+
+    const breaker = this.getBreaker(platform);
+    const state = this.getState(platform);
+
+    return state === STATES.CLOSED ||
+      (state === STATES.HALF_OPEN && breaker.probesInFlight < this.config.halfOpenProbes);
+  }
+
+  /**
+   * Reserve a call to a platform, counting it as a probe when the breaker is half-open
+   *
+   * @param {string} platform - The platform name
+   * @returns {boolean} - Whether the call may go ahead
+   */
+  tryAcquire(platform) {
+    if (!this.isAvailable(platform)) {
+      return false;
+    }
+
+    if (this.config.enabled && this.getState(platform) === STATES.HALF_OPEN) {
+      this.getBreaker(platform).probesInFlight += 1;
+    }
+
+    return true;
+  }
+
+  /**
+   * Release a call that ended without an outcome that says anything about the platform,
+   * e.g. because the client cancelled it
+   *
+   * @param {string} platform - The platform name
+   */
+  release(platform) {
+    const breaker = this.getBreaker(platform);
+    breaker.probesInFlight = Math.max(0, breaker.probesInFlight - 1);
+  }
+
+  /**
+   * Record a successful call
+   *
+   * @param {string} platform - The platform name
+   * @param {number} latencyMs - Duration of the call
+   */
+  recordSuccess(platform, latencyMs) {
+    this.recordOutcome(platform, true, latencyMs);
+  }
+
+  /**
+   * Record a failed call
+   *
+   * @param {string} platform - The platform name
+   * @param {number} latencyMs - Duration of the call
+   */
+  recordFailure(platform, latencyMs) {
+    this.recordOutcome(platform, false, latencyMs);
+  }
+
+  /**
+   * Get the state of a platform's breaker, moving it to half-open once the cool-down has passed
+   *
+   * @param {string} platform - The platform name
+   * @returns {string} - 'closed', 'open' or 'half_open'
+   */
+  getState(platform) {
+    const breaker = this.getBreaker(platform);
+
+    if (breaker.state === STATES.OPEN && Date.now() - breaker.openedAt >= this.config.coolDown) {
+      this.transition(platform, breaker, STATES.HALF_OPEN);
+    }
+
+    return breaker.state;
+  }
+
+  /**
+   * Get the state and recent statistics of a platform's breaker
+   *
+   * @param {string} platform - The platform name
+   * @returns {Object} - { state, requests, errorRate, slowCallRate, averageLatencyMs, openedAt, retryAt }
+   */
+  getStatus(platform) {
+    const state = this.getState(platform);
+    const breaker = this.getBreaker(platform);
+    const stats = this.getWindowStats(breaker);
+
+    return {
+      state,
+      ...stats,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      retryAt: state === STATES.OPEN ? new Date(breaker.openedAt + this.config.coolDown).toISOString() : null
+    };
+  }
+
+  /**
+   * Close a platform's breaker and forget its history
+   *
+   * @param {string} platform - The platform name
+   */
+  reset(platform) {
+    this.breakers.delete(platform);
+  }
+
+  /**
+   * Add an outcome to a breaker's window and update its state
+   */
+  recordOutcome(platform, success, latencyMs) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    const breaker = this.getBreaker(platform);
+    const slow = latencyMs >= this.config.slowCallThreshold;
+
+    breaker.outcomes.push({ at: Date.now(), success, slow, latencyMs });
+
+    if (breaker.state === STATES.HALF_OPEN) {
+      breaker.probesInFlight = Math.max(0, breaker.probesInFlight - 1);
+
+      // A slow success is not proof of recovery
+      this.transition(platform, breaker, success && !slow ? STATES.CLOSED : STATES.OPEN);
+      return;
+    }
+
+    if (breaker.state === STATES.CLOSED) {
+      const stats = this.getWindowStats(breaker);
+
+      if (
+        stats.requests >= this.config.minimumRequests &&
+        (stats.errorRate >= this.config.errorRateThreshold || stats.slowCallRate >= this.config.slowCallRateThreshold)
+      ) {
+        this.transition(platform, breaker, STATES.OPEN, stats);
+      }
+    }
+  }
+
+  /**
+   * Move a breaker to a new state
+   */
+  transition(platform, breaker, state, stats = this.getWindowStats(breaker)) {
+    const previousState = breaker.state;
+    breaker.state = state;
+
+    if (state === STATES.OPEN) {
+      breaker.openedAt = Date.now();
+      logger.warn(`Circuit opened for ${platform}`, { previousState, ...stats, coolDown: this.config.coolDown });
+    } else if (state === STATES.CLOSED) {
+      // Start afresh so the failures that opened the breaker do not trip it again
+      breaker.outcomes = [];
+      breaker.openedAt = null;
+      logger.info(`Circuit closed for ${platform}`, { previousState });
+    } else {
+      breaker.probesInFlight = 0;
+      logger.info(`Circuit half-open for ${platform}`, { previousState });
+    }
+  }
+
+  /**
+   * Summarize the outcomes in a breaker's window, dropping older ones
+   */
+  getWindowStats(breaker) {
+    const windowStart = Date.now() - this.config.windowMs;
+    breaker.outcomes = breaker.outcomes.filter(outcome => outcome.at >= windowStart);
+
+    const requests = breaker.outcomes.length;
+    const failures = breaker.outcomes.filter(outcome => !outcome.success).length;
+    const slowCalls = breaker.outcomes.filter(outcome => outcome.slow).length;
+    const totalLatency = breaker.outcomes.reduce((total, outcome) => total + outcome.latencyMs, 0);
+
+    return {
+      requests,
+      errorRate: requests > 0 ? Math.round(failures / requests * 100) / 100 : 0,
+      slowCallRate: requests > 0 ? Math.round(slowCalls / requests * 100) / 100 : 0,
+      averageLatencyMs: requests > 0 ? Math.round(totalLatency / requests) : null
+    };
+  }
+
+  /**
+   * Get a platform's breaker, creating it closed on first use
+   */
+  getBreaker(platform) {
+    if (!this.breakers.has(platform)) {
+      this.breakers.set(platform, {
+        state: STATES.CLOSED,
+        outcomes: [],
+        openedAt: null,
+        probesInFlight: 0
+      });
+    }
+
+    return this.breakers.get(platform);
+  }
+}
+
+// Export singleton instance, shared by every component that calls platforms
+module.exports = new CircuitBreakers();
@@ -8,14 +8,35 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream } = require('./streamReader');
 
 class CopilotModule {
   constructor() {
     this.apiKey = config.GITHUB_COPILOT_API_KEY;
-    this.apiUrl = 'https://api.github.com/copilot/v1/chat/completions';
+    this.apiUrl = config.GITHUB_COPILOT_API_URL || 'https://api.github.com/copilot/v1/chat/completions';
     this.model = config.GITHUB_COPILOT_MODEL || 'copilot-4';
     this.defaultTemperature = 0.3; // Lower temperature for more precise code generation
     this.defaultMaxTokens = 4096;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'copilot';
+    this.displayName = 'GitHub Copilot';
+    this.description = 'GitHub Copilot for code generation and software development';
+    this.systemPrompt = 'You are Majd, an advanced AI coding assistant. Provide detailed code explanations and step-by-step solutions to programming problems.';
+    this.promptDefaults = {
+      editor_context: {
+        language: 'javascript', // Default language, can be overridden
+        editorContent: '' // Can be populated with file content if available
+      }
+    };
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: false,
+      contextWindow: 64000,
+      costPerToken: { input: 0, output: 0 }, // Flat-rate subscription, not billed per token
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -53,7 +74,8 @@ class CopilotModule {
           'Content-Type': 'application/json',
           'X-GitHub-Api-Version': '2022-11-28'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('GitHub Copilot response received', {
@@ -113,49 +135,34 @@ class CopilotModule {
           'X-GitHub-Api-Version': '2022-11-28'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullResponse = '';
       let responseObject = null;
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'GitHub Copilot',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullResponse += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullResponse += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing GitHub Copilot stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -177,13 +184,8 @@ class CopilotModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in GitHub Copilot stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating GitHub Copilot streaming response', error);
@@ -197,6 +199,19 @@ class CopilotModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a GitHub Copilot response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
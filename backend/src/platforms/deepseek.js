@@ -9,16 +9,31 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream, mergeToolCallDeltas } = require('./streamReader');
 
 class DeepSeekModule {
   constructor() {
     this.apiKey = config.DEEPSEEK_API_KEY;
-    this.apiUrl = 'https://api.deepseek.com/v1/chat/completions';
+    this.apiUrl = config.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1/chat/completions';
     this.model = config.DEEPSEEK_MODEL || 'deepseek-r1-plus';
     this.defaultTemperature = 0.2; // Lower temperature for more precise reasoning
     this.defaultMaxTokens = 4096;
     this.localModelEndpoint = config.DEEPSEEK_LOCAL_ENDPOINT || 'http://localhost:8000/v1/chat/completions';
     this.useLocalModel = config.USE_DEEPSEEK_LOCAL_MODEL || false;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'deepseek';
+    this.displayName = 'DeepSeek';
+    this.description = 'DeepSeek for mathematical reasoning';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant with exceptional mathematical and reasoning capabilities. Show your step-by-step thinking process when solving problems.';
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: true,
+      contextWindow: 128000,
+      costPerToken: { input: 0.00000055, output: 0.00000219 }, // USD
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -49,7 +64,9 @@ class DeepSeekModule {
         max_tokens: options.maxTokens || this.defaultMaxTokens,
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
+        presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice
       };
 
       // Make API request
@@ -58,7 +75,8 @@ class DeepSeekModule {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('DeepSeek response received', {
@@ -97,7 +115,9 @@ class DeepSeekModule {
         max_tokens: options.maxTokens || this.defaultMaxTokens,
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
+        presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice
       };
 
       // Make API request to local endpoint
@@ -105,7 +125,8 @@ class DeepSeekModule {
         headers: {
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('DeepSeek local response received', {
@@ -157,6 +178,8 @@ class DeepSeekModule {
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice,
         stream: true
       };
 
@@ -167,49 +190,40 @@ class DeepSeekModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullResponse = '';
       let responseObject = null;
+      const toolCalls = [];
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'DeepSeek',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullResponse += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullResponse += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing DeepSeek stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Tool calls arrive in fragments, keyed by index
+          if (json.choices?.[0]?.delta?.tool_calls) {
+            mergeToolCallDeltas(toolCalls, json.choices[0].delta.tool_calls);
+          }
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -219,9 +233,10 @@ class DeepSeekModule {
             choices: [{
               message: {
                 role: 'assistant',
-                content: fullResponse
+                content: fullResponse,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
               },
-              finish_reason: 'stop',
+              finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
               index: 0
             }],
             usage: {
@@ -231,13 +246,8 @@ class DeepSeekModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in DeepSeek stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating DeepSeek streaming response', error);
@@ -271,6 +281,8 @@ class DeepSeekModule {
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice,
         stream: true
       };
 
@@ -280,49 +292,40 @@ class DeepSeekModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullResponse = '';
       let responseObject = null;
+      const toolCalls = [];
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'DeepSeek local',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullResponse += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullResponse += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing DeepSeek local stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Tool calls arrive in fragments, keyed by index
+          if (json.choices?.[0]?.delta?.tool_calls) {
+            mergeToolCallDeltas(toolCalls, json.choices[0].delta.tool_calls);
+          }
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -332,9 +335,10 @@ class DeepSeekModule {
             choices: [{
               message: {
                 role: 'assistant',
-                content: fullResponse
+                content: fullResponse,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
               },
-              finish_reason: 'stop',
+              finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
               index: 0
             }],
             usage: {
@@ -344,13 +348,8 @@ class DeepSeekModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in DeepSeek local stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating DeepSeek local streaming response', error);
@@ -364,6 +363,19 @@ class DeepSeekModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a DeepSeek response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
@@ -8,14 +8,29 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream } = require('./streamReader');
 
 class GeminiModule {
   constructor() {
     this.apiKey = config.GEMINI_API_KEY;
-    this.apiUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    this.apiUrl = config.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models';
     this.model = config.GEMINI_MODEL || 'gemini-1.5-pro';
     this.defaultTemperature = 0.7;
     this.defaultMaxOutputTokens = 8192;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'gemini';
+    this.displayName = 'Google Gemini';
+    this.description = 'Google\'s Gemini for multimodal reasoning tasks';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant with exceptional reasoning capabilities. Show your thinking process step by step.';
+    this.capabilities = {
+      streaming: true,
+      vision: true,
+      toolCalling: true,
+      contextWindow: 1000000, // 1M tokens
+      costPerToken: { input: 0.00000125, output: 0.000005 }, // USD
+      messageFormat: 'gemini'
+    };
   }
 
   /**
@@ -60,7 +75,9 @@ class GeminiModule {
             category: "HARM_CATEGORY_DANGEROUS_CONTENT",
             threshold: "BLOCK_MEDIUM_AND_ABOVE"
           }
-        ]
+        ],
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        toolConfig: prompt.toolConfig
       };
 
       // Make API request
@@ -68,7 +85,8 @@ class GeminiModule {
         headers: {
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('Gemini response received', {
@@ -105,7 +123,7 @@ class GeminiModule {
       }
 
       const model = options.model || this.model;
-      const endpoint = `${this.apiUrl}/${model}:streamGenerateContent?key=${this.apiKey}`;
+      const endpoint = `${this.apiUrl}/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
 
       // Prepare request payload
       const payload = {
@@ -133,7 +151,9 @@ class GeminiModule {
             category: "HARM_CATEGORY_DANGEROUS_CONTENT",
             threshold: "BLOCK_MEDIUM_AND_ABOVE"
           }
-        ]
+        ],
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        toolConfig: prompt.toolConfig
       };
 
       // Make streaming API request
@@ -142,71 +162,68 @@ class GeminiModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullContent = '';
       let candidates = [];
+      const functionCallParts = [];
+      let usageMetadata = null;
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'Gemini',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          if (json.candidates && json.candidates.length > 0) {
+            const candidate = json.candidates[0];
             
-            for (const line of lines) {
-              // Skip empty lines
-              if (line.trim() === '') continue;
+            if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
+              const content = candidate.content.parts.map(part => part.text || '').join('');
+              fullContent += content;
               
-              // Parse JSON
-              const json = JSON.parse(line);
+              // Function calls arrive whole, alongside or instead of text
+              functionCallParts.push(...candidate.content.parts.filter(part => part.functionCall));
               
-              if (json.candidates && json.candidates.length > 0) {
-                const candidate = json.candidates[0];
-                
-                if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-                  const content = candidate.content.parts[0].text || '';
-                  fullContent += content;
-                  
-                  // Call the chunk callback
-                  if (onChunk && typeof onChunk === 'function') {
-                    onChunk(content, json);
-                  }
-                }
-                
-                // Save candidate information
-                candidates.push(candidate);
+              // Call the chunk callback
+              if (content && onChunk && typeof onChunk === 'function') {
+                onChunk(content, json);
               }
             }
-          } catch (error) {
-            logger.error('Error processing Gemini stream chunk', error);
+            
+            // Save candidate information
+            candidates.push(candidate);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Token counts are cumulative; the last chunk holds the totals
+          if (json.usageMetadata) {
+            usageMetadata = json.usageMetadata;
+          }
+        },
+        getPartialContent: () => fullContent,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             candidates: [{
               content: {
-                parts: [{
-                  text: fullContent
-                }],
+                // Left without a text part when the model only called functions, as in a regular response
+                parts: [
+                  ...(fullContent || functionCallParts.length === 0 ? [{ text: fullContent }] : []),
+                  ...functionCallParts
+                ],
                 role: 'model'
               },
               finishReason: 'STOP',
               index: 0,
               safetyRatings: candidates.length > 0 ? candidates[candidates.length - 1].safetyRatings : []
             }],
-            promptFeedback: candidates.length > 0 ? candidates[candidates.length - 1].promptFeedback : {}
+            promptFeedback: candidates.length > 0 ? candidates[candidates.length - 1].promptFeedback : {},
+            ...(usageMetadata && { usageMetadata })
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in Gemini stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating Gemini streaming response', error);
@@ -220,6 +237,19 @@ class GeminiModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a Google Gemini response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.candidates && response.candidates.length > 0) {
+      return response.candidates[0].content.parts[0].text;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
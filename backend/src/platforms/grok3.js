@@ -8,14 +8,32 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream, mergeToolCallDeltas } = require('./streamReader');
 
 class Grok3Module {
   constructor() {
     this.apiKey = config.GROK3_API_KEY;
-    this.apiUrl = 'https://api.grok.x/v1/chat/completions';
+    this.apiUrl = config.GROK3_API_URL || 'https://api.grok.x/v1/chat/completions';
     this.model = config.GROK3_MODEL || 'grok-3';
     this.defaultTemperature = 0.7;
     this.defaultMaxTokens = 4096;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'grok3';
+    this.displayName = 'Grok3';
+    this.description = 'Grok3 for real-time data analysis';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant with real-time data analysis capabilities. Provide insightful analysis and up-to-date information.';
+    this.promptDefaults = {
+      use_realtime_data: true
+    };
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: true,
+      contextWindow: 128000,
+      costPerToken: { input: 0.000003, output: 0.000015 }, // USD
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -40,7 +58,9 @@ class Grok3Module {
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
-        use_realtime_data: prompt.use_realtime_data !== undefined ? prompt.use_realtime_data : true
+        use_realtime_data: prompt.use_realtime_data !== undefined ? prompt.use_realtime_data : true,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice
       };
 
       // Make API request
@@ -49,7 +69,8 @@ class Grok3Module {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('Grok3 response received', {
@@ -95,6 +116,8 @@ class Grok3Module {
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
         use_realtime_data: prompt.use_realtime_data !== undefined ? prompt.use_realtime_data : true,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice,
         stream: true
       };
 
@@ -105,49 +128,40 @@ class Grok3Module {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullContent = '';
       let responseObject = null;
+      const toolCalls = [];
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'Grok3',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullContent += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullContent += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing Grok3 stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Tool calls arrive in fragments, keyed by index
+          if (json.choices?.[0]?.delta?.tool_calls) {
+            mergeToolCallDeltas(toolCalls, json.choices[0].delta.tool_calls);
+          }
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullContent,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -157,9 +171,10 @@ class Grok3Module {
             choices: [{
               message: {
                 role: 'assistant',
-                content: fullContent
+                content: fullContent,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
               },
-              finish_reason: 'stop',
+              finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
               index: 0
             }],
             usage: {
@@ -169,13 +184,8 @@ class Grok3Module {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in Grok3 stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating Grok3 streaming response', error);
@@ -189,6 +199,24 @@ class Grok3Module {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a Grok3 response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.output && response.output.content) {
+      return response.output.content;
+    }
+    
+    // Streamed responses are assembled in the chat completion shape
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
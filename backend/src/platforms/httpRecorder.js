@@ -0,0 +1,456 @@
+/**
+ * Provider HTTP Recorder for Majd Platform
+ *
+ * Records the HTTP traffic of the platform connectors to fixture files and replays it,
+ * so the backend can run without provider keys or network access (CI, local development,
+ * regression tests for routing, synthesis and fallback).
+ *
+ * The recorder replaces the adapter of the shared axios instance used by the connectors:
+ *
+ *   record - requests go to the provider; every exchange, including streamed chunks and
+ *            error responses, is written to <fixturesPath>/<host>/<hash>.json
+ *   replay - requests are answered from the fixtures; a request without a fixture fails
+ *            with code ERR_FIXTURE_MISSING
+ *
+ * Fixtures are keyed on method, URL and body, after redaction. API keys are removed
+ * from headers, query strings and bodies before anything is written to disk. When the
+ * same request is made several times (e.g. a retry after a 503), the responses are
+ * served in the recorded order and the last one is repeated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const REDACTED = '[REDACTED]';
+
+// Request and response headers that carry credentials
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key', 'cookie', 'set-cookie'];
+
+// Query string parameters that carry credentials
+const REDACTED_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+
+class HttpRecorder {
+  constructor(recordingConfig = config.recording) {
+    this.mode = recordingConfig.mode;
+    this.fixturesPath = recordingConfig.fixturesPath;
+    this.replayTiming = recordingConfig.replayTiming;
+    this.installed = false;
+
+    // Times each fixture key has been seen by this process, to record and replay in sequence
+    this.calls = new Map();
+  }
+
+  /**
+   * Install the recorder on an axios instance when a recording mode is configured
+   *
+   * @param {Object} axiosInstance - The axios instance, the shared default by default
+   */
+  install(axiosInstance = axios) {
+    if (this.mode === 'off' || this.installed) {
+      return;
+    }
+
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown provider HTTP mode: ${this.mode}. Expected off, record or replay`);
+    }
+
+    const transportAdapter = axios.getAdapter(axiosInstance.defaults.adapter);
+
+    axiosInstance.defaults.adapter = this.mode === 'record'
+      ? requestConfig => this.record(requestConfig, transportAdapter)
+      : requestConfig => this.replay(requestConfig);
+
+    this.installed = true;
+    logger.warn(`Provider HTTP ${this.mode} mode enabled`, { fixturesPath: this.fixturesPath });
+  }
+
+  /**
+   * Send a request to the provider and record the exchange
+   *
+   * @param {Object} requestConfig - The axios request config
+   * @param {Function} transportAdapter - The adapter that performs the real request
+   * @returns {Promise<Object>} - The axios response
+   */
+  async record(requestConfig, transportAdapter) {
+    const request = this.describeRequest(requestConfig);
+
+    let response;
+    try {
+      response = await transportAdapter(requestConfig);
+    } catch (error) {
+      // Cancellations depend on the caller, not the provider; there is nothing to replay
+      if (!axios.isCancel(error)) {
+        this.saveExchange(request, error.response
+          ? this.describeErrorResponse(error.response)
+          : { error: { code: error.code, message: error.message } });
+      }
+
+      throw error;
+    }
+
+    if (requestConfig.responseType !== 'stream') {
+      this.saveExchange(request, this.describeResponse(response, response.data));
+      return response;
+    }
+
+    // Pass the stream through to the connector while keeping a copy of every chunk
+    const upstream = response.data;
+    const passThrough = new PassThrough();
+    const chunks = [];
+    let lastChunkAt = Date.now();
+
+    upstream.on('data', chunk => {
+      const buffer = Buffer.from(chunk);
+      chunks.push({ delay: Date.now() - lastChunkAt, ...this.encodeChunk(buffer) });
+      lastChunkAt = Date.now();
+      passThrough.write(buffer);
+    });
+
+    upstream.on('end', () => {
+      this.saveExchange(request, { ...this.describeResponse(response), chunks });
+      passThrough.end();
+    });
+
+    // Streams torn down part-way are not recorded
+    upstream.on('error', error => passThrough.destroy(error));
+
+    return { ...response, data: passThrough };
+  }
+
+  /**
+   * Answer a request from the fixtures
+   *
+   * @param {Object} requestConfig - The axios request config
+   * @returns {Promise<Object>} - The recorded axios response
+   */
+  async replay(requestConfig) {
+    if (requestConfig.signal && requestConfig.signal.aborted) {
+      throw new axios.CanceledError(null, requestConfig);
+    }
+
+    const request = this.describeRequest(requestConfig);
+    const fixture = this.loadFixture(request);
+
+    if (!fixture) {
+      throw new axios.AxiosError(
+        `No recorded fixture for ${request.method.toUpperCase()} ${request.url} (${request.key})`,
+        'ERR_FIXTURE_MISSING',
+        requestConfig
+      );
+    }
+
+    const call = this.nextCall(request.key);
+    const exchange = fixture.responses[Math.min(call, fixture.responses.length - 1)];
+
+    if (exchange.error) {
+      throw new axios.AxiosError(exchange.error.message, exchange.error.code, requestConfig);
+    }
+
+    const response = {
+      status: exchange.status,
+      statusText: exchange.statusText,
+      headers: new axios.AxiosHeaders(exchange.headers),
+      config: requestConfig,
+      request: {},
+      data: exchange.chunks ? this.replayStream(exchange.chunks, requestConfig.signal) : exchange.data
+    };
+
+    const validateStatus = requestConfig.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      requestConfig,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * Build a readable stream that emits recorded chunks
+   *
+   * @param {Array} chunks - The recorded chunks
+   * @param {AbortSignal} signal - Destroys the stream when aborted, like a real connection
+   * @returns {Readable} - The stream
+   */
+  replayStream(chunks, signal) {
+    const stream = new Readable({ read() {} });
+    let index = 0;
+    let timer = null;
+
+    const emitNext = () => {
+      if (stream.destroyed) {
+        return;
+      }
+
+      if (index >= chunks.length) {
+        stream.push(null);
+        return;
+      }
+
+      const chunk = chunks[index++];
+      stream.push(Buffer.from(chunk.data, chunk.encoding || 'utf8'));
+
+      const next = chunks[index];
+      const delay = this.replayTiming === 'recorded' && next ? next.delay : 0;
+      timer = setTimeout(emitNext, delay);
+    };
+
+    if (signal) {
+      const onAbort = () => {
+        clearTimeout(timer);
+        stream.destroy(new axios.CanceledError());
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      stream.once('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
+    timer = setTimeout(emitNext, this.replayTiming === 'recorded' && chunks[0] ? chunks[0].delay : 0);
+    return stream;
+  }
+
+  /**
+   * Describe a request as stored in a fixture, with credentials removed
+   *
+   * @param {Object} requestConfig - The axios request config
+   * @returns {Object} - { key, method, url, headers, body }
+   */
+  describeRequest(requestConfig) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    const url = this.redactUrl(axios.getUri(requestConfig));
+    const body = this.redactValue(this.parseBody(requestConfig.data));
+
+    const headers = {};
+    Object.entries(axios.AxiosHeaders.from(requestConfig.headers).toJSON()).forEach(([name, value]) => {
+      headers[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    });
+
+    const key = crypto.createHash('sha256')
+      .update(`${method} ${url}\n${this.canonicalize(body)}`)
+      .digest('hex')
+      .substring(0, 16);
+
+    return { key, method, url, headers, body };
+  }
+
+  /**
+   * Describe a response as stored in a fixture
+   *
+   * @param {Object} response - The axios response
+   * @param {*} data - The body, for responses that are not streamed
+   * @returns {Object} - { status, statusText, headers, data }
+   */
+  describeResponse(response, data) {
+    const headers = {};
+    Object.entries(axios.AxiosHeaders.from(response.headers).toJSON()).forEach(([name, value]) => {
+      if (!REDACTED_HEADERS.includes(name.toLowerCase())) {
+        headers[name] = value;
+      }
+    });
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      ...(data !== undefined && { data: this.redactValue(Buffer.isBuffer(data) ? data.toString('utf8') : data) })
+    };
+  }
+
+  /**
+   * Describe an error response as stored in a fixture
+   *
+   * Streamed error bodies are left for the connector to read and recorded as empty.
+   *
+   * @param {Object} response - The axios response of the failed request
+   * @returns {Object} - The described response
+   */
+  describeErrorResponse(response) {
+    const streamed = response.data && typeof response.data.pipe === 'function';
+
+    return streamed
+      ? { ...this.describeResponse(response), chunks: [] }
+      : this.describeResponse(response, response.data);
+  }
+
+  /**
+   * Append an exchange to the fixture of its request
+   *
+   * The first exchange recorded by this process replaces the fixture from earlier runs.
+   *
+   * @param {Object} request - The described request
+   * @param {Object} exchange - The described response or transport error
+   */
+  saveExchange(request, exchange) {
+    try {
+      const call = this.nextCall(request.key);
+      const fixture = call > 0 ? this.loadFixture(request) : null;
+      const { key, ...storedRequest } = request;
+
+      const updated = {
+        request: storedRequest,
+        responses: [...(fixture ? fixture.responses : []), exchange],
+        recordedAt: new Date().toISOString()
+      };
+
+      const filePath = this.getFixturePath(request);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(updated, null, 2));
+
+      logger.debug('Provider exchange recorded', { url: request.url, fixture: filePath });
+    } catch (error) {
+      logger.error('Error recording provider exchange', error);
+    }
+  }
+
+  /**
+   * Read the fixture of a request
+   *
+   * @param {Object} request - The described request
+   * @returns {Object|null} - The fixture, or null if none was recorded
+   */
+  loadFixture(request) {
+    const filePath = this.getFixturePath(request);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Get the fixture file of a request
+   *
+   * @param {Object} request - The described request
+   * @returns {string} - The file path
+   */
+  getFixturePath(request) {
+    const host = new URL(request.url).host.replace(/[^a-zA-Z0-9.-]/g, '_');
+    return path.join(this.fixturesPath, host, `${request.key}.json`);
+  }
+
+  /**
+   * Count a call of a fixture key
+   *
+   * @param {string} key - The fixture key
+   * @returns {number} - How many times the key was seen before
+   */
+  nextCall(key) {
+    const call = this.calls.get(key) || 0;
+    this.calls.set(key, call + 1);
+    return call;
+  }
+
+  /**
+   * Store a chunk as text when it is valid UTF-8, otherwise as base64
+   *
+   * @param {Buffer} buffer - The chunk
+   * @returns {Object} - { data, encoding }
+   */
+  encodeChunk(buffer) {
+    const text = buffer.toString('utf8');
+
+    // Multi-byte characters split across chunks do not survive a round trip through text
+    return Buffer.from(text, 'utf8').equals(buffer)
+      ? { data: this.redactValue(text) }
+      : { data: buffer.toString('base64'), encoding: 'base64' };
+  }
+
+  /**
+   * Parse a serialized request body
+   *
+   * @param {*} data - The body as sent
+   * @returns {*} - The parsed body, or the body unchanged when it is not JSON
+   */
+  parseBody(data) {
+    if (typeof data !== 'string') {
+      return data === undefined ? null : data;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return data;
+    }
+  }
+
+  /**
+   * Remove credentials from the query string of a URL
+   *
+   * @param {string} url - The URL
+   * @returns {string} - The redacted URL
+   */
+  redactUrl(url) {
+    const parsed = new URL(url);
+
+    REDACTED_PARAMS.forEach(param => {
+      if (parsed.searchParams.has(param)) {
+        parsed.searchParams.set(param, REDACTED);
+      }
+    });
+
+    return this.redactValue(parsed.toString());
+  }
+
+  /**
+   * Replace every configured API key found in a value
+   *
+   * @param {*} value - A string or JSON-serializable value
+   * @returns {*} - The redacted value
+   */
+  redactValue(value) {
+    const secrets = this.getSecrets();
+
+    if (secrets.length === 0 || value === null || value === undefined) {
+      return value;
+    }
+
+    const redact = text => secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+
+    return typeof value === 'string'
+      ? redact(value)
+      : JSON.parse(redact(JSON.stringify(value)));
+  }
+
+  /**
+   * Get the configured credentials that must never reach a fixture
+   *
+   * @returns {Array} - The secret values
+   */
+  getSecrets() {
+    return Object.keys(config)
+      .filter(name => /_(API_KEY|TOKEN|SECRET)$/.test(name))
+      .map(name => config[name])
+      .filter(value => typeof value === 'string' && value.length >= 8);
+  }
+
+  /**
+   * Serialize a value with sorted object keys, so equal bodies hash equally
+   *
+   * @param {*} value - The value
+   * @returns {string} - The canonical JSON
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(name => `${JSON.stringify(name)}:${this.canonicalize(value[name])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+  }
+}
+
+// Export singleton instance
+module.exports = new HttpRecorder();
@@ -2,52 +2,31 @@
 const { logger } = require('../utils/logger');
 const config = require('../config');
 
-// Import all platform connectors
-const chatgpt = require('./chatgpt');
-const perplexity = require('./perplexity');
-const gemini = require('./gemini');
-const copilot = require('./copilot');
-const deepseek = require('./deepseek');
-const grok3 = require('./grok3');
-const vertix = require('./vertix');
-const local = require('./local');
+const platformRegistry = require('./registry');
+const circuitBreakers = require('./circuitBreakers');
+const routingRules = require('../orchestration/routingRules');
+const { TaskClassifier } = require('../orchestration/taskClassifier');
+const { FallbackPolicy } = require('../orchestration/fallbackPolicy');
 
 class PlatformOrchestrator {
   constructor() {
-    this.platforms = {
-      chatgpt,
-      perplexity,
-      gemini,
-      copilot,
-      deepseek,
-      grok3,
-      vertix,
-      local
-    };
-    
-    this.platformPriorities = {
-      default: ['chatgpt', 'perplexity', 'gemini', 'deepseek', 'grok3', 'vertix', 'copilot', 'local'],
-      code: ['copilot', 'deepseek', 'chatgpt', 'perplexity', 'gemini', 'grok3', 'vertix', 'local'],
-      research: ['perplexity', 'gemini', 'chatgpt', 'grok3', 'deepseek', 'vertix', 'copilot', 'local'],
-      math: ['deepseek', 'gemini', 'chatgpt', 'perplexity', 'grok3', 'vertix', 'copilot', 'local'],
-      creative: ['chatgpt', 'gemini', 'perplexity', 'grok3', 'deepseek', 'vertix', 'copilot', 'local'],
-      visual: ['gemini', 'grok3', 'chatgpt', 'perplexity', 'deepseek', 'vertix', 'copilot', 'local'],
-      arabic: ['chatgpt', 'gemini', 'perplexity', 'deepseek', 'grok3', 'vertix', 'copilot', 'local']
-    };
+    this.registry = platformRegistry;
+    this.taskClassifier = new TaskClassifier();
+    this.fallbackPolicy = new FallbackPolicy();
   }
   
   async routeRequest(message, context = {}, options = {}) {
     try {
       logger.info('Routing request through platform orchestrator');
       
-      // Determine task type and domain
-      const { taskType, domain } = this._analyzeRequest(message, options);
+      // Determine task type
+      const { taskType } = this._analyzeRequest(message, options);
       
       // Select appropriate platform
-      const platform = await this._selectPlatform(taskType, domain, options);
+      const platform = await this._selectPlatform(taskType, options);
       
       // Process request with selected platform
-      const result = await this._processWithPlatform(platform, message, context, options);
+      const result = await this._processWithPlatform(platform, message, context, { ...options, taskType });
       
       // Handle fallback if needed
       if (result.error && config.features.enableFallbackChain) {
@@ -73,22 +52,9 @@ class PlatformOrchestrator {
         throw new Error('No platforms specified for multi-platform request');
       }
       
-      // Process request on each specified platform
+      // Process request on each specified platform; failures are returned as error results
       const results = await Promise.all(
-        platforms.map(async (platformName) => {
-          try {
-            const platform = this._getPlatform(platformName);
-            return await platform.processRequest(message, context, options);
-          } catch (error) {
-            logger.error(`Error processing request on ${platformName}:`, error);
-            return {
-              error: true,
-              platform: platformName,
-              message: error.message,
-              timestamp: new Date().toISOString()
-            };
-          }
-        })
+        platforms.map(platformName => this._processWithPlatform(platformName, message, context, options))
       );
       
       return {
@@ -109,46 +75,20 @@ class PlatformOrchestrator {
   // Private methods
   
   _analyzeRequest(message, options) {
-    // Determine task type and domain based on message content and options
-    let taskType = options.taskType || 'general';
-    let domain = options.domain || 'default';
-    
-    // Simple content analysis if not specified
-    if (!options.taskType) {
-      if (message.includes('```') || /\b(code|function|class|method|api)\b/i.test(message)) {
-        taskType = 'code';
-        domain = 'code';
-      } else if (/\b(research|study|paper|analysis|investigate)\b/i.test(message)) {
-        taskType = 'research';
-        domain = 'research';
-      } else if (/\b(math|equation|calculate|formula|computation)\b/i.test(message)) {
-        taskType = 'math';
-        domain = 'math';
-      } else if (/\b(story|creative|write|poem|novel|fiction)\b/i.test(message)) {
-        taskType = 'creative';
-        domain = 'creative';
-      } else if (/\b(image|picture|diagram|chart|visual)\b/i.test(message)) {
-        taskType = 'visual';
-        domain = 'visual';
-      }
-      
-      // Check for Arabic content
-      if (/[\u0600-\u06FF]/.test(message)) {
-        domain = 'arabic';
-      }
-    }
+    // Classify with the routing rules unless the task type is specified
+    const taskType = options.taskType || this.taskClassifier.classify(message).taskType;
     
-    return { taskType, domain };
+    return { taskType };
   }
   
-  async _selectPlatform(taskType, domain, options) {
+  async _selectPlatform(taskType, options) {
     // Use explicitly specified platform if provided
-    if (options.platform && this.platforms[options.platform]) {
+    if (options.platform && this.registry.has(options.platform)) {
       return options.platform;
     }
     
-    // Get priority list for the domain
-    const priorityList = this.platformPriorities[domain] || this.platformPriorities.default;
+    // Get the task type's platform chain from the routing rules
+    const priorityList = routingRules.getChain(taskType, options.tenantId);
     
     // Filter out unavailable platforms
     const availablePlatforms = priorityList.filter(platform => {
@@ -169,7 +109,7 @@ class PlatformOrchestrator {
   }
   
   _isPlatformAvailable(platformName) {
-    const platform = this.platforms[platformName];
+    const platform = this.registry.get(platformName);
     
     if (!platform) {
       return false;
@@ -180,11 +120,12 @@ class PlatformOrchestrator {
       return false;
     }
     
-    return true;
+    // Skip platforms that have been failing recently
+    return circuitBreakers.isAvailable(platformName);
   }
   
   _getPlatform(platformName) {
-    const platform = this.platforms[platformName];
+    const platform = this.registry.get(platformName);
     
     if (!platform) {
       throw new Error(`Platform not found: ${platformName}`);
@@ -193,26 +134,86 @@ class PlatformOrchestrator {
     return platform;
   }
   
+  _buildPrompt(platform, message, context) {
+    // Prior turns are { role, content } messages; the current message comes last
+    const systemPrompt = context.systemPrompt || platform.systemPrompt;
+    const history = Array.isArray(context.history) ? context.history : [];
+    const messages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...history,
+      { role: 'user', content: message }
+    ];
+    
+    // Format the messages as the platform's generateResponse expects them
+    const prompt = platform.capabilities.messageFormat === 'gemini'
+      ? {
+        contents: messages.map(({ role, content }) => ({
+          role: role === 'assistant' ? 'model' : role,
+          parts: [{ text: content }]
+        }))
+      }
+      : { messages };
+    
+    return {
+      ...prompt,
+      ...platform.promptDefaults
+    };
+  }
+  
   async _processWithPlatform(platformName, message, context, options) {
     try {
       const platform = this._getPlatform(platformName);
+      const prompt = this._buildPrompt(platform, message, context);
       
       logger.info(`Processing request with ${platformName}`);
       
-      const result = await platform.processRequest(message, context, options);
+      // Fail fast while the platform's circuit is open; callers fall back as for any other error
+      if (!circuitBreakers.tryAcquire(platformName)) {
+        logger.warn(`Skipping ${platformName}: circuit open`);
+        return {
+          error: true,
+          platform: platformName,
+          circuitOpen: true,
+          message: `Platform ${platformName} is temporarily unavailable (circuit open)`,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
+      const startTime = Date.now();
       
-      // Add platform name to result if not already included
-      if (!result.platform) {
-        result.platform = platformName;
+      // Every platform implements the common generateResponse(prompt, options) contract
+      let response;
+      try {
+        response = options.stream === true && typeof options.onChunk === 'function' && platform.capabilities.streaming
+          ? await platform.generateStreamingResponse(prompt, options.onChunk, options)
+          : await platform.generateResponse(prompt, options);
+      } catch (error) {
+        // Only provider and network errors count against the platform, not errors in our own code
+        if (this.fallbackPolicy.isProviderError(this.fallbackPolicy.classifyError(error))) {
+          circuitBreakers.recordFailure(platformName, Date.now() - startTime);
+        } else {
+          circuitBreakers.release(platformName);
+        }
+        throw error;
       }
       
-      return result;
+      circuitBreakers.recordSuccess(platformName, Date.now() - startTime);
+      
+      return {
+        content: platform.extractContent(response),
+        platform: platformName,
+        model: response.model || options.model || platform.model,
+        usage: response.usage || response.usageMetadata,
+        timestamp: new Date().toISOString(),
+        taskType: options.taskType
+      };
     } catch (error) {
       logger.error(`Error processing with ${platformName}:`, error);
       return {
         error: true,
         platform: platformName,
         message: error.message,
+        status: error.statusCode,
         timestamp: new Date().toISOString()
       };
     }
@@ -253,8 +254,8 @@ class PlatformOrchestrator {
     }
     
     // If recommended fallbacks failed, try other available platforms
-    const { taskType, domain } = this._analyzeRequest(message, options);
-    const priorityList = this.platformPriorities[domain] || this.platformPriorities.default;
+    const { taskType } = this._analyzeRequest(message, options);
+    const priorityList = routingRules.getChain(taskType, options.tenantId);
     
     for (const fallbackPlatform of priorityList) {
       if (!attemptedPlatforms.includes(fallbackPlatform) && this._isPlatformAvailable(fallbackPlatform)) {
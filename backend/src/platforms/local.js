@@ -8,6 +8,7 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream, mergeToolCallDeltas } = require('./streamReader');
 
 class LocalModule {
   constructor() {
@@ -15,6 +16,20 @@ class LocalModule {
     this.model = config.LOCAL_MODEL || 'deepseek-r1-distill-qwen-7b';
     this.defaultTemperature = 0.7;
     this.defaultMaxTokens = 2048;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'local';
+    this.displayName = 'Majd Local Models';
+    this.description = 'Locally deployed models for fallback and cost optimization';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant. Provide helpful and accurate responses.';
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: true,
+      contextWindow: 32000,
+      costPerToken: { input: 0, output: 0 }, // Self-hosted
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -34,7 +49,9 @@ class LocalModule {
         max_tokens: options.maxTokens || this.defaultMaxTokens,
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
+        presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice
       };
 
       // Make API request to local endpoint
@@ -42,7 +59,8 @@ class LocalModule {
         headers: {
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('Local model response received', {
@@ -82,6 +100,8 @@ class LocalModule {
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
+        tools: prompt.tools, // Declared by the orchestrator when tool calling is enabled
+        tool_choice: prompt.tool_choice,
         stream: true
       };
 
@@ -91,49 +111,40 @@ class LocalModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullResponse = '';
       let responseObject = null;
+      const toolCalls = [];
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'local model',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullResponse += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullResponse += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing local model stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Tool calls arrive in fragments, keyed by index
+          if (json.choices?.[0]?.delta?.tool_calls) {
+            mergeToolCallDeltas(toolCalls, json.choices[0].delta.tool_calls);
+          }
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -143,9 +154,10 @@ class LocalModule {
             choices: [{
               message: {
                 role: 'assistant',
-                content: fullResponse
+                content: fullResponse,
+                ...(toolCalls.length > 0 && { tool_calls: toolCalls })
               },
-              finish_reason: 'stop',
+              finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
               index: 0
             }],
             usage: {
@@ -155,13 +167,8 @@ class LocalModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in local model stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating local model streaming response', error);
@@ -175,6 +182,24 @@ class LocalModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a Majd Local Models response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.output) {
+      return response.output;
+    }
+    
+    // Local servers expose an OpenAI-compatible chat completion shape
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
@@ -8,14 +8,33 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream } = require('./streamReader');
 
 class PerplexityModule {
   constructor() {
     this.apiKey = config.PERPLEXITY_API_KEY;
-    this.apiUrl = 'https://api.perplexity.ai/chat/completions';
+    this.apiUrl = config.PERPLEXITY_API_URL || 'https://api.perplexity.ai/chat/completions';
     this.model = config.PERPLEXITY_MODEL || 'sonar-medium-online';
     this.defaultTemperature = 0.5;
     this.defaultMaxTokens = 2048;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'perplexity';
+    this.displayName = 'Perplexity AI';
+    this.description = 'Perplexity AI for research and information synthesis';
+    this.systemPrompt = 'You are Majd, an advanced AI research assistant. Provide comprehensive answers with citations and sources when available.';
+    this.promptDefaults = {
+      search: true, // Enable search for Perplexity
+      include_citations: true
+    };
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: false,
+      contextWindow: 32000,
+      costPerToken: { input: 0.0000006, output: 0.0000018 }, // USD
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -47,7 +66,8 @@ class PerplexityModule {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('Perplexity response received', {
@@ -102,7 +122,8 @@ class PerplexityModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
@@ -110,47 +131,31 @@ class PerplexityModule {
       let citations = [];
       let responseObject = null;
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'Perplexity',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullResponse += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullResponse += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Extract citations if available
-              if (json.citations) {
-                citations = [...citations, ...json.citations];
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing Perplexity stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Extract citations if available
+          if (json.citations) {
+            citations = [...citations, ...json.citations];
+          }
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullResponse,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -173,13 +178,8 @@ class PerplexityModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in Perplexity stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating Perplexity streaming response', error);
@@ -193,6 +193,45 @@ class PerplexityModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a Perplexity AI response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.answer) {
+      let content = response.answer.text;
+      
+      // Add citations if available
+      if (response.answer.citations && response.answer.citations.length > 0) {
+        content += '\n\n**Sources:**\n';
+        response.answer.citations.forEach((citation, index) => {
+          content += `${index + 1}. [${citation.title}](${citation.url})\n`;
+        });
+      }
+      
+      return content;
+    }
+    
+    // Streamed responses are assembled in the chat completion shape
+    if (response.choices && response.choices.length > 0) {
+      let content = response.choices[0].message.content;
+      
+      if (response.citations && response.citations.length > 0) {
+        content += '\n\n**Sources:**\n';
+        response.citations.forEach((citation, index) => {
+          content += typeof citation === 'string'
+            ? `${index + 1}. ${citation}\n`
+            : `${index + 1}. [${citation.title}](${citation.url})\n`;
+        });
+      }
+      
+      return content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,125 @@
+/**
+ * Platform Registry for Majd Platform
+ *
+ * Every platform adapter in this directory is registered here once, together with
+ * a descriptor of its capabilities. Orchestration components look platforms up in
+ * the registry instead of switching on platform names, so adding a provider only
+ * requires a new adapter file and its entry in ADAPTER_MODULES.
+ */
+
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// The adapter modules in this directory; the other modules here are never loaded as adapters
+const ADAPTER_MODULES = ['chatgpt', 'copilot', 'deepseek', 'gemini', 'grok3', 'local', 'perplexity', 'vertix'];
+
+const REQUIRED_CAPABILITIES = ['streaming', 'vision', 'toolCalling', 'contextWindow', 'costPerToken', 'messageFormat'];
+
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register a platform adapter
+   *
+   * @param {Object} adapter - The adapter, exposing name, displayName, capabilities,
+   *   generateResponse and, for streaming platforms, generateStreamingResponse
+   * @returns {Object} - The registered adapter
+   */
+  register(adapter) {
+    if (!adapter || !adapter.name) {
+      throw new Error('Platform adapter must have a name');
+    }
+
+    if (typeof adapter.generateResponse !== 'function') {
+      throw new Error(`Platform adapter ${adapter.name} does not implement generateResponse`);
+    }
+
+    const missing = REQUIRED_CAPABILITIES.filter(key => !adapter.capabilities || adapter.capabilities[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Platform adapter ${adapter.name} is missing capabilities: ${missing.join(', ')}`);
+    }
+
+    if (adapter.capabilities.streaming && typeof adapter.generateStreamingResponse !== 'function') {
+      throw new Error(`Platform adapter ${adapter.name} supports streaming but does not implement generateStreamingResponse`);
+    }
+
+    if (this.adapters.has(adapter.name)) {
+      logger.warn(`Platform adapter ${adapter.name} is already registered and will be replaced`);
+    }
+
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  /**
+   * Register adapter modules from a directory
+   *
+   * Only the listed modules are loaded, so helpers that live next to the adapters are
+   * never required for their side effects or registered by accident.
+   *
+   * @param {string} directory - The directory holding the modules
+   * @param {Array<string>} modules - The adapter module names, without extension
+   */
+  loadAdapters(directory, modules = ADAPTER_MODULES) {
+    modules.forEach(moduleName => {
+      this.register(require(path.join(directory, moduleName)));
+    });
+
+    logger.debug('Platform adapters registered', { platforms: this.list() });
+  }
+
+  /**
+   * Get a platform adapter
+   *
+   * @param {string} name - The platform name
+   * @returns {Object|undefined} - The adapter, if registered
+   */
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  /**
+   * Check whether a platform is registered
+   *
+   * @param {string} name - The platform name
+   * @returns {boolean} - Whether the platform is registered
+   */
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * Get the capability descriptor of a platform
+   *
+   * @param {string} name - The platform name
+   * @returns {Object|null} - The capabilities, or null if the platform is unknown
+   */
+  getCapabilities(name) {
+    const adapter = this.adapters.get(name);
+    return adapter ? adapter.capabilities : null;
+  }
+
+  /**
+   * List the registered platform names
+   *
+   * @param {Object} filter - Optional capability values that platforms must match
+   * @returns {Array} - The platform names
+   */
+  list(filter = {}) {
+    return Array.from(this.adapters.values())
+      .filter(adapter => Object.entries(filter).every(([key, value]) => adapter.capabilities[key] === value))
+      .map(adapter => adapter.name);
+  }
+}
+
+// Export singleton instance with the adapters in this directory registered
+const registry = new PlatformRegistry();
+
+// Record or replay provider traffic when PROVIDER_HTTP_MODE is set
+require('./httpRecorder').install();
+
+registry.loadAdapters(__dirname);
+
+module.exports = registry;
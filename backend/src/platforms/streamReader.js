@@ -0,0 +1,119 @@
+/**
+ * Stream Reader for Majd Platform
+ *
+ * Reads the streamed responses of the platform modules. Providers send either
+ * server-sent events ("data: {...}" lines, ending with "data: [DONE]") or one JSON
+ * object per line; both are read line by line, holding back an incomplete trailing
+ * line until the next chunk arrives and flushing the last line when the stream ends.
+ * When the request is cancelled the stream is torn down and the read rejects with an
+ * ERR_CANCELED error that keeps the content received so far.
+ */
+
+const { logger } = require('../utils/logger');
+
+// Server-sent event fields that carry no payload
+const IGNORED_FIELD = /^(:|event:|id:|retry:)/;
+
+/**
+ * Read a streamed response to its end
+ *
+ * @param {Readable} stream - The response stream
+ * @param {Object} options - Reading options
+ * @param {string} options.name - The platform name, for errors and logs
+ * @param {AbortSignal} [options.signal] - Aborted when the client cancels the request
+ * @param {Function} options.onEvent - Called with each parsed JSON event
+ * @param {Function} options.getPartialContent - Returns the content received so far
+ * @param {Function} options.onEnd - Returns the complete response once the stream has ended
+ * @returns {Promise<Object>} - The complete response
+ */
+function readEventStream(stream, { name, signal, onEvent, getPartialContent, onEnd }) {
+  let buffer = '';
+
+  return new Promise((resolve, reject) => {
+    // Stop reading when the request is cancelled, keeping the content received so far
+    const onAbort = () => {
+      stream.destroy();
+
+      const abortError = new Error(`${name} stream cancelled`);
+      abortError.code = 'ERR_CANCELED';
+      abortError.partialContent = getPartialContent();
+      reject(abortError);
+    };
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // Parse complete lines of the stream; a malformed line is logged and skipped
+    const processLines = (lines) => {
+      for (const line of lines) {
+        if (line.trim() === '' || IGNORED_FIELD.test(line)) continue;
+
+        const jsonStr = line.replace(/^data: ?/, '').trim();
+        if (!jsonStr || jsonStr === '[DONE]') continue;
+
+        try {
+          onEvent(JSON.parse(jsonStr));
+        } catch (error) {
+          logger.error(`Error processing ${name} stream chunk`, error);
+        }
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      // Hold back an incomplete trailing line until the next chunk arrives
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      processLines(lines);
+    });
+
+    stream.on('end', () => {
+      // The stream may end with a last line that has no trailing newline
+      processLines([buffer]);
+      buffer = '';
+
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      resolve(onEnd());
+    });
+
+    stream.on('error', (error) => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      logger.error(`Error in ${name} stream`, error);
+      error.partialContent = getPartialContent(); // Kept when the stream is torn down by cancellation
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Merge the tool call fragments of a stream event into the calls assembled so far
+ *
+ * @param {Array} toolCalls - The tool calls assembled so far, by index
+ * @param {Array} deltas - The delta.tool_calls of the event
+ */
+function mergeToolCallDeltas(toolCalls, deltas) {
+  deltas.forEach(delta => {
+    const index = delta.index !== undefined ? delta.index : toolCalls.length;
+
+    if (!toolCalls[index]) {
+      toolCalls[index] = { id: delta.id, type: 'function', function: { name: '', arguments: '' } };
+    }
+
+    const toolCall = toolCalls[index];
+    toolCall.id = delta.id || toolCall.id;
+    toolCall.function.name += delta.function?.name || '';
+    toolCall.function.arguments += delta.function?.arguments || '';
+  });
+}
+
+module.exports = {
+  readEventStream,
+  mergeToolCallDeltas
+};
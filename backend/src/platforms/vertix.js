@@ -8,14 +8,29 @@
 const axios = require('axios');
 const { logger } = require('../utils/logger');
 const config = require('../config');
+const { readEventStream } = require('./streamReader');
 
 class VertixModule {
   constructor() {
     this.apiKey = config.VERTIX_API_KEY;
-    this.apiUrl = 'https://api.vertix.ai/v1/chat/completions';
+    this.apiUrl = config.VERTIX_API_URL || 'https://api.vertix.ai/v1/chat/completions';
     this.model = config.VERTIX_MODEL || 'vertix-expert';
     this.defaultTemperature = 0.5;
     this.defaultMaxTokens = 4096;
+    
+    // Platform descriptor used by the platform registry
+    this.name = 'vertix';
+    this.displayName = 'Vertix';
+    this.description = 'Vertix for specialized domain expertise';
+    this.systemPrompt = 'You are Majd, an advanced AI assistant with specialized domain expertise. Provide industry-specific insights and domain knowledge.';
+    this.capabilities = {
+      streaming: true,
+      vision: false,
+      toolCalling: false,
+      contextWindow: 32000,
+      costPerToken: { input: 0.000002, output: 0.000008 }, // USD
+      messageFormat: 'openai'
+    };
   }
 
   /**
@@ -47,7 +62,8 @@ class VertixModule {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: options.timeout || 60000 // 60 seconds default timeout
+        timeout: options.timeout || 60000, // 60 seconds default timeout
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       logger.debug('Vertix response received', {
@@ -101,49 +117,34 @@ class VertixModule {
           'Content-Type': 'application/json'
         },
         responseType: 'stream',
-        timeout: options.timeout || 120000 // 120 seconds default timeout for streaming
+        timeout: options.timeout || 120000, // 120 seconds default timeout for streaming
+        signal: options.signal // Aborted when the client cancels the request
       });
 
       // Process the stream
       let fullContent = '';
       let responseObject = null;
 
-      return new Promise((resolve, reject) => {
-        response.data.on('data', (chunk) => {
-          try {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
+      return readEventStream(response.data, {
+        name: 'Vertix',
+        signal: options.signal, // Aborted when the client cancels the request
+        onEvent: (json) => {
+          // Extract content
+          if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
+            const content = json.choices[0].delta.content;
+            fullContent += content;
             
-            for (const line of lines) {
-              // Skip empty lines and "[DONE]" marker
-              if (line.trim() === '' || line.includes('[DONE]')) continue;
-              
-              // Remove "data: " prefix
-              const jsonStr = line.replace(/^data: /, '').trim();
-              if (!jsonStr) continue;
-              
-              // Parse JSON
-              const json = JSON.parse(jsonStr);
-              
-              // Extract content
-              if (json.choices && json.choices[0].delta && json.choices[0].delta.content) {
-                const content = json.choices[0].delta.content;
-                fullContent += content;
-                
-                // Call the chunk callback
-                if (onChunk && typeof onChunk === 'function') {
-                  onChunk(content, json);
-                }
-              }
-              
-              // Save the last response object
-              responseObject = json;
+            // Call the chunk callback
+            if (onChunk && typeof onChunk === 'function') {
+              onChunk(content, json);
             }
-          } catch (error) {
-            logger.error('Error processing Vertix stream chunk', error);
           }
-        });
-
-        response.data.on('end', () => {
+          
+          // Save the last response object
+          responseObject = json;
+        },
+        getPartialContent: () => fullContent,
+        onEnd: () => {
           // Construct final response object
           const finalResponse = {
             id: responseObject?.id || 'unknown',
@@ -165,13 +166,8 @@ class VertixModule {
             }
           };
           
-          resolve(finalResponse);
-        });
-
-        response.data.on('error', (error) => {
-          logger.error('Error in Vertix stream', error);
-          reject(error);
-        });
+          return finalResponse;
+        }
       });
     } catch (error) {
       logger.error('Error generating Vertix streaming response', error);
@@ -185,6 +181,24 @@ class VertixModule {
       throw enhancedError;
     }
   }
+
+  /**
+   * Extract the text content from a Vertix response
+   * 
+   * @param {Object} response - The response returned by this module
+   * @returns {string} - The extracted content
+   */
+  extractContent(response) {
+    if (response.content) {
+      return response.content;
+    }
+    
+    // Streamed responses are assembled in the chat completion shape
+    if (response.choices && response.choices.length > 0) {
+      return response.choices[0].message.content;
+    }
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
 }
 
 // Export singleton instance
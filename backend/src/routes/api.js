@@ -0,0 +1,510 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { OrchestrationLayer } = require('../orchestration');
+const platformRegistry = require('../platforms/registry');
+const circuitBreakers = require('../platforms/circuitBreakers');
+const routingRules = require('../orchestration/routingRules');
+
+// Initialize the orchestration layer
+const orchestrationLayer = new OrchestrationLayer();
+
+// API routes
+router.get('/', (req, res) => {
+  res.status(200).json({
+    name: 'Majd Platform API',
+    version: process.env.npm_package_version || '1.0.0',
+    status: 'active',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Platform status for each circuit breaker state
+const PLATFORM_STATUS = {
+  closed: 'active',
+  half_open: 'degraded',
+  open: 'unavailable'
+};
+
+// Get available platforms, with their live status
+router.get('/platforms', (req, res) => {
+  try {
+    const platforms = platformRegistry.list().map(name => {
+      const adapter = platformRegistry.get(name);
+      const circuit = circuitBreakers.getStatus(name);
+      
+      return {
+        id: adapter.name,
+        name: adapter.displayName,
+        description: adapter.description,
+        capabilities: adapter.capabilities,
+        status: PLATFORM_STATUS[circuit.state],
+        circuit
+      };
+    });
+    
+    res.status(200).json(platforms);
+  } catch (error) {
+    logger.error('Error retrieving platforms', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving platforms',
+      message: error.message
+    });
+  }
+});
+
+// Get task types
+router.get('/task-types', (req, res) => {
+  try {
+    // Generated from the routing rules, with the tenant's chains if one is given
+    const taskTypes = routingRules.getTaskTypes(req.query.tenantId);
+    
+    res.status(200).json(taskTypes);
+  } catch (error) {
+    logger.error('Error retrieving task types', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving task types',
+      message: error.message
+    });
+  }
+});
+
+// Explain how a message would be routed, without sending it to any platform
+router.post('/route/explain', async (req, res) => {
+  try {
+    const { message, userId, conversationId, options } = req.body;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    const explanation = await orchestrationLayer.taskRouter.explainRoute(
+      message,
+      userId || req.ip,
+      { ...options, ...(conversationId && { conversationId }) }
+    );
+    
+    res.status(200).json(explanation);
+  } catch (error) {
+    logger.error('Error explaining route', error);
+    res.status(500).json({ 
+      error: 'An error occurred while explaining the route',
+      message: error.message
+    });
+  }
+});
+
+// Record the task type a request should have been routed as, for classifier training
+router.post('/route/feedback', async (req, res) => {
+  try {
+    const { message, taskType, predictedTaskType, userId } = req.body;
+    const { taskRouter } = orchestrationLayer;
+    
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    const taskTypeIds = routingRules.getTaskTypes().map(definedTaskType => definedTaskType.id);
+    
+    if (!taskTypeIds.includes(taskType)) {
+      return res.status(400).json({ error: `taskType must be one of: ${taskTypeIds.join(', ')}` });
+    }
+    
+    const entry = await taskRouter.classifier.recordFeedback({
+      text: message,
+      taskType,
+      predictedTaskType,
+      userId
+    });
+    
+    res.status(201).json(entry);
+  } catch (error) {
+    logger.error('Error recording routing feedback', error);
+    res.status(500).json({ 
+      error: 'An error occurred while recording routing feedback',
+      message: error.message
+    });
+  }
+});
+
+// Get user context, of the default conversation or of ?conversationId=
+router.get('/context/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { conversationId } = req.query;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    // Get context from the orchestration layer
+    const context = await orchestrationLayer.contextManager.getContext(userId, { conversationId });
+    
+    res.status(200).json(context);
+  } catch (error) {
+    logger.error('Error retrieving context', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving context',
+      message: error.message
+    });
+  }
+});
+
+// Clear user context: the history of ?conversationId=, or every conversation
+router.delete('/context/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { conversationId } = req.query;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+    
+    // Clear context from the orchestration layer
+    await orchestrationLayer.contextManager.clearContext(userId, { conversationId });
+    
+    res.status(200).json({ message: 'Context cleared successfully' });
+  } catch (error) {
+    logger.error('Error clearing context', error);
+    res.status(500).json({ 
+      error: 'An error occurred while clearing context',
+      message: error.message
+    });
+  }
+});
+
+// List the branches of the default conversation or of ?conversationId=
+router.get('/context/:userId/branches', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const branches = await orchestrationLayer.contextManager.listBranches(userId, req.query.conversationId);
+    
+    res.status(200).json(branches);
+  } catch (error) {
+    logger.error('Error listing branches', error);
+    res.status(500).json({ 
+      error: 'An error occurred while listing branches',
+      message: error.message
+    });
+  }
+});
+
+// Switch the active branch to the one containing a turn
+router.put('/context/:userId/branches/active', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { turnId } = req.body;
+    
+    if (!turnId) {
+      return res.status(400).json({ error: 'turnId is required' });
+    }
+    
+    const activeTurnId = await orchestrationLayer.contextManager.switchBranch(userId, turnId);
+    
+    if (!activeTurnId) {
+      return res.status(404).json({ error: 'Turn not found' });
+    }
+    
+    const turn = await orchestrationLayer.contextManager.getTurn(userId, activeTurnId);
+    const context = await orchestrationLayer.contextManager.getContext(userId, { conversationId: turn.conversationId });
+    
+    res.status(200).json({ activeTurnId, context });
+  } catch (error) {
+    logger.error('Error switching branch', error);
+    res.status(500).json({ 
+      error: 'An error occurred while switching branch',
+      message: error.message
+    });
+  }
+});
+
+// List a user's conversations; ?includeArchived=true includes archived ones
+router.get('/conversations/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const conversations = await orchestrationLayer.contextManager.listConversations(userId, {
+      includeArchived: req.query.includeArchived === 'true'
+    });
+    
+    res.status(200).json(conversations);
+  } catch (error) {
+    logger.error('Error listing conversations', error);
+    res.status(500).json({ 
+      error: 'An error occurred while listing conversations',
+      message: error.message
+    });
+  }
+});
+
+// Create a conversation
+router.post('/conversations/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { title } = req.body;
+    
+    const conversation = await orchestrationLayer.contextManager.createConversation(userId, { title });
+    
+    res.status(201).json(conversation);
+  } catch (error) {
+    logger.error('Error creating conversation', error);
+    res.status(500).json({ 
+      error: 'An error occurred while creating the conversation',
+      message: error.message
+    });
+  }
+});
+
+// Get a conversation with its current context
+router.get('/conversations/:userId/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    
+    const conversation = await orchestrationLayer.contextManager.getConversation(userId, conversationId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    const context = await orchestrationLayer.contextManager.getContext(userId, { conversationId });
+    
+    res.status(200).json({ ...conversation, context });
+  } catch (error) {
+    logger.error('Error retrieving conversation', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving the conversation',
+      message: error.message
+    });
+  }
+});
+
+// Rename or archive a conversation
+router.patch('/conversations/:userId/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    const { title, archived } = req.body;
+    
+    if (title === undefined && archived === undefined) {
+      return res.status(400).json({ error: 'title or archived is required' });
+    }
+    
+    const conversation = await orchestrationLayer.contextManager.updateConversation(userId, conversationId, { title, archived });
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.status(200).json(conversation);
+  } catch (error) {
+    logger.error('Error updating conversation', error);
+    res.status(500).json({ 
+      error: 'An error occurred while updating the conversation',
+      message: error.message
+    });
+  }
+});
+
+// Delete a conversation and its history
+router.delete('/conversations/:userId/:conversationId', async (req, res) => {
+  try {
+    const { userId, conversationId } = req.params;
+    
+    const deleted = await orchestrationLayer.contextManager.deleteConversation(userId, conversationId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    
+    res.status(200).json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting conversation', error);
+    res.status(500).json({ 
+      error: 'An error occurred while deleting the conversation',
+      message: error.message
+    });
+  }
+});
+
+// Get a user's token usage and spend for the current month
+router.get('/usage/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isPremiumUser = req.query.premium === 'true';
+    
+    const [spend, budget] = await Promise.all([
+      orchestrationLayer.usageTracker.getUserSpend(userId),
+      orchestrationLayer.usageTracker.getBudgetStatus(userId, isPremiumUser)
+    ]);
+    
+    res.status(200).json({ ...spend, budget });
+  } catch (error) {
+    logger.error('Error retrieving usage', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving usage',
+      message: error.message
+    });
+  }
+});
+
+// List routing experiments
+router.get('/experiments', async (req, res) => {
+  try {
+    const experiments = await orchestrationLayer.taskRouter.experimentManager.listExperiments();
+    
+    res.status(200).json(experiments);
+  } catch (error) {
+    logger.error('Error listing experiments', error);
+    res.status(500).json({ 
+      error: 'An error occurred while listing experiments',
+      message: error.message
+    });
+  }
+});
+
+// Create a routing experiment: { name, description, variants, traffic, status }
+router.post('/experiments', async (req, res) => {
+  try {
+    const { experimentManager } = orchestrationLayer.taskRouter;
+    const errors = experimentManager.validate(req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid experiment', details: errors });
+    }
+    
+    const overlapping = req.body.status === undefined || req.body.status === 'active'
+      ? await experimentManager.findOverlapping(req.body)
+      : [];
+    
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: 'An active experiment already splits traffic for these task types',
+        experiments: overlapping.map(experiment => experiment.id)
+      });
+    }
+    
+    const experiment = await experimentManager.createExperiment(req.body);
+    
+    res.status(201).json(experiment);
+  } catch (error) {
+    logger.error('Error creating experiment', error);
+    res.status(500).json({ 
+      error: 'An error occurred while creating the experiment',
+      message: error.message
+    });
+  }
+});
+
+// Get a routing experiment
+router.get('/experiments/:experimentId', async (req, res) => {
+  try {
+    const experiment = await orchestrationLayer.taskRouter.experimentManager.getExperiment(req.params.experimentId);
+    
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    
+    res.status(200).json(experiment);
+  } catch (error) {
+    logger.error('Error retrieving experiment', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving the experiment',
+      message: error.message
+    });
+  }
+});
+
+// Rename, pause, resume or complete a routing experiment
+router.patch('/experiments/:experimentId', async (req, res) => {
+  try {
+    const { experimentId } = req.params;
+    const { name, description, status } = req.body;
+    const { experimentManager } = orchestrationLayer.taskRouter;
+    
+    if (status !== undefined && !['active', 'paused', 'completed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: active, paused, completed' });
+    }
+    
+    const experiment = await experimentManager.getExperiment(experimentId);
+    
+    if (!experiment) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    
+    const overlapping = status === 'active' ? await experimentManager.findOverlapping(experiment) : [];
+    
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        error: 'An active experiment already splits traffic for these task types',
+        experiments: overlapping.map(other => other.id)
+      });
+    }
+    
+    const updated = await experimentManager.updateExperiment(experimentId, { name, description, status });
+    
+    res.status(200).json(updated);
+  } catch (error) {
+    logger.error('Error updating experiment', error);
+    res.status(500).json({ 
+      error: 'An error occurred while updating the experiment',
+      message: error.message
+    });
+  }
+});
+
+// Delete a routing experiment and its results
+router.delete('/experiments/:experimentId', async (req, res) => {
+  try {
+    const deleted = await orchestrationLayer.taskRouter.experimentManager.deleteExperiment(req.params.experimentId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    
+    res.status(200).json({ message: 'Experiment deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting experiment', error);
+    res.status(500).json({ 
+      error: 'An error occurred while deleting the experiment',
+      message: error.message
+    });
+  }
+});
+
+// Get a routing experiment's results per variant
+router.get('/experiments/:experimentId/results', async (req, res) => {
+  try {
+    const results = await orchestrationLayer.taskRouter.experimentManager.getResults(req.params.experimentId);
+    
+    if (!results) {
+      return res.status(404).json({ error: 'Experiment not found' });
+    }
+    
+    res.status(200).json(results);
+  } catch (error) {
+    logger.error('Error retrieving experiment results', error);
+    res.status(500).json({ 
+      error: 'An error occurred while retrieving experiment results',
+      message: error.message
+    });
+  }
+});
+
+// Invalidate cached responses, optionally filtered by taskType, platform and input
+router.delete('/cache', async (req, res) => {
+  try {
+    const { taskType, platform, input } = req.query;
+    
+    const removed = await orchestrationLayer.responseCache.invalidate({ taskType, platform, input });
+    
+    res.status(200).json({ message: 'Cache invalidated successfully', removed });
+  } catch (error) {
+    logger.error('Error invalidating cache', error);
+    res.status(500).json({ 
+      error: 'An error occurred while invalidating the cache',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
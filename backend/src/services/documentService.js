@@ -104,7 +104,7 @@ const processDocumentContent = async (documentId, options = {}) => {
     const result = await documentOrchestrator.processDocument(
       documentId,
       content,
-      options
+      { ...options, userId: metadata.userId }
     );
     
     // Update metadata with processing results
@@ -125,7 +125,9 @@ const processDocumentContent = async (documentId, options = {}) => {
       summary: result.summary,
       language: languageInfo.language,
       platform: result.platform,
-      processingTime: result.processingTime
+      processingTime: result.processingTime,
+      usage: result.usage,
+      estimatedCost: result.estimatedCost
     };
   } catch (error) {
     logger.error(`Document processing failed for ${documentId}:`, error);
@@ -198,7 +200,7 @@ const askDocumentQuestion = async (documentId, question, options = {}) => {
       documentId,
       content,
       question,
-      options
+      { ...options, userId: metadata.userId }
     );
     
     return {
@@ -206,6 +208,8 @@ const askDocumentQuestion = async (documentId, question, options = {}) => {
       question,
       answer: result.answer,
       platform: result.platform,
+      usage: result.usage,
+      estimatedCost: result.estimatedCost,
       thinkingSteps: options.includeThinking ? result.thinkingSteps : undefined
     };
   } catch (error) {
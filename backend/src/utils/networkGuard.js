@@ -0,0 +1,173 @@
+/**
+ * Network Guard for Majd Platform
+ *
+ * Keeps requests to user-supplied URLs (the fetch_url tool, job webhooks) away from
+ * loopback, private, link-local and cloud metadata addresses. URLs are checked up
+ * front, and the agents re-check every address a connection actually resolves to,
+ * so DNS answers that change between the check and the request are caught as well.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+// IPv4 ranges that are not publicly routable, as [network, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including the 169.254.169.254 metadata service
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ *
+ * @param {string} address - The IPv4 address
+ * @returns {number} - The address as a number
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => (value * 256) + parseInt(octet, 10), 0);
+}
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ *
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} - Whether requests to the address must be refused
+ */
+function isBlockedAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+
+    return BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+      const size = Math.pow(2, 32 - prefix);
+      const start = ipv4ToNumber(network);
+      return value >= start && value < start + size;
+    });
+  }
+
+  if (!net.isIPv6(address)) {
+    return true;
+  }
+
+  const normalized = address.toLowerCase().replace(/%.*$/, '');
+
+  // IPv4-mapped and IPv4-compatible addresses are judged by their IPv4 part
+  const embedded = normalized.match(/^::(?:ffff:(?:0:)?)?(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    return isBlockedAddress(embedded[1]);
+  }
+
+  const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isBlockedAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  return normalized === '::' ||
+    normalized === '::1' ||
+    /^f[cd]/.test(normalized) || // unique local, including fd00:ec2::254 (metadata)
+    /^fe[89ab]/.test(normalized) || // link-local
+    /^ff/.test(normalized) || // multicast
+    /^2001:db8:/.test(normalized) ||
+    /^64:ff9b:/.test(normalized); // NAT64, which embeds an IPv4 address
+}
+
+/**
+ * Check whether a host is exempt from the address check (config.outboundAllowedHosts)
+ *
+ * @param {string} hostname - The host name or address
+ * @returns {boolean} - Whether the host may resolve to private addresses
+ */
+function isAllowedHost(hostname) {
+  return config.outboundAllowedHosts.includes(String(hostname).toLowerCase());
+}
+
+/**
+ * dns.lookup replacement that fails for hosts resolving to blocked addresses
+ *
+ * Matches the dns.lookup signature so it can be given to http(s) agents.
+ *
+ * @param {string} hostname - The host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called as dns.lookup would call it
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked && !isAllowedHost(hostname)) {
+      const blockedError = new Error(`Refusing to connect to ${hostname}: ${blocked.address} is not a public address`);
+      blockedError.code = 'EADDRBLOCKED';
+      return callback(blockedError);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ *
+ * Literal IP hosts never reach the agents' lookup, so they are only caught here;
+ * call this before every request, including each redirect.
+ *
+ * @param {string} url - The URL
+ * @returns {Promise<URL>} - The parsed URL
+ * @throws {Error} - When the URL is malformed, not http(s), or points at a blocked address
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http(s) URLs are allowed');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  await new Promise((resolve, reject) => {
+    guardedLookup(hostname, {}, error => (error ? reject(error) : resolve()));
+  });
+
+  return parsed;
+}
+
+// Agents that run every connection through guardedLookup; pass them to axios
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+module.exports = {
+  isBlockedAddress,
+  guardedLookup,
+  assertPublicUrl,
+  guardedAgents
+};
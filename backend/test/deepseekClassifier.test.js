@@ -0,0 +1,129 @@
+/**
+ * Tests for the task classifier model: training, classification, and a save and load
+ * round trip that must predict exactly what the trained model did.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeepseekClassifier } = require('../src/models/deepseekClassifier');
+
+const CLASSIFIER_CONFIG = {
+  modelFile: 'task-classifier.json',
+  feedbackFile: 'routing-feedback.jsonl',
+  alpha: 0.1,
+  minDocumentFrequency: 1,
+  maxFeatures: 50000
+};
+
+const EXAMPLES = [
+  { text: 'Write a Python function to sort a list', taskType: 'code' },
+  { text: 'Fix the bug in this JavaScript function', taskType: 'code' },
+  { text: 'Refactor this class and add unit tests', taskType: 'code' },
+  { text: 'Why does my function throw a null pointer exception', taskType: 'code' },
+  { text: 'اكتب دالة بايثون لترتيب قائمة', taskType: 'code' },
+  { text: 'Solve the equation 2x + 3 = 7', taskType: 'math' },
+  { text: 'What is the integral of x squared', taskType: 'math' },
+  { text: 'Calculate 15 * 24 + 7', taskType: 'math' },
+  { text: 'Prove that the square root of two is irrational', taskType: 'math' },
+  { text: 'حل المعادلة 3 + س = 10', taskType: 'math' },
+  { text: 'Write a poem about the sea', taskType: 'creative' },
+  { text: 'Tell me a short story about a dragon', taskType: 'creative' },
+  { text: 'Compose song lyrics about summer', taskType: 'creative' },
+  { text: 'Write a poem about friendship and loss', taskType: 'creative' },
+  { text: 'اكتب قصيدة عن البحر', taskType: 'creative' }
+];
+
+describe('DeepseekClassifier', () => {
+  let modelsPath;
+
+  before(() => {
+    modelsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'majd-classifier-'));
+  });
+
+  after(() => {
+    fs.rmSync(modelsPath, { recursive: true, force: true });
+  });
+
+  it('answers the default task type with no confidence before a model is loaded', async () => {
+    const classifier = new DeepseekClassifier(CLASSIFIER_CONFIG);
+
+    assert.deepStrictEqual(await classifier.classify('Write a poem'), { taskType: 'general', confidence: 0, probabilities: {} });
+  });
+
+  it('trains on labeled examples and classifies unseen requests', async () => {
+    const classifier = new DeepseekClassifier(CLASSIFIER_CONFIG);
+    const summary = classifier.train(EXAMPLES);
+
+    assert.strictEqual(summary.examples, EXAMPLES.length);
+    assert.deepStrictEqual(summary.classes, ['code', 'creative', 'math']);
+    assert.ok(summary.features > 0);
+
+    const code = await classifier.classify('Write a JavaScript function that reverses a string');
+    const math = await classifier.classify('Solve 4x + 2 = 10');
+    const creative = await classifier.classify('Write a short poem about the moon');
+    const arabic = await classifier.classify('اكتب قصيدة عن القمر');
+
+    assert.strictEqual(code.taskType, 'code');
+    assert.strictEqual(math.taskType, 'math');
+    assert.strictEqual(creative.taskType, 'creative');
+    assert.strictEqual(arabic.taskType, 'creative');
+
+    const total = Object.values(code.probabilities).reduce((sum, probability) => sum + probability, 0);
+    assert.ok(Math.abs(total - 1) < 0.001);
+    assert.strictEqual(code.confidence, code.probabilities.code);
+  });
+
+  it('refuses to train without examples', () => {
+    const classifier = new DeepseekClassifier(CLASSIFIER_CONFIG);
+
+    assert.throws(() => classifier.train([]), /No training examples/);
+  });
+
+  it('predicts the same after saving and loading the model', async () => {
+    const trained = new DeepseekClassifier(CLASSIFIER_CONFIG);
+    trained.train(EXAMPLES);
+    const modelPath = await trained.save(path.join(modelsPath, 'nested', 'model.json'));
+
+    assert.ok(fs.existsSync(modelPath));
+
+    const loaded = new DeepseekClassifier(CLASSIFIER_CONFIG);
+    await loaded.load(modelPath);
+
+    assert.strictEqual(loaded.isInitialized, true);
+
+    for (const text of ['Debug this Python script', 'Find the derivative of sin x', 'Write a haiku about rain', 'hello']) {
+      assert.deepStrictEqual(await loaded.classify(text), await trained.classify(text));
+    }
+  });
+
+  it('rejects model files in an unknown format', async () => {
+    const modelPath = path.join(modelsPath, 'future-model.json');
+    fs.writeFileSync(modelPath, JSON.stringify({ format: 99 }));
+
+    const classifier = new DeepseekClassifier(CLASSIFIER_CONFIG);
+
+    await assert.rejects(classifier.load(modelPath), /Unsupported task classifier model format/);
+    assert.strictEqual(classifier.isInitialized, false);
+  });
+
+  it('reads labeled examples from JSONL, skipping unusable lines', async () => {
+    const examplesPath = path.join(modelsPath, 'examples.jsonl');
+    fs.writeFileSync(examplesPath, [
+      JSON.stringify({ text: 'Write a poem', taskType: 'creative' }),
+      JSON.stringify({ message: 'Sort this array', label: 'code' }),
+      JSON.stringify({ text: 'No label' }),
+      'not json',
+      ''
+    ].join('\n'));
+
+    const classifier = new DeepseekClassifier(CLASSIFIER_CONFIG);
+
+    assert.deepStrictEqual(await classifier.loadExamples(examplesPath), [
+      { text: 'Write a poem', taskType: 'creative' },
+      { text: 'Sort this array', taskType: 'code' }
+    ]);
+  });
+});
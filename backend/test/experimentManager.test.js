@@ -0,0 +1,77 @@
+/**
+ * Tests for recording experiment outcomes: concurrent requests, hedge wins and replaced
+ * feedback are all counted in the variant's results.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ExperimentManager } = require('../src/orchestration/experimentManager');
+
+/**
+ * Create an experiment with two variants
+ *
+ * @param {ExperimentManager} manager - The experiment manager
+ * @returns {Promise<Object>} - The experiment
+ */
+function createExperiment(manager) {
+  return manager.createExperiment({
+    name: 'Research: Gemini vs Perplexity',
+    variants: [{ name: 'control' }, { name: 'gemini', platform: 'gemini' }],
+    traffic: { research: { control: 50, gemini: 50 } }
+  });
+}
+
+describe('ExperimentManager.recordOutcome', () => {
+  const manager = new ExperimentManager({ backend: 'memory' });
+
+  it('counts every one of many concurrent outcomes', async () => {
+    const experiment = await createExperiment(manager);
+    const assignment = { experimentId: experiment.id, variant: 'gemini' };
+
+    await Promise.all(Array.from({ length: 50 }, (_, index) => manager.recordOutcome(assignment, {
+      latencyMs: 100 + index,
+      cost: 0.0001,
+      error: index % 10 === 0,
+      fallback: index % 5 === 0
+    })));
+
+    const { variants } = await manager.getResults(experiment.id);
+    const gemini = variants.find(variant => variant.variant === 'gemini');
+
+    assert.strictEqual(gemini.requests, 50);
+    assert.strictEqual(gemini.errors, 5);
+    assert.strictEqual(gemini.fallbacks, 10);
+    assert.deepStrictEqual(gemini.latencyMs, { mean: 125, min: 100, max: 149 });
+    assert.strictEqual(gemini.cost.total, 0.005);
+    assert.strictEqual(variants.find(variant => variant.variant === 'control').requests, 0);
+  });
+
+  it('counts hedge wins apart from fallbacks', async () => {
+    const experiment = await createExperiment(manager);
+    const assignment = { experimentId: experiment.id, variant: 'control' };
+
+    await manager.recordOutcome(assignment, { latencyMs: 200, hedgeWin: true });
+    await manager.recordOutcome(assignment, { latencyMs: 300, fallback: true });
+
+    const results = await manager.recordOutcome(assignment, { latencyMs: 100 });
+
+    assert.strictEqual(results.requests, 3);
+    assert.strictEqual(results.hedgeWins, 1);
+    assert.strictEqual(results.fallbacks, 1);
+  });
+
+  it('moves replaced feedback to the new rating, never counting below zero', async () => {
+    const experiment = await createExperiment(manager);
+    const assignment = { experimentId: experiment.id, variant: 'control' };
+
+    const rated = await manager.recordOutcome(assignment, { feedback: 'positive' });
+    assert.deepStrictEqual(rated.feedback, { positive: 1, negative: 0 });
+
+    const replaced = await manager.recordOutcome(assignment, { feedback: 'negative', previousFeedback: 'positive' });
+    assert.deepStrictEqual(replaced.feedback, { positive: 0, negative: 1 });
+
+    // The positive rating was already taken back
+    const unmatched = await manager.recordOutcome(assignment, { feedback: 'negative', previousFeedback: 'positive' });
+    assert.deepStrictEqual(unmatched.feedback, { positive: 0, negative: 2 });
+  });
+});
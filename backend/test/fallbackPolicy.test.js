@@ -0,0 +1,48 @@
+/**
+ * Tests for the error classes of the fallback policy, and which of them count against
+ * a platform's circuit breaker.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { FallbackPolicy } = require('../src/orchestration/fallbackPolicy');
+
+/**
+ * Create an error as the platform modules throw them
+ *
+ * @param {string} message - The error message
+ * @param {Object} properties - Properties to set on the error
+ * @returns {Error} - The error
+ */
+function platformError(message, properties) {
+  return Object.assign(new Error(message), properties);
+}
+
+describe('FallbackPolicy.classifyError', () => {
+  const policy = new FallbackPolicy();
+
+  it('classifies provider and network errors', () => {
+    assert.strictEqual(policy.classifyError(platformError('Too many requests', { statusCode: 429 })), 'rate_limit');
+    assert.strictEqual(policy.classifyError(platformError('Bad gateway', { statusCode: 502 })), 'server_error');
+    assert.strictEqual(policy.classifyError(platformError('timeout of 60000ms exceeded', { code: 'ECONNABORTED' })), 'timeout');
+    assert.strictEqual(policy.classifyError(platformError('connect ECONNREFUSED', { code: 'ECONNREFUSED' })), 'network');
+  });
+
+  it('classifies errors in our own code as internal, also when a platform module wrapped them', () => {
+    const wrapped = platformError('Gemini API error: parts is not iterable', { originalError: new TypeError('parts is not iterable') });
+
+    assert.strictEqual(policy.classifyError(new TypeError("Cannot read properties of undefined (reading 'choices')")), 'internal');
+    assert.strictEqual(policy.classifyError(new ReferenceError('timeout is not defined')), 'internal');
+    assert.strictEqual(policy.classifyError(wrapped), 'internal');
+  });
+
+  it('only counts provider and network errors as platform failures', () => {
+    for (const errorClass of ['rate_limit', 'timeout', 'auth', 'server_error', 'network']) {
+      assert.strictEqual(policy.isProviderError(errorClass), true, errorClass);
+    }
+
+    for (const errorClass of ['internal', 'content_policy', 'circuit_open', 'unknown']) {
+      assert.strictEqual(policy.isProviderError(errorClass), false, errorClass);
+    }
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for the provider HTTP recorder: an exchange recorded against a local server is
+ * replayed without it, and credentials never reach the fixture files.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const config = require('../src/config');
+const recorder = require('../src/platforms/httpRecorder');
+
+const HttpRecorder = recorder.constructor;
+const SECRET = 'sk-test-recorder-secret-0123456789';
+
+/**
+ * Create a recorder on its own axios instance
+ *
+ * @param {string} mode - 'record' or 'replay'
+ * @param {string} fixturesPath - Where fixtures are kept
+ * @returns {Object} - { client, httpRecorder }
+ */
+function createClient(mode, fixturesPath) {
+  const client = axios.create();
+  const httpRecorder = new HttpRecorder({ mode, fixturesPath, replayTiming: 'instant' });
+  httpRecorder.install(client);
+  return { client, httpRecorder };
+}
+
+/**
+ * Read every fixture file under a directory
+ *
+ * @param {string} directory - The fixtures directory
+ * @returns {string} - The concatenated file contents
+ */
+function readFixtures(directory) {
+  return fs.readdirSync(directory, { recursive: true })
+    .map(name => path.join(directory, name))
+    .filter(filePath => fs.statSync(filePath).isFile())
+    .map(filePath => fs.readFileSync(filePath, 'utf8'))
+    .join('\n');
+}
+
+/**
+ * Read a stream to the end
+ *
+ * @param {Readable} stream - The stream
+ * @returns {Promise<string>} - Its content
+ */
+async function readStream(stream) {
+  let content = '';
+  for await (const chunk of stream) {
+    content += chunk.toString('utf8');
+  }
+  return content;
+}
+
+describe('HttpRecorder', () => {
+  let server;
+  let baseUrl;
+  let fixturesPath;
+  let previousKey;
+  let requests = 0;
+
+  before(async () => {
+    previousKey = config.OPENAI_API_KEY;
+    config.OPENAI_API_KEY = SECRET;
+    fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'majd-fixtures-'));
+
+    // Echoes the credentials it receives, as some providers do in error messages
+    server = http.createServer((req, res) => {
+      requests += 1;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.url.startsWith('/stream')) {
+          res.writeHead(200, { 'content-type': 'text/event-stream' });
+          res.write('data: {"delta":"Hello"}\n\n');
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+
+        if (req.url.startsWith('/busy')) {
+          res.writeHead(requests === 1 ? 503 : 200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ attempt: requests }));
+          return;
+        }
+
+        res.writeHead(200, { 'content-type': 'application/json', 'set-cookie': `session=${SECRET}` });
+        res.end(JSON.stringify({
+          answer: 'recorded',
+          echo: { authorization: req.headers.authorization, body: JSON.parse(body || 'null') }
+        }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    config.OPENAI_API_KEY = previousKey;
+    server.close();
+    fs.rmSync(fixturesPath, { recursive: true, force: true });
+  });
+
+  it('replays a recorded response without contacting the provider', async () => {
+    const request = {
+      method: 'post',
+      url: `${baseUrl}/v1/chat?key=${SECRET}`,
+      headers: { Authorization: `Bearer ${SECRET}` },
+      data: { prompt: 'Hi', apiKey: SECRET }
+    };
+
+    const { client: recordingClient } = createClient('record', fixturesPath);
+    const recorded = await recordingClient.request(request);
+    assert.strictEqual(recorded.data.answer, 'recorded');
+
+    const requestsBefore = requests;
+    const { client: replayingClient } = createClient('replay', fixturesPath);
+    const replayed = await replayingClient.request(request);
+
+    assert.strictEqual(requests, requestsBefore);
+    assert.strictEqual(replayed.status, 200);
+    assert.strictEqual(replayed.data.answer, 'recorded');
+    assert.deepStrictEqual(replayed.data.echo.body, { prompt: 'Hi', apiKey: '[REDACTED]' });
+  });
+
+  it('keeps credentials out of fixture files', () => {
+    const fixtures = readFixtures(fixturesPath);
+
+    assert.ok(fixtures.length > 0);
+    assert.ok(!fixtures.includes(SECRET), 'a fixture contains the API key');
+    assert.ok(fixtures.includes('[REDACTED]'));
+    assert.ok(!fixtures.toLowerCase().includes('set-cookie'));
+  });
+
+  it('replays streamed responses chunk by chunk', async () => {
+    const request = { method: 'post', url: `${baseUrl}/stream`, data: { stream: true }, responseType: 'stream' };
+
+    const { client: recordingClient } = createClient('record', fixturesPath);
+    const recorded = await readStream((await recordingClient.request(request)).data);
+
+    const { client: replayingClient } = createClient('replay', fixturesPath);
+    const replayed = await readStream((await replayingClient.request(request)).data);
+
+    assert.strictEqual(replayed, recorded);
+    assert.ok(replayed.endsWith('data: [DONE]\n\n'));
+  });
+
+  it('replays repeated requests in the recorded order, including errors', async () => {
+    const request = { method: 'get', url: `${baseUrl}/busy` };
+    requests = 0;
+
+    const { client: recordingClient } = createClient('record', fixturesPath);
+    await assert.rejects(recordingClient.request(request), error => error.response.status === 503);
+    assert.strictEqual((await recordingClient.request(request)).data.attempt, 2);
+
+    const { client: replayingClient } = createClient('replay', fixturesPath);
+    await assert.rejects(replayingClient.request(request), error => error.response.status === 503);
+    assert.strictEqual((await replayingClient.request(request)).data.attempt, 2);
+    assert.strictEqual((await replayingClient.request(request)).data.attempt, 2);
+  });
+
+  it('fails requests that were never recorded', async () => {
+    const { client } = createClient('replay', fixturesPath);
+
+    await assert.rejects(
+      client.get(`${baseUrl}/v1/unrecorded`),
+      error => error.code === 'ERR_FIXTURE_MISSING'
+    );
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for claiming queued chat jobs: a claimed job is never lost, even when its
+ * worker stops before taking the lease.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { JobQueue } = require('../src/orchestration/jobQueue');
+
+const JOBS_CONFIG = { ...config.jobs, backend: 'memory', concurrency: 1 };
+
+// Answers every request straight away
+const orchestrationLayer = {
+  processRequest: async message => ({ content: `Answer to ${message}` })
+};
+
+/**
+ * Wait until a job has finished
+ *
+ * @param {JobQueue} queue - The queue running the job
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} - The finished job
+ */
+async function waitForJob(queue, jobId) {
+  for (let i = 0; i < 100; i++) {
+    const job = await queue.getJob(jobId);
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      return job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+describe('JobQueue', () => {
+  it('runs a queued job and releases its claim', async () => {
+    const queue = new JobQueue(orchestrationLayer, JOBS_CONFIG);
+    const { id } = await queue.enqueue({ message: 'hello', userId: 'user-1' });
+
+    const job = await waitForJob(queue, id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.result.content, 'Answer to hello');
+    assert.ok(!(await queue.store.getList('processing')).includes(id));
+    assert.strictEqual(await queue.store.get(`lease:${id}`), null);
+  });
+
+  it('requeues a job whose worker stopped between claiming it and taking the lease', async () => {
+    const crashed = new JobQueue(orchestrationLayer, JOBS_CONFIG);
+    crashed.runJob = async () => {};
+
+    const { id } = await crashed.enqueue({ message: 'are you there', userId: 'user-1' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.ok((await crashed.store.getList('processing')).includes(id));
+    assert.ok(!(await crashed.store.getList('pending')).includes(id));
+
+    // The first sweep may run between a claim and its lease, so only the second recovers the job
+    const queue = new JobQueue(orchestrationLayer, JOBS_CONFIG);
+    assert.strictEqual(await queue.requeueExpiredJobs(), 0);
+    assert.strictEqual(await queue.requeueExpiredJobs(), 1);
+
+    const job = await waitForJob(queue, id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.result.content, 'Answer to are you there');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the response cache: exact matches, and the optional similarity tier that
+ * serves reworded questions above a similarity threshold.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { ResponseCache } = require('../src/orchestration/responseCache');
+
+const QUESTION = 'What is the capital city of France?';
+const RESPONSE = { content: 'Paris', platform: 'chatgpt', taskType: 'research' };
+
+/**
+ * Create a cache with the similarity tier configured as given
+ *
+ * @param {Object} semantic - The similarity tier configuration
+ * @returns {ResponseCache} - The cache
+ */
+function createCache(semantic) {
+  return new ResponseCache({
+    ...config.cache,
+    backend: 'memory',
+    ttl: { default: 3600 },
+    semantic: { maxEntries: 500, ...semantic }
+  });
+}
+
+describe('ResponseCache', () => {
+  it('leaves the similarity tier off by default', () => {
+    assert.strictEqual(config.cache.semantic.enabled, false);
+  });
+
+  it('serves the same question, normalized, as an exact match', async () => {
+    const cache = createCache({ enabled: false, threshold: 0.92 });
+    const routingInfo = { taskType: 'research', platform: 'exact-test' };
+
+    await cache.set(QUESTION, routingInfo, {}, RESPONSE);
+    const hit = await cache.get('  what is the capital city of france ', routingInfo, {});
+
+    assert.strictEqual(hit.match, 'exact');
+    assert.strictEqual(hit.similarity, 1);
+    assert.deepStrictEqual(hit.response, RESPONSE);
+  });
+
+  it('misses reworded questions while the similarity tier is off', async () => {
+    const cache = createCache({ enabled: false, threshold: 0.92 });
+    const routingInfo = { taskType: 'research', platform: 'off-test' };
+
+    await cache.set(QUESTION, routingInfo, {}, RESPONSE);
+
+    assert.strictEqual(await cache.get('what is the capital city of france, please', routingInfo, {}), null);
+  });
+
+  it('serves a near-duplicate question above the threshold', async () => {
+    const cache = createCache({ enabled: true, threshold: 0.9 });
+    const routingInfo = { taskType: 'research', platform: 'near-test' };
+
+    await cache.set(QUESTION, routingInfo, {}, RESPONSE);
+    const hit = await cache.get('what is the capital city of france, please', routingInfo, {});
+
+    assert.ok(hit, 'the near-duplicate missed');
+    assert.strictEqual(hit.match, 'semantic');
+    assert.ok(hit.similarity >= 0.9 && hit.similarity < 1);
+    assert.deepStrictEqual(hit.response, RESPONSE);
+  });
+
+  it('misses a similar question below the threshold', async () => {
+    const cache = createCache({ enabled: true, threshold: 0.9 });
+    const routingInfo = { taskType: 'research', platform: 'below-test' };
+    const rewording = 'Tell me the capital city of France';
+
+    await cache.set(QUESTION, routingInfo, {}, RESPONSE);
+
+    const similarity = cache.cosineSimilarity(
+      cache.embed(cache.normalizeInput(QUESTION)),
+      cache.embed(cache.normalizeInput(rewording))
+    );
+    assert.ok(similarity > 0.5 && similarity < 0.9, `similarity ${similarity} is not just below the threshold`);
+    assert.strictEqual(await cache.get(rewording, routingInfo, {}), null);
+    assert.strictEqual(await cache.get('What is the population of Germany?', routingInfo, {}), null);
+  });
+
+  it('only compares questions within the same task type, platform and options', async () => {
+    const cache = createCache({ enabled: true, threshold: 0.9 });
+    const routingInfo = { taskType: 'research', platform: 'scope-test' };
+
+    await cache.set(QUESTION, routingInfo, { responseFormat: 'markdown' }, RESPONSE);
+
+    assert.strictEqual(await cache.get('what is the capital city of france, please', routingInfo, { responseFormat: 'html' }), null);
+    assert.strictEqual(await cache.get('what is the capital city of france, please', { ...routingInfo, platform: 'other-test' }, { responseFormat: 'markdown' }), null);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the self-consistency merge: votes on the final answers of several responses.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ResponseSynthesizer } = require('../src/orchestration/responseSynthesizer');
+
+/**
+ * Build processed responses from their contents
+ *
+ * @param {Array<string>} contents - The response contents
+ * @returns {Array<Object>} - The responses, as mergeResponses receives them
+ */
+function responsesOf(contents) {
+  return contents.map((content, index) => ({
+    platform: ['chatgpt', 'deepseek', 'gemini', 'grok3'][index % 4],
+    taskType: 'reasoning',
+    content
+  }));
+}
+
+describe('ResponseSynthesizer.mergeConsensus', () => {
+  const synthesizer = new ResponseSynthesizer();
+
+  it('reports a unanimous answer when equivalent answers are written differently', () => {
+    const { content, consensus } = synthesizer.mergeConsensus(responsesOf([
+      'Half of the pizza is left.\n\nFinal answer: 1/2',
+      'So the result is \\boxed{0.5}',
+      'The share left is 50%'
+    ]));
+
+    assert.strictEqual(consensus.level, 'unanimous');
+    assert.strictEqual(consensus.answer, '1/2');
+    assert.strictEqual(consensus.normalizedAnswer, '0.5');
+    assert.strictEqual(consensus.votes, 3);
+    assert.strictEqual(consensus.agreement, 1);
+    assert.deepStrictEqual(consensus.dissent, []);
+    assert.ok(content.startsWith('Half of the pizza is left.'));
+    assert.ok(!content.includes('Dissenting Answers'));
+  });
+
+  it('keeps the majority answer and appends the dissenting responses', () => {
+    const { content, consensus } = synthesizer.mergeConsensus(responsesOf([
+      'Since 2x = 14, x = 7.',
+      'Solving gives x = 6.\n\nThe answer is 6',
+      'Dividing both sides by 2, the answer is x = 6.'
+    ]));
+
+    assert.strictEqual(consensus.level, 'majority');
+    assert.strictEqual(consensus.normalizedAnswer, '6');
+    assert.strictEqual(consensus.votes, 2);
+    assert.strictEqual(consensus.total, 3);
+    assert.deepStrictEqual(consensus.dissent, [{ platform: 'chatgpt', answer: '7' }]);
+    assert.ok(content.startsWith('Solving gives x = 6.'));
+    assert.ok(content.includes('(2 of 3 responses agree, majority)'));
+    assert.ok(content.includes('## Appendix: Dissenting Answers'));
+    assert.ok(content.includes('Since 2x = 14, x = 7.'));
+  });
+
+  it('finds no consensus when the answers are tied', () => {
+    const { consensus } = synthesizer.mergeConsensus(responsesOf([
+      'The answer is 12',
+      'The answer is 15',
+      'Final answer: 12',
+      'Final answer: 15'
+    ]));
+
+    assert.strictEqual(consensus.level, 'none');
+    assert.strictEqual(consensus.votes, 2);
+    assert.deepStrictEqual(consensus.candidates.map(candidate => candidate.votes), [2, 2]);
+  });
+
+  it('finds no consensus when no response has an extractable answer', () => {
+    const { content, consensus } = synthesizer.mergeConsensus(responsesOf([
+      'It depends on what you mean.',
+      'I would need more context to say.'
+    ]));
+
+    assert.strictEqual(consensus.level, 'none');
+    assert.strictEqual(consensus.answer, null);
+    assert.strictEqual(consensus.votes, 0);
+    assert.strictEqual(consensus.agreement, 0);
+    assert.deepStrictEqual(consensus.candidates, []);
+    assert.ok(content.startsWith('It depends on what you mean.'));
+    assert.ok(content.includes('no final answer could be extracted'));
+  });
+
+  it('is used by mergeResponses for the consensus strategy', async () => {
+    const merged = await synthesizer.mergeResponses(responsesOf([
+      'The answer is 42',
+      'The answer is 42'
+    ]), { mergeStrategy: 'consensus' });
+
+    assert.strictEqual(merged.platform, 'merged');
+    assert.strictEqual(merged.consensus.level, 'unanimous');
+    assert.strictEqual(merged.consensus.answer, '42');
+  });
+});
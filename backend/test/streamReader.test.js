@@ -0,0 +1,98 @@
+/**
+ * Tests for the shared stream reader and tool call merging of the platform modules.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { readEventStream, mergeToolCallDeltas } = require('../src/platforms/streamReader');
+
+/**
+ * Read a stream, collecting its events and the content they carry
+ *
+ * @param {Readable} stream - The response stream
+ * @param {AbortSignal} [signal] - Aborted to cancel the read
+ * @returns {Object} - { events, read }, where read resolves to the collected content
+ */
+function collect(stream, signal) {
+  const events = [];
+  let content = '';
+
+  const read = readEventStream(stream, {
+    name: 'Test',
+    signal,
+    onEvent: (json) => {
+      events.push(json);
+      content += json.text || '';
+    },
+    getPartialContent: () => content,
+    onEnd: () => content
+  });
+
+  return { events, read };
+}
+
+describe('readEventStream', () => {
+  it('reads server-sent events split across chunks, up to a last line without a newline', async () => {
+    const stream = new PassThrough();
+    const { events, read } = collect(stream);
+
+    stream.write(': keep-alive\nevent: message\ndata: {"text":"Hel');
+    stream.write('"}\n\ndata:{"text":"lo"}\n\n');
+    stream.write('data: [DONE]\n\ndata: {"text":"!"}');
+    stream.end();
+
+    assert.strictEqual(await read, 'Hello!');
+    assert.strictEqual(events.length, 3);
+  });
+
+  it('reads one JSON object per line and skips malformed lines', async () => {
+    const stream = new PassThrough();
+    const { read } = collect(stream);
+
+    stream.end('{"text":"a"}\nnot json\n{"text":"b"}\n');
+
+    assert.strictEqual(await read, 'ab');
+  });
+
+  it('rejects with the content received so far when cancelled', async () => {
+    const stream = new PassThrough();
+    const controller = new AbortController();
+    const { read } = collect(stream, controller.signal);
+
+    stream.write('data: {"text":"partial"}\n');
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await assert.rejects(read, error => error.code === 'ERR_CANCELED' && error.partialContent === 'partial');
+    assert.strictEqual(stream.destroyed, true);
+  });
+
+  it('keeps the content received so far when the stream fails', async () => {
+    const stream = new PassThrough();
+    const { read } = collect(stream);
+
+    stream.write('data: {"text":"partial"}\n');
+    await new Promise(resolve => setImmediate(resolve));
+    stream.destroy(new Error('socket hang up'));
+
+    await assert.rejects(read, error => error.message === 'socket hang up' && error.partialContent === 'partial');
+  });
+});
+
+describe('mergeToolCallDeltas', () => {
+  it('assembles tool calls from fragments keyed by index', () => {
+    const toolCalls = [];
+
+    mergeToolCallDeltas(toolCalls, [{ index: 0, id: 'call_1', function: { name: 'calcu', arguments: '{"expr' } }]);
+    mergeToolCallDeltas(toolCalls, [
+      { index: 0, function: { name: 'lator', arguments: 'ession":"6*7"}' } },
+      { index: 1, id: 'call_2', function: { name: 'web_search', arguments: '{}' } }
+    ]);
+
+    assert.deepStrictEqual(toolCalls, [
+      { id: 'call_1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"6*7"}' } },
+      { id: 'call_2', type: 'function', function: { name: 'web_search', arguments: '{}' } }
+    ]);
+  });
+});
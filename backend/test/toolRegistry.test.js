@@ -0,0 +1,86 @@
+/**
+ * Tests for tool execution: tools that run out of time or whose request is cancelled
+ * are stopped through their signal, including the HTTP requests they make.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../src/config');
+const { ToolRegistry } = require('../src/orchestration/toolRegistry');
+
+/**
+ * Create a registry with a tool that waits until its signal is aborted
+ *
+ * @param {Object} toolConfig - Overrides of the tools configuration
+ * @returns {Object} - { registry, calls }, where calls holds the signal of each call
+ */
+function createRegistry(toolConfig = {}) {
+  const registry = new ToolRegistry({ ...config.tools, ...toolConfig });
+  const calls = [];
+
+  registry.register({
+    name: 'wait',
+    description: 'Waits until it is stopped',
+    parameters: { type: 'object', properties: {} },
+    execute: (args, context) => new Promise(() => calls.push(context.signal))
+  });
+
+  return { registry, calls };
+}
+
+describe('ToolRegistry.execute', () => {
+  let server;
+  let endpoint;
+  let closed;
+
+  before(async () => {
+    // A URL fetcher that never answers, and reports when the client gives up
+    server = http.createServer((req, res) => {
+      req.on('close', () => closed(res.writableEnded));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/fetch`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('aborts the signal of a tool that runs out of time', async () => {
+    const { registry, calls } = createRegistry({ timeout: 50 });
+
+    const record = await registry.execute({ id: 'call-1', name: 'wait', arguments: {} });
+
+    assert.strictEqual(record.error, 'Tool wait timed out after 50ms');
+    assert.strictEqual(calls[0].aborted, true);
+  });
+
+  it('aborts the signal of a tool when the request is cancelled', async () => {
+    const { registry, calls } = createRegistry({ timeout: 5000 });
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 20);
+    const record = await registry.execute({ id: 'call-1', name: 'wait', arguments: {} }, { signal: controller.signal });
+
+    assert.ok(record.error);
+    assert.ok(record.durationMs < 5000);
+    assert.strictEqual(calls[0].aborted, true);
+  });
+
+  it('cancels the HTTP request of fetch_url', async () => {
+    const { registry } = createRegistry({ timeout: 5000, urlFetcher: { endpoint, maxLength: 8000 } });
+    const controller = new AbortController();
+    const requestClosed = new Promise(resolve => { closed = resolve; });
+
+    setTimeout(() => controller.abort(), 50);
+    const record = await registry.execute(
+      { id: 'call-1', name: 'fetch_url', arguments: { url: 'https://example.com/' } },
+      { signal: controller.signal }
+    );
+
+    assert.ok(record.error);
+    assert.strictEqual(await requestClosed, false, 'the request was answered instead of cancelled');
+  });
+});
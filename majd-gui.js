@@ -358,6 +358,28 @@ class MajdGUI {
     this.chatArea.scrollTop = this.chatArea.scrollHeight;
   }
   
+  formatReviewReasoning(review) {
+    if (!review || !review.draft) return '';
+    
+    // Show the draft, then each critique and revision, in the reasoning panel
+    let reasoning = `Draft (${review.drafter}):\n${review.draft}`;
+    
+    (review.rounds || []).forEach(round => {
+      if (round.status === 'failed') {
+        reasoning += `\n\nReview ${round.round} (${round.platform}) failed: ${round.error}`;
+        return;
+      }
+      
+      reasoning += `\n\nCritique ${round.round} (${round.platform}):\n${round.critique}`;
+      
+      if (round.revision) {
+        reasoning += `\n\nRevision ${round.round}:\n${round.revision}`;
+      }
+    });
+    
+    return reasoning;
+  }
+  
   async sendMessage() {
     const message = this.input.value.trim();
     if (!message) return;
@@ -415,7 +437,7 @@ class MajdGUI {
     this.addMessage({
       role: 'ai',
       content: data.response,
-      reasoning: data.reasoning
+      reasoning: data.reasoning || this.formatReviewReasoning(data.review)
     });
   }
   